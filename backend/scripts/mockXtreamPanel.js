@@ -0,0 +1,136 @@
+// Minimal Xtream Codes panel for local development and tests.
+// Usage: node scripts/mockXtreamPanel.js [port]
+// Then add an Xtream provider with server URL http://localhost:<port>,
+// username "demo" and password "demo". Tests require it and call
+// createMockPanel() to listen on a port of their choosing.
+const express = require('express');
+
+const USERNAME = process.env.MOCK_XTREAM_USERNAME || 'demo';
+const PASSWORD = process.env.MOCK_XTREAM_PASSWORD || 'demo';
+// Connections the mock account allows, reported as max_connections
+const MAX_CONNECTIONS = 2;
+// The mock account expires this long after each request
+const ACCOUNT_VALID_SECONDS = 30 * 24 * 3600;
+
+const liveCategories = [
+    { category_id: '1', category_name: 'News', parent_id: 0 },
+    { category_id: '2', category_name: 'Sports', parent_id: 0 }
+];
+
+const liveStreams = [
+    { num: 1, name: 'Mock News', stream_type: 'live', stream_id: 101, stream_icon: '', epg_channel_id: 'mock.news', category_id: '1', tv_archive: 0, tv_archive_duration: 0 },
+    { num: 2, name: 'Mock Sports, Live', stream_type: 'live', stream_id: 102, stream_icon: '', epg_channel_id: 'mock.sports', category_id: '2', tv_archive: 1, tv_archive_duration: 3 }
+];
+
+const vodCategories = [
+    { category_id: '10', category_name: 'Movies', parent_id: 0 }
+];
+
+const vodStreams = [
+    { num: 1, name: 'Mock Movie', stream_type: 'movie', stream_id: 201, stream_icon: '', category_id: '10', container_extension: 'mkv' }
+];
+
+const seriesCategories = [
+    { category_id: '20', category_name: 'Shows', parent_id: 0 }
+];
+
+const series = [
+    { num: 1, name: 'Mock Show', series_id: 301, cover: '', category_id: '20' }
+];
+
+const actions = {
+    get_live_categories: liveCategories,
+    get_live_streams: liveStreams,
+    get_vod_categories: vodCategories,
+    get_vod_streams: vodStreams,
+    get_series_categories: seriesCategories,
+    get_series: series
+};
+
+// XMLTV times are "YYYYMMDDhhmmss +0000"
+const xmltvDate = (date) => date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000';
+
+// The panel's express app; port is only reported back in server_info
+function createMockPanel({ port = 8888 } = {}) {
+    const app = express();
+
+    app.get('/player_api.php', (req, res) => {
+        const { username, password, action } = req.query;
+        if (username !== USERNAME || password !== PASSWORD) {
+            return res.json({ user_info: { auth: 0 } });
+        }
+
+        if (!action) {
+            const now = Math.floor(Date.now() / 1000);
+            return res.json({
+                user_info: {
+                    username,
+                    password,
+                    auth: 1,
+                    status: 'Active',
+                    exp_date: String(now + ACCOUNT_VALID_SECONDS),
+                    is_trial: '0',
+                    active_cons: '0',
+                    created_at: String(now - 365 * 24 * 3600),
+                    max_connections: String(MAX_CONNECTIONS),
+                    allowed_output_formats: ['m3u8', 'ts']
+                },
+                server_info: {
+                    url: 'localhost',
+                    port: String(port),
+                    server_protocol: 'http',
+                    timezone: 'UTC',
+                    timestamp_now: now
+                }
+            });
+        }
+
+        if (!actions[action]) {
+            return res.json([]);
+        }
+        res.json(actions[action]);
+    });
+
+    app.get('/xmltv.php', (req, res) => {
+        const { username, password } = req.query;
+        if (username !== USERNAME || password !== PASSWORD) {
+            return res.status(401).send('');
+        }
+
+        // Hour-long programmes from an hour ago until six hours ahead
+        const hour = new Date();
+        hour.setUTCMinutes(0, 0, 0);
+        const programmes = [];
+        liveStreams.forEach(stream => {
+            for (let offset = -1; offset < 6; offset++) {
+                const start = new Date(hour.getTime() + offset * 3600 * 1000);
+                const stop = new Date(start.getTime() + 3600 * 1000);
+                programmes.push(
+                    `  <programme start="${xmltvDate(start)}" stop="${xmltvDate(stop)}" channel="${stream.epg_channel_id}">\n` +
+                    `    <title>${stream.name.replace(/&/g, '&amp;')} at ${start.getUTCHours()}:00</title>\n` +
+                    `    <desc>Mock programme</desc>\n` +
+                    '  </programme>'
+                );
+            }
+        });
+
+        res.type('application/xml').send([
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<tv>',
+            ...liveStreams.map(stream => `  <channel id="${stream.epg_channel_id}"><display-name>${stream.name}</display-name></channel>`),
+            ...programmes,
+            '</tv>'
+        ].join('\n'));
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.argv[2] || process.env.PORT || 8888;
+    createMockPanel({ port }).listen(port, () => {
+        console.log(`Mock Xtream panel running on port ${port}`);
+    });
+}
+
+module.exports = { createMockPanel, USERNAME, PASSWORD, MAX_CONNECTIONS, ACCOUNT_VALID_SECONDS, liveStreams, vodStreams, series };
@@ -0,0 +1,36 @@
+// Re-encrypt stored provider credentials with a new key.
+// Usage: CREDENTIALS_KEY=<current> NEW_CREDENTIALS_KEY=<new> node scripts/rotateCredentialsKey.js [manager.db]
+// Leave CREDENTIALS_KEY unset to encrypt plain-text credentials for the first time.
+// Stop the backend first, then start it again with CREDENTIALS_KEY set to the new key.
+const path = require('path');
+const CredentialVault = require('../src/credentialVault');
+const DataStore = require('../src/dataStore');
+
+const FILE = process.argv[2] || path.join('/app/data', 'manager.db');
+
+function main() {
+    if (!process.env.NEW_CREDENTIALS_KEY) {
+        throw new Error('NEW_CREDENTIALS_KEY must be set');
+    }
+
+    const current = new CredentialVault(process.env.CREDENTIALS_KEY);
+    const next = new CredentialVault(process.env.NEW_CREDENTIALS_KEY);
+
+    const dataStore = new DataStore(FILE);
+    dataStore.open();
+    try {
+        // Decrypt everything before writing, so a wrong key leaves the database untouched
+        const providers = dataStore.getProviders().map(provider => current.decryptProvider(provider));
+        dataStore.saveProviders(providers.map(provider => next.encryptProvider(provider)));
+        console.log(`Re-encrypted credentials of ${providers.length} provider(s) in ${FILE}`);
+    } finally {
+        dataStore.close();
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('Key rotation failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,86 @@
+// Channel fields compared between two loads of a provider's list
+const COMPARED_FIELDS = ['url', 'name', 'group', 'logo', 'tvgId', 'tvgChno'];
+// Most channels listed per category in one change entry; the counts stay exact
+const DETAIL_LIMIT = 500;
+
+// Works out which channels a provider refresh added, removed or changed.
+// Channels are matched by their Xtream stream ID, otherwise by tvg-id and name.
+class ChannelDiff {
+    static key(channel) {
+        if (channel.streamId !== undefined && channel.streamId !== null) {
+            return `${channel.type || 'live'}:${channel.streamId}`;
+        }
+        return `${channel.tvgId || ''}:${channel.name || ''}`;
+    }
+
+    // Key -> channel; repeated keys get a running number so duplicates still pair up
+    static index(channels) {
+        const index = new Map();
+        const seen = new Map();
+        channels.forEach(channel => {
+            const base = ChannelDiff.key(channel);
+            const count = seen.get(base) || 0;
+            seen.set(base, count + 1);
+            index.set(count ? `${base}#${count}` : base, channel);
+        });
+        return index;
+    }
+
+    static summarize(channel) {
+        return { name: channel.name || '', group: channel.group || '', url: channel.url };
+    }
+
+    static compare(previous, current) {
+        const before = ChannelDiff.index(previous);
+        const after = ChannelDiff.index(current);
+        const added = [];
+        const removed = [];
+        const changed = [];
+
+        after.forEach((channel, key) => {
+            const old = before.get(key);
+            if (!old) {
+                added.push(ChannelDiff.summarize(channel));
+                return;
+            }
+            const fields = COMPARED_FIELDS.filter(field => (old[field] || '') !== (channel[field] || ''));
+            if (fields.length > 0) {
+                changed.push({
+                    name: channel.name || '',
+                    group: channel.group || '',
+                    fields,
+                    oldUrl: old.url,
+                    newUrl: channel.url
+                });
+            }
+        });
+        before.forEach((channel, key) => {
+            if (!after.has(key)) {
+                removed.push(ChannelDiff.summarize(channel));
+            }
+        });
+
+        return {
+            counts: { added: added.length, removed: removed.length, changed: changed.length },
+            added,
+            removed,
+            changed
+        };
+    }
+
+    // A copy small enough to keep in the change history
+    static truncate(diff, limit = DETAIL_LIMIT) {
+        return {
+            counts: diff.counts,
+            added: diff.added.slice(0, limit),
+            removed: diff.removed.slice(0, limit),
+            changed: diff.changed.slice(0, limit)
+        };
+    }
+
+    static isEmpty(diff) {
+        return diff.counts.added === 0 && diff.counts.removed === 0 && diff.counts.changed === 0;
+    }
+}
+
+module.exports = ChannelDiff;
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// Provider fields that hold credentials, or URLs that usually embed them
+const SECRET_FIELDS = ['username', 'password', 'm3uUrl', 'epgUrl', 'playlistEpgUrl'];
+// Query parameters that carry credentials in provider and stream URLs
+const CREDENTIAL_PARAMS = ['username', 'password', 'user', 'pass', 'token', 'key', 'auth'];
+const PREFIX = 'enc:v1:';
+const REDACTED = '***';
+
+// Encrypts provider credentials with AES-256-GCM for storage in the providers table.
+// Without a key values are stored and returned as they are.
+class CredentialVault {
+    constructor(secret) {
+        this.key = secret ? CredentialVault.deriveKey(secret) : null;
+    }
+
+    get enabled() {
+        return !!this.key;
+    }
+
+    // Any passphrase works; it is stretched into a 256-bit key
+    static deriveKey(secret) {
+        return crypto.scryptSync(String(secret), 'hls-proxy-manager-credentials', 32);
+    }
+
+    static isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    encrypt(value) {
+        if (!this.key || typeof value !== 'string' || !value || CredentialVault.isEncrypted(value)) {
+            return value;
+        }
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+        return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+    }
+
+    decrypt(value) {
+        if (!CredentialVault.isEncrypted(value)) {
+            return value;
+        }
+        if (!this.key) {
+            throw new Error('Provider credentials are encrypted but CREDENTIALS_KEY is not set');
+        }
+
+        const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new Error('Unable to decrypt provider credentials, CREDENTIALS_KEY does not match the stored data');
+        }
+    }
+
+    encryptProvider(provider) {
+        return CredentialVault.mapSecrets(provider, value => this.encrypt(value));
+    }
+
+    decryptProvider(provider) {
+        return CredentialVault.mapSecrets(provider, value => this.decrypt(value));
+    }
+
+    // True when a provider still has credentials stored in plain text
+    static hasPlainSecrets(provider) {
+        return SECRET_FIELDS.some(field => typeof provider[field] === 'string' && provider[field] && !CredentialVault.isEncrypted(provider[field]));
+    }
+
+    static mapSecrets(provider, transform) {
+        const result = { ...provider };
+        SECRET_FIELDS.forEach(field => {
+            if (result[field] !== undefined && result[field] !== null) {
+                result[field] = transform(result[field]);
+            }
+        });
+        return result;
+    }
+
+    // Mask credentials in a URL: user info, credential query parameters
+    // and the /live/<user>/<pass>/ path used by Xtream panels
+    static redactUrl(url) {
+        if (!url) return url;
+        try {
+            const parsed = new URL(url);
+            if (parsed.username) parsed.username = REDACTED;
+            if (parsed.password) parsed.password = REDACTED;
+            CREDENTIAL_PARAMS.forEach(name => {
+                if (parsed.searchParams.has(name)) parsed.searchParams.set(name, REDACTED);
+            });
+            parsed.pathname = parsed.pathname.replace(/^\/(live|movie|series|timeshift)\/[^/]+\/[^/]+\//, `/$1/${REDACTED}/${REDACTED}/`);
+            return parsed.toString();
+        } catch (error) {
+            return String(url).replace(/\/\/[^/@\s]+@/, `//${REDACTED}@`);
+        }
+    }
+
+    // Mask every URL found in a log message
+    static redactText(text) {
+        return String(text).replace(/[a-z][a-z0-9+.-]*:\/\/[^\s"'<>]+/gi, url => CredentialVault.redactUrl(url));
+    }
+}
+
+module.exports = CredentialVault;
@@ -0,0 +1,435 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Bump when the schema changes and add the upgrade step to MIGRATIONS
+const MIGRATIONS = [
+    `
+    CREATE TABLE providers (
+        id TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    -- One row per provider whose channels have been loaded
+    CREATE TABLE channel_lists (
+        provider_id TEXT PRIMARY KEY REFERENCES providers(id) ON DELETE CASCADE,
+        last_update TEXT NOT NULL,
+        series TEXT
+    );
+
+    CREATE TABLE channels (
+        id INTEGER PRIMARY KEY,
+        provider_id TEXT NOT NULL REFERENCES channel_lists(provider_id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        group_title TEXT NOT NULL DEFAULT '',
+        data TEXT NOT NULL
+    );
+    CREATE INDEX channels_provider ON channels(provider_id, position);
+    CREATE INDEX channels_url ON channels(url);
+    CREATE INDEX channels_group ON channels(group_title);
+
+    -- Trigram index so substring searches on names do not scan every channel
+    CREATE VIRTUAL TABLE channels_search USING fts5(name, content='channels', content_rowid='id', tokenize='trigram');
+    CREATE TRIGGER channels_search_insert AFTER INSERT ON channels BEGIN
+        INSERT INTO channels_search(rowid, name) VALUES (new.id, new.name);
+    END;
+    CREATE TRIGGER channels_search_delete AFTER DELETE ON channels BEGIN
+        INSERT INTO channels_search(channels_search, rowid, name) VALUES ('delete', old.id, old.name);
+    END;
+
+    CREATE TABLE streams (
+        id TEXT PRIMARY KEY,
+        position INTEGER,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    `,
+    // Search tvg-name and group as well as the channel name
+    `
+    ALTER TABLE channels ADD COLUMN tvg_name TEXT NOT NULL DEFAULT '';
+    UPDATE channels SET tvg_name = COALESCE(json_extract(data, '$.tvgName'), '');
+    CREATE INDEX channels_name ON channels(name COLLATE NOCASE);
+
+    DROP TRIGGER channels_search_insert;
+    DROP TRIGGER channels_search_delete;
+    DROP TABLE channels_search;
+    CREATE VIRTUAL TABLE channels_search USING fts5(name, tvg_name, group_title, content='channels', content_rowid='id', tokenize='trigram');
+    INSERT INTO channels_search(channels_search) VALUES ('rebuild');
+    CREATE TRIGGER channels_search_insert AFTER INSERT ON channels BEGIN
+        INSERT INTO channels_search(rowid, name, tvg_name, group_title) VALUES (new.id, new.name, new.tvg_name, new.group_title);
+    END;
+    CREATE TRIGGER channels_search_delete AFTER DELETE ON channels BEGIN
+        INSERT INTO channels_search(channels_search, rowid, name, tvg_name, group_title) VALUES ('delete', old.id, old.name, old.tvg_name, old.group_title);
+    END;
+    `,
+    // What each provider refresh changed
+    `
+    CREATE TABLE provider_changes (
+        id INTEGER PRIMARY KEY,
+        provider_id TEXT NOT NULL REFERENCES providers(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX provider_changes_provider ON provider_changes(provider_id, id);
+    `,
+    // Series rules that schedule recordings from the guide
+    `
+    CREATE TABLE recording_rules (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    `
+];
+
+// Channel sort orders offered by searchChannels, as SQL expressions.
+// Expressions with their own direction keep it when the order is reversed.
+const CHANNEL_SORTS = {
+    default: ['p.position', 'c.position'],
+    name: ['c.name COLLATE NOCASE'],
+    group: ['c.group_title COLLATE NOCASE', 'c.name COLLATE NOCASE'],
+    provider: ["json_extract(p.data, '$.name') COLLATE NOCASE", 'c.position'],
+    // Channels without a number go last
+    number: ["json_extract(c.data, '$.tvgChno') IS NULL ASC", "CAST(json_extract(c.data, '$.tvgChno') AS REAL)", 'c.name COLLATE NOCASE']
+};
+
+// Files from the JSON storage used before the database; imported once, then renamed
+const LEGACY_FILES = ['providers.json', 'channels_cache.json', 'streams.json', 'hdhomerun.json'];
+
+// Embedded SQLite database holding providers, their channels, stream state and settings.
+// All writes that touch several rows run in a transaction.
+class DataStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.db = null;
+    }
+
+    open() {
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+
+        const version = this.db.pragma('user_version', { simple: true });
+        MIGRATIONS.slice(version).forEach((sql, index) => {
+            this.db.transaction(() => {
+                this.db.exec(sql);
+                this.db.pragma(`user_version = ${version + index + 1}`);
+            })();
+        });
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // Providers, in the order they were added. Credentials are stored as given.
+    getProviders() {
+        return this.db.prepare('SELECT data FROM providers ORDER BY position')
+            .all()
+            .map(row => JSON.parse(row.data));
+    }
+
+    // Replace the provider list; providers left out are deleted with their channels
+    saveProviders(providers) {
+        const upsert = this.db.prepare(`
+            INSERT INTO providers (id, position, data) VALUES (@id, @position, @data)
+            ON CONFLICT(id) DO UPDATE SET position = excluded.position, data = excluded.data
+        `);
+        this.db.transaction(() => {
+            const ids = providers.map(provider => provider.id);
+            this.db.prepare('DELETE FROM providers WHERE id NOT IN (SELECT value FROM json_each(?))').run(JSON.stringify(ids));
+            providers.forEach((provider, position) => {
+                upsert.run({ id: provider.id, position, data: JSON.stringify(provider) });
+            });
+        })();
+    }
+
+    addProvider(provider) {
+        this.db.prepare(`
+            INSERT INTO providers (id, position, data)
+            VALUES (?, (SELECT COALESCE(MAX(position), -1) + 1 FROM providers), ?)
+        `).run(provider.id, JSON.stringify(provider));
+    }
+
+    // Read, change and write one provider in a single transaction, so
+    // concurrent updates cannot drop each other's changes
+    updateProvider(id, update) {
+        return this.db.transaction(() => {
+            const row = this.db.prepare('SELECT data FROM providers WHERE id = ?').get(id);
+            if (!row) return null;
+            const provider = update(JSON.parse(row.data));
+            this.db.prepare('UPDATE providers SET data = ? WHERE id = ?').run(JSON.stringify(provider), id);
+            return provider;
+        })();
+    }
+
+    // Deleting a provider removes its channels as well
+    deleteProvider(id) {
+        this.db.prepare('DELETE FROM providers WHERE id = ?').run(id);
+    }
+
+    // Swap in a freshly loaded channel list for one provider
+    replaceChannels(providerId, channels, { series = null, lastUpdate = new Date().toISOString() } = {}) {
+        const insert = this.db.prepare(`
+            INSERT INTO channels (provider_id, position, name, url, group_title, tvg_name, data)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM channel_lists WHERE provider_id = ?').run(providerId);
+            this.db.prepare('INSERT INTO channel_lists (provider_id, last_update, series) VALUES (?, ?, ?)')
+                .run(providerId, lastUpdate, series ? JSON.stringify(series) : null);
+            channels.forEach((channel, position) => {
+                insert.run(providerId, position, channel.name || '', channel.url, channel.group || '', channel.tvgName || '', JSON.stringify(channel));
+            });
+        })();
+    }
+
+    // One page of channels across all providers, with the total number of matches.
+    // Every word of the search has to appear, in any order, in the channel name,
+    // tvg-name, group or provider name. Searches sort by relevance unless a sort is given.
+    searchChannels({ search, group, providerIds, sort, order = 'asc', limit = null, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        const words = String(search || '').trim().split(/\s+/).filter(Boolean);
+        words.forEach(word => {
+            const pattern = `%${DataStore.escapeLike(word)}%`;
+            // The trigram index matches substrings of at least three characters
+            if (word.length >= 3) {
+                conditions.push(`(c.id IN (SELECT rowid FROM channels_search WHERE channels_search MATCH ?)
+                    OR json_extract(p.data, '$.name') LIKE ? ESCAPE '\\')`);
+                params.push(`"${word.replace(/"/g, '""')}"`, pattern);
+            } else {
+                conditions.push(`(c.name LIKE ? ESCAPE '\\' OR c.tvg_name LIKE ? ESCAPE '\\'
+                    OR c.group_title LIKE ? ESCAPE '\\' OR json_extract(p.data, '$.name') LIKE ? ESCAPE '\\')`);
+                params.push(pattern, pattern, pattern, pattern);
+            }
+        });
+        if (group) {
+            conditions.push('c.group_title = ?');
+            params.push(group);
+        }
+        if (providerIds && providerIds.length > 0) {
+            conditions.push('c.provider_id IN (SELECT value FROM json_each(?))');
+            params.push(JSON.stringify(providerIds));
+        }
+
+        const from = `
+            FROM channels c
+            JOIN providers p ON p.id = c.provider_id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        `;
+        const { total } = this.db.prepare(`SELECT COUNT(*) AS total ${from}`).get(...params);
+
+        // Relevance: exact names first, then names starting with the search, then the rest
+        const orderParams = [];
+        let orderBy;
+        if (sort && CHANNEL_SORTS[sort]) {
+            const direction = order === 'desc' ? 'DESC' : 'ASC';
+            orderBy = CHANNEL_SORTS[sort].map(expression => (/ (ASC|DESC)$/.test(expression) ? expression : `${expression} ${direction}`));
+        } else if (words.length > 0) {
+            const phrase = words.join(' ');
+            orderBy = ["CASE WHEN c.name LIKE ? ESCAPE '\\' THEN 0 WHEN c.name LIKE ? ESCAPE '\\' THEN 1 ELSE 2 END", ...CHANNEL_SORTS.default];
+            orderParams.push(DataStore.escapeLike(phrase), `${DataStore.escapeLike(phrase)}%`);
+        } else {
+            orderBy = CHANNEL_SORTS.default;
+        }
+
+        const channels = this.db.prepare(`
+            SELECT c.provider_id, c.data ${from}
+            ORDER BY ${orderBy.join(', ')}
+            LIMIT ? OFFSET ?
+        `).all(...params, ...orderParams, limit === null ? -1 : limit, offset).map(DataStore.toChannel);
+
+        return { channels, total };
+    }
+
+    // A provider's channels in list order, or null if they were never loaded
+    getProviderChannels(providerId) {
+        if (!this.db.prepare('SELECT 1 FROM channel_lists WHERE provider_id = ?').get(providerId)) {
+            return null;
+        }
+        return this.db.prepare('SELECT data FROM channels WHERE provider_id = ? ORDER BY position')
+            .all(providerId)
+            .map(row => JSON.parse(row.data));
+    }
+
+    // Record a refresh's changes, keeping only the newest `keep` entries per provider
+    addProviderChange(providerId, change, keep) {
+        return this.db.transaction(() => {
+            const createdAt = new Date().toISOString();
+            const { lastInsertRowid } = this.db.prepare('INSERT INTO provider_changes (provider_id, created_at, data) VALUES (?, ?, ?)')
+                .run(providerId, createdAt, JSON.stringify(change));
+            this.db.prepare(`
+                DELETE FROM provider_changes WHERE provider_id = ? AND id NOT IN (
+                    SELECT id FROM provider_changes WHERE provider_id = ? ORDER BY id DESC LIMIT ?
+                )
+            `).run(providerId, providerId, keep);
+            return { id: Number(lastInsertRowid), createdAt, ...change };
+        })();
+    }
+
+    // Newest first
+    getProviderChanges(providerId) {
+        return this.db.prepare('SELECT id, created_at, data FROM provider_changes WHERE provider_id = ? ORDER BY id DESC')
+            .all(providerId)
+            .map(DataStore.toProviderChange);
+    }
+
+    getProviderChange(providerId, id) {
+        const row = this.db.prepare('SELECT id, created_at, data FROM provider_changes WHERE provider_id = ? AND id = ?').get(providerId, id);
+        return row ? DataStore.toProviderChange(row) : null;
+    }
+
+    updateProviderChange(id, change) {
+        this.db.prepare('UPDATE provider_changes SET data = ? WHERE id = ?').run(JSON.stringify(change), id);
+    }
+
+    getRecordingRules() {
+        return this.db.prepare('SELECT data FROM recording_rules ORDER BY rowid')
+            .all()
+            .map(row => JSON.parse(row.data));
+    }
+
+    saveRecordingRule(rule) {
+        this.db.prepare(`
+            INSERT INTO recording_rules (id, data) VALUES (?, ?)
+            ON CONFLICT(id) DO UPDATE SET data = excluded.data
+        `).run(rule.id, JSON.stringify(rule));
+    }
+
+    deleteRecordingRule(id) {
+        return this.db.prepare('DELETE FROM recording_rules WHERE id = ?').run(id).changes > 0;
+    }
+
+    findChannelByUrl(url) {
+        const row = this.db.prepare('SELECT provider_id, data FROM channels WHERE url = ? LIMIT 1').get(url);
+        return row ? DataStore.toChannel(row) : null;
+    }
+
+    // Channels of other providers carrying the same programme: matching tvg-id first,
+    // then the same name, in provider and list order
+    findMatchingChannels({ tvgId, name, excludeProviderId }) {
+        return this.db.prepare(`
+            SELECT provider_id, data,
+                CASE WHEN @tvgId != '' AND json_extract(data, '$.tvgId') = @tvgId THEN 0 ELSE 1 END AS rank
+            FROM channels
+            WHERE provider_id != @excludeProviderId
+                AND ((@tvgId != '' AND json_extract(data, '$.tvgId') = @tvgId)
+                    OR (@name != '' AND name = @name COLLATE NOCASE))
+            ORDER BY rank, provider_id, position
+        `).all({ tvgId: tvgId || '', name: name || '', excludeProviderId: excludeProviderId || '' })
+            .map(DataStore.toChannel);
+    }
+
+    getChannelGroups() {
+        return this.db.prepare("SELECT DISTINCT group_title FROM channels WHERE group_title != '' ORDER BY group_title")
+            .all()
+            .map(row => row.group_title);
+    }
+
+    // Stream info and the custom order, in the shape the JSON file used
+    getStreamState() {
+        const rows = this.db.prepare('SELECT id, position, data FROM streams ORDER BY position').all();
+        return {
+            order: rows.filter(row => row.position !== null).map(row => row.id),
+            streams: rows.map(row => ({ id: row.id, ...JSON.parse(row.data) }))
+        };
+    }
+
+    saveStreamState(order, streams) {
+        const insert = this.db.prepare('INSERT INTO streams (id, position, data) VALUES (?, ?, ?)');
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM streams').run();
+            streams.forEach(({ id, ...info }) => {
+                const position = order.indexOf(id);
+                insert.run(id, position === -1 ? null : position, JSON.stringify(info));
+            });
+        })();
+    }
+
+    getSetting(key, fallback = null) {
+        const row = this.db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+        return row ? JSON.parse(row.value) : fallback;
+    }
+
+    setSetting(key, value) {
+        this.db.prepare(`
+            INSERT INTO settings (key, value) VALUES (?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value
+        `).run(key, JSON.stringify(value));
+    }
+
+    // One-time import of the JSON files used before the database. Imported
+    // files are renamed to *.imported so they are kept as a backup.
+    importJsonFiles(dataDir) {
+        if (this.getSetting('jsonImportedAt')) {
+            return null;
+        }
+
+        const read = (name, fallback) => {
+            try {
+                return JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf8'));
+            } catch (error) {
+                return fallback;
+            }
+        };
+        const providers = read('providers.json', []);
+        const cache = read('channels_cache.json', {});
+        const streamState = read('streams.json', { order: [], streams: [] });
+        const hdhomerun = read('hdhomerun.json', null);
+        const counts = { providers: providers.length, channels: 0, streams: (streamState.streams || []).length };
+
+        this.db.transaction(() => {
+            this.saveProviders(providers);
+            const providerIds = new Set(providers.map(provider => provider.id));
+            // Channels of deleted providers sometimes linger in the old cache
+            Object.entries(cache)
+                .filter(([providerId]) => providerIds.has(providerId))
+                .forEach(([providerId, { lastUpdate, channels = [], series }]) => {
+                    this.replaceChannels(providerId, channels, { series, lastUpdate: lastUpdate || new Date().toISOString() });
+                    counts.channels += channels.length;
+                });
+            this.saveStreamState(streamState.order || [], streamState.streams || []);
+            if (hdhomerun) {
+                this.setSetting('hdhomerun', hdhomerun);
+            }
+            this.setSetting('jsonImportedAt', new Date().toISOString());
+        })();
+
+        LEGACY_FILES.forEach(name => {
+            const file = path.join(dataDir, name);
+            if (fs.existsSync(file)) {
+                fs.renameSync(file, `${file}.imported`);
+            }
+        });
+        return counts;
+    }
+
+    static get channelSorts() {
+        return Object.keys(CHANNEL_SORTS);
+    }
+
+    static toChannel(row) {
+        return { ...JSON.parse(row.data), providerId: row.provider_id };
+    }
+
+    static toProviderChange(row) {
+        return { id: row.id, createdAt: row.created_at, ...JSON.parse(row.data) };
+    }
+
+    static escapeLike(value) {
+        return String(value).replace(/[\\%_]/g, char => `\\${char}`);
+    }
+}
+
+module.exports = DataStore;
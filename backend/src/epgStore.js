@@ -0,0 +1,122 @@
+const fs = require('fs').promises;
+
+// Guide data grouped by source, with programmes keyed by XMLTV channel id
+class EPGStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.sources = {};
+    }
+
+    async load() {
+        try {
+            const data = await fs.readFile(this.filePath, 'utf8');
+            this.sources = JSON.parse(data).sources || {};
+        } catch (error) {
+            this.sources = {};
+        }
+    }
+
+    async save() {
+        await fs.writeFile(this.filePath, JSON.stringify({ sources: this.sources }));
+    }
+
+    // Replace everything stored for a source with freshly parsed data
+    setSource(key, { url, name, channels, programmes }) {
+        Object.values(programmes).forEach(list => list.sort((a, b) => a.start.localeCompare(b.start)));
+        this.sources[key] = {
+            url,
+            name,
+            channels,
+            programmes,
+            lastUpdate: new Date().toISOString(),
+            error: null,
+            programmeCount: Object.values(programmes).reduce((total, list) => total + list.length, 0)
+        };
+    }
+
+    setSourceError(key, { url, name }, error) {
+        this.sources[key] = {
+            channels: {},
+            programmes: {},
+            programmeCount: 0,
+            lastUpdate: null,
+            ...this.sources[key],
+            url,
+            name,
+            error: error.message,
+            lastFailure: new Date().toISOString()
+        };
+    }
+
+    removeSource(key) {
+        delete this.sources[key];
+    }
+
+    // Oldest successful update across all sources, or null if any never loaded
+    getLastUpdate() {
+        const updates = Object.values(this.sources).map(source => source.lastUpdate);
+        if (updates.length === 0 || updates.some(update => !update)) return null;
+        return updates.sort()[0];
+    }
+
+    getStatus() {
+        return Object.entries(this.sources).map(([key, { url, name, lastUpdate, lastFailure, error, programmeCount, channels }]) => ({
+            key,
+            url,
+            name,
+            lastUpdate,
+            lastFailure: lastFailure || null,
+            error,
+            programmeCount,
+            channelCount: Object.keys(channels || {}).length
+        }));
+    }
+
+    // Programmes for one channel overlapping [from, to), merged across sources
+    getProgrammes(channelId, from, to) {
+        const fromIso = from.toISOString();
+        const toIso = to.toISOString();
+        const seen = new Set();
+        const programmes = [];
+
+        Object.values(this.sources).forEach(source => {
+            (source.programmes[channelId] || []).forEach(programme => {
+                if (programme.start >= toIso || (programme.stop || programme.start) <= fromIso) return;
+                // The same listing often appears in more than one source
+                if (seen.has(programme.start)) return;
+                seen.add(programme.start);
+                programmes.push(programme);
+            });
+        });
+
+        return programmes.sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    // Current and next programme for the given channels (all channels when omitted)
+    getNowNext(channelIds = null, at = new Date()) {
+        const atIso = at.toISOString();
+        const result = {};
+        const wanted = channelIds ? new Set(channelIds) : null;
+
+        Object.values(this.sources).forEach(source => {
+            Object.entries(source.programmes).forEach(([channelId, list]) => {
+                if (wanted && !wanted.has(channelId)) return;
+                if (result[channelId] && result[channelId].now) return;
+
+                const index = list.findIndex(programme => (programme.stop || programme.start) > atIso);
+                if (index === -1) return;
+
+                const first = list[index];
+                const isNow = first.start <= atIso;
+                result[channelId] = {
+                    now: isNow ? first : null,
+                    next: isNow ? list[index + 1] || null : first
+                };
+            });
+        });
+
+        return result;
+    }
+}
+
+module.exports = EPGStore;
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const dgram = require('dgram');
+const os = require('os');
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+const DEVICE_TYPE = 'urn:schemas-upnp-org:device:MediaServer:1';
+
+// Nibble lookup used by SiliconDust to checksum device IDs
+const CHECKSUM_LOOKUP = [0xA, 0x5, 0xF, 0x6, 0x7, 0xC, 0x1, 0xB, 0x9, 0x2, 0x8, 0xD, 0x4, 0x3, 0xE, 0x0];
+
+// Emulates an HDHomeRun network tuner so Plex, Jellyfin and Emby can use
+// the curated streams as live TV channels
+class HDHomeRun {
+    constructor({ deviceId, friendlyName = 'HLS Proxy', tunerCount = 2 }) {
+        this.deviceId = deviceId;
+        this.friendlyName = friendlyName;
+        this.tunerCount = tunerCount;
+        this.socket = null;
+    }
+
+    discover(baseUrl) {
+        return {
+            FriendlyName: this.friendlyName,
+            Manufacturer: 'Silicondust',
+            ModelNumber: 'HDTC-2US',
+            FirmwareName: 'hdhomeruntc_atsc',
+            FirmwareVersion: '20200101',
+            DeviceID: this.deviceId,
+            DeviceAuth: this.deviceId,
+            TunerCount: this.tunerCount,
+            BaseURL: baseUrl,
+            LineupURL: `${baseUrl}/lineup.json`
+        };
+    }
+
+    lineupStatus() {
+        return {
+            ScanInProgress: 0,
+            ScanPossible: 1,
+            Source: 'Cable',
+            SourceList: ['Cable']
+        };
+    }
+
+    // streams must be in the user's custom order, which sets the guide numbers;
+    // the M3U playlist's tvg-chno uses the same numbers
+    lineup(streams, baseUrl) {
+        return streams.map((stream, index) => ({
+            GuideNumber: String(index + 1),
+            GuideName: stream.channelName,
+            URL: `${baseUrl}/hdhomerun/stream/${encodeURIComponent(stream.id)}`
+        }));
+    }
+
+    deviceXml(baseUrl) {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<root xmlns="urn:schemas-upnp-org:device-1-0">',
+            `    <URLBase>${HDHomeRun.escapeXml(baseUrl)}</URLBase>`,
+            '    <specVersion><major>1</major><minor>0</minor></specVersion>',
+            '    <device>',
+            `        <deviceType>${DEVICE_TYPE}</deviceType>`,
+            `        <friendlyName>${HDHomeRun.escapeXml(this.friendlyName)}</friendlyName>`,
+            '        <manufacturer>Silicondust</manufacturer>',
+            '        <modelName>HDTC-2US</modelName>',
+            '        <modelNumber>HDTC-2US</modelNumber>',
+            `        <serialNumber>${this.deviceId}</serialNumber>`,
+            `        <UDN>uuid:${this.deviceId}</UDN>`,
+            '    </device>',
+            '</root>',
+            ''
+        ].join('\n');
+    }
+
+    // Answer SSDP M-SEARCH requests so media servers find the tuner on their own.
+    // getLocation returns the device.xml URL advertised in responses.
+    startSsdp(getLocation) {
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        this.socket = socket;
+
+        socket.on('error', (error) => {
+            console.error('SSDP error:', error.message);
+            socket.close();
+            this.socket = null;
+        });
+
+        socket.on('message', (message, remote) => {
+            const request = message.toString();
+            if (!request.startsWith('M-SEARCH')) return;
+
+            const searchTarget = (request.match(/^ST:\s*(.+)$/im) || [])[1];
+            const target = searchTarget && searchTarget.trim();
+            if (!['ssdp:all', 'upnp:rootdevice', DEVICE_TYPE].includes(target)) return;
+
+            const response = [
+                'HTTP/1.1 200 OK',
+                'CACHE-CONTROL: max-age=1800',
+                'EXT:',
+                `LOCATION: ${getLocation()}`,
+                'SERVER: HLSProxy/1.0 UPnP/1.0',
+                `ST: ${target === 'ssdp:all' ? DEVICE_TYPE : target}`,
+                `USN: uuid:${this.deviceId}::${target === 'ssdp:all' ? DEVICE_TYPE : target}`,
+                '',
+                ''
+            ].join('\r\n');
+            socket.send(response, remote.port, remote.address);
+        });
+
+        socket.bind(SSDP_PORT, () => {
+            try {
+                socket.addMembership(SSDP_ADDRESS);
+                console.log(`SSDP discovery listening on port ${SSDP_PORT}`);
+            } catch (error) {
+                console.error('SSDP multicast unavailable:', error.message);
+            }
+        });
+    }
+
+    stopSsdp() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    // Random 8 hex digit device ID whose last nibble is a valid checksum
+    static createDeviceId() {
+        const base = crypto.randomBytes(4).readUInt32BE(0) & 0xFFFFFFF0;
+        return ((base | HDHomeRun.checksum(base)) >>> 0).toString(16).toUpperCase().padStart(8, '0');
+    }
+
+    static checksum(id) {
+        let checksum = 0;
+        checksum ^= CHECKSUM_LOOKUP[(id >>> 28) & 0xF];
+        checksum ^= (id >>> 24) & 0xF;
+        checksum ^= CHECKSUM_LOOKUP[(id >>> 20) & 0xF];
+        checksum ^= (id >>> 16) & 0xF;
+        checksum ^= CHECKSUM_LOOKUP[(id >>> 12) & 0xF];
+        checksum ^= (id >>> 8) & 0xF;
+        checksum ^= CHECKSUM_LOOKUP[(id >>> 4) & 0xF];
+        checksum ^= id & 0xF;
+        return checksum;
+    }
+
+    static isValidDeviceId(deviceId) {
+        return /^[0-9A-F]{8}$/i.test(deviceId) && HDHomeRun.checksum(parseInt(deviceId, 16)) === 0;
+    }
+
+    // First external IPv4 address, used when no public base URL is configured
+    static getLanAddress() {
+        const addresses = Object.values(os.networkInterfaces()).flat();
+        const address = addresses.find(({ family, internal }) => (family === 'IPv4' || family === 4) && !internal);
+        return address ? address.address : '127.0.0.1';
+    }
+
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = HDHomeRun;
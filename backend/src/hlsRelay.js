@@ -0,0 +1,89 @@
+const axios = require('axios');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Re-serves an HLS stream as one continuous MPEG-TS response, for clients
+// such as DVRs that expect a raw transport stream instead of a playlist
+class HLSRelay {
+    constructor(playlistUrl, output, { pollInterval = 1000, startupTimeout = 30000, maxFailures = 10, headers = {} } = {}) {
+        this.playlistUrl = playlistUrl;
+        this.output = output;
+        this.headers = headers;
+        this.pollInterval = pollInterval;
+        this.startupTimeout = startupTimeout;
+        this.maxFailures = maxFailures;
+        this.lastSegment = null;
+        this.stopped = false;
+    }
+
+    // Resolves once the client goes away, the stream ends or it stops responding
+    async run() {
+        const startedAt = Date.now();
+        let failures = 0;
+
+        while (!this.stopped) {
+            let playlist;
+            try {
+                const response = await axios.get(this.playlistUrl, { responseType: 'text', timeout: 10000, headers: this.headers });
+                playlist = response.data;
+                failures = 0;
+            } catch (error) {
+                // The playlist only appears once ffmpeg has written the first segments
+                const starting = !this.lastSegment && Date.now() - startedAt < this.startupTimeout;
+                if (!starting && ++failures >= this.maxFailures) {
+                    throw new Error(`Playlist unavailable: ${error.message}`);
+                }
+                await sleep(this.pollInterval);
+                continue;
+            }
+
+            for (const segment of this.pendingSegments(playlist)) {
+                if (this.stopped) break;
+                await this.sendSegment(segment);
+                this.lastSegment = segment;
+            }
+
+            if (/^#EXT-X-ENDLIST/m.test(playlist)) break;
+            await sleep(this.pollInterval);
+        }
+
+        this.stop();
+    }
+
+    // Segments after the last one sent; a new client starts at the live edge
+    pendingSegments(playlist) {
+        const segments = playlist
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+
+        if (!this.lastSegment) {
+            return segments.slice(-1);
+        }
+        const index = segments.indexOf(this.lastSegment);
+        return index === -1 ? segments : segments.slice(index + 1);
+    }
+
+    async sendSegment(segment) {
+        const url = new URL(segment, this.playlistUrl).toString();
+        const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000, headers: this.headers });
+        if (this.stopped) return;
+
+        if (!this.output.write(Buffer.from(response.data))) {
+            await new Promise(resolve => {
+                this.output.once('drain', resolve);
+                this.output.once('close', resolve);
+            });
+        }
+    }
+
+    stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        if (!this.output.writableEnded) {
+            this.output.end();
+        }
+    }
+}
+
+module.exports = HLSRelay;
@@ -3,18 +3,284 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
 const M3UParser = require('./m3uParser');
+const StreamSlug = require('./streamSlug');
+const XtreamClient = require('./xtreamClient');
+const XMLTVParser = require('./xmltvParser');
+const EPGStore = require('./epgStore');
+const PlaylistBuilder = require('./playlistBuilder');
+const HDHomeRun = require('./hdhomerun');
+const HLSRelay = require('./hlsRelay');
+const UserStore = require('./userStore');
+const SessionStore = require('./sessionStore');
+const CredentialVault = require('./credentialVault');
+const DataStore = require('./dataStore');
+const RefreshScheduler = require('./refreshScheduler');
+const ChannelDiff = require('./channelDiff');
+const RecordingPlanner = require('./recordingPlanner');
+const ProviderSlots = require('./providerSlots');
 const WebSocket = require('ws');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DATA_DIR = '/app/data';
+const EPG_REFRESH_HOURS = parseFloat(process.env.EPG_REFRESH_HOURS) || 12;
+const EPG_PAST_HOURS = parseFloat(process.env.EPG_PAST_HOURS) || 6;
+// Public address of HLS-Proxy used in generated playlists, e.g. http://tv.example.com:8080
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+// HDHomeRun emulation: concurrent tune limit and the address media servers use to reach the backend
+// The tuner routes cannot ask for a login, so they stay off unless enabled
+const HDHOMERUN_ENABLED = process.env.HDHOMERUN_ENABLED === 'true';
+const HDHOMERUN_TUNER_COUNT = parseInt(process.env.HDHOMERUN_TUNER_COUNT, 10) || 2;
+const HDHOMERUN_BASE_URL = (process.env.HDHOMERUN_BASE_URL || '').replace(/\/+$/, '');
+// Scheduled provider refreshes: random delay added to each run, and retries after a failure
+const PROVIDER_REFRESH_JITTER_MINUTES = parseFloat(process.env.PROVIDER_REFRESH_JITTER_MINUTES) || 5;
+const PROVIDER_REFRESH_RETRIES = process.env.PROVIDER_REFRESH_RETRIES !== undefined ? parseInt(process.env.PROVIDER_REFRESH_RETRIES, 10) : 3;
+const PROVIDER_REFRESH_RETRY_MINUTES = parseFloat(process.env.PROVIDER_REFRESH_RETRY_MINUTES) || 5;
+// Change history entries kept per provider
+const PROVIDER_CHANGE_HISTORY = parseInt(process.env.PROVIDER_CHANGE_HISTORY, 10) || 20;
+// Recordings: streams that may be recorded at the same time, and default padding around programmes in minutes
+const RECORDINGS_MAX_CONCURRENT_STREAMS = parseInt(process.env.RECORDINGS_MAX_CONCURRENT_STREAMS, 10) || 2;
+const RECORDING_PADDING_BEFORE_MINUTES = process.env.RECORDING_PADDING_BEFORE_MINUTES !== undefined ? parseFloat(process.env.RECORDING_PADDING_BEFORE_MINUTES) : 2;
+const RECORDING_PADDING_AFTER_MINUTES = process.env.RECORDING_PADDING_AFTER_MINUTES !== undefined ? parseFloat(process.env.RECORDING_PADDING_AFTER_MINUTES) : 5;
+// Channel list paging for /api/channels
+const CHANNELS_PAGE_SIZE = 100;
+const CHANNELS_MAX_PAGE_SIZE = 1000;
+// Encrypts stored provider credentials; unset stores them in plain text
+const credentialVault = new CredentialVault(process.env.CREDENTIALS_KEY);
+// How long a login stays valid
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 168;
+// HLS-Proxy control API, authenticated with a key shared between the two services
+const HLS_PROXY_URL = 'http://hls-proxy:8080';
+const HLS_PROXY_API_KEY = process.env.HLS_PROXY_API_KEY || '';
+const HLS_PROXY_HEADERS = HLS_PROXY_API_KEY ? { 'X-API-Key': HLS_PROXY_API_KEY } : {};
+const hlsProxy = axios.create({
+    baseURL: HLS_PROXY_URL,
+    headers: HLS_PROXY_HEADERS
+});
 
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
 
+// Accounts and login sessions
+// Providers, channels, stream state and settings
+const dataStore = new DataStore(path.join(DATA_DIR, 'manager.db'));
+const userStore = new UserStore(path.join(DATA_DIR, 'users.json'));
+const sessionStore = new SessionStore(path.join(DATA_DIR, 'sessions.json'), SESSION_TTL_HOURS * 3600 * 1000);
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Load accounts, creating the first admin from ADMIN_USERNAME/ADMIN_PASSWORD
+// or with a random password that is printed once
+async function initAuth() {
+    await userStore.load();
+    await sessionStore.load();
+    if (userStore.count > 0) {
+        return;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+    await userStore.create({ username, password, role: 'admin' });
+    if (process.env.ADMIN_PASSWORD) {
+        console.log(`Created admin user "${username}"`);
+    } else {
+        console.log(`Created admin user "${username}" with password: ${password}`);
+    }
+}
+
+// Bearer token from the Authorization header, or ?token= where headers
+// cannot be set (WebSockets, file downloads)
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+}
+
+// Resolve a request to its logged-in user, or null
+function getSessionUser(req) {
+    const token = getRequestToken(req);
+    const session = sessionStore.get(token);
+    if (!session) return null;
+    return userStore.findById(session.userId);
+}
+
+// Routes any logged-in user may call with a method other than GET
+const SELF_SERVICE_ROUTES = ['/auth/logout', '/auth/password', '/auth/playlist-token'];
+
+// Every /api route needs a session; viewers are limited to reading
+app.use('/api', async (req, res, next) => {
+    await authReady;
+    if (req.path === '/auth/login' || req.path.startsWith('/playlist')) {
+        return next();
+    }
+
+    const user = getSessionUser(req);
+    if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (user.role !== 'admin' && req.method !== 'GET' && !SELF_SERVICE_ROUTES.includes(req.path)) {
+        return res.status(403).json({ error: 'Administrator access required' });
+    }
+
+    req.user = user;
+    next();
+});
+
+function requireAdmin(req, res, next) {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Administrator access required' });
+    }
+    next();
+}
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const user = await userStore.verify(username, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        const { token, expiresAt } = await sessionStore.create(user);
+        res.json({ token, expiresAt, user: UserStore.toPublic(user) });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await sessionStore.remove(getRequestToken(req));
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The current user, including the personal playlist token
+app.get('/api/auth/me', (req, res) => {
+    res.json({ ...UserStore.toPublic(req.user), playlistToken: req.user.playlistToken });
+});
+
+app.post('/api/auth/password', async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        if (!await UserStore.verifyPassword(currentPassword || '', req.user.passwordHash)) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        await userStore.update(req.user.id, { password: newPassword });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Invalidate the old playlist URL, e.g. after sharing it by mistake
+app.post('/api/auth/playlist-token', async (req, res) => {
+    try {
+        const user = await userStore.regeneratePlaylistToken(req.user.id);
+        res.json({ playlistToken: user.playlistToken });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/users', requireAdmin, (req, res) => {
+    res.json(userStore.list());
+});
+
+app.post('/api/users', requireAdmin, async (req, res) => {
+    try {
+        const { username, password, role = 'viewer' } = req.body;
+        if (!USERNAME_PATTERN.test(username || '')) {
+            return res.status(400).json({ error: 'Username must be 3-32 letters, digits, dots, hyphens or underscores' });
+        }
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+        if (!UserStore.roles.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${UserStore.roles.join(', ')}` });
+        }
+        if (userStore.findByUsername(username)) {
+            return res.status(409).json({ error: `User "${username}" already exists` });
+        }
+
+        const user = await userStore.create({ username, password, role });
+        res.json(UserStore.toPublic(user));
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/users/:id', requireAdmin, async (req, res) => {
+    try {
+        const { password, role } = req.body;
+        const user = userStore.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (password && password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+        if (role && !UserStore.roles.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${UserStore.roles.join(', ')}` });
+        }
+        // Keep at least one administrator
+        if (role === 'viewer' && user.role === 'admin' && userStore.users.filter(u => u.role === 'admin').length === 1) {
+            return res.status(400).json({ error: 'Cannot remove the last administrator' });
+        }
+
+        const updated = await userStore.update(user.id, { password, role });
+        if (password || role) {
+            // Changed credentials or permissions apply from the next login
+            await sessionStore.removeForUser(user.id);
+        }
+        res.json(UserStore.toPublic(updated));
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+    try {
+        const user = userStore.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.id === req.user.id) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+
+        await userStore.remove(user.id);
+        await sessionStore.removeForUser(user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Error summary safe for the logs. Axios errors carry the request, including source
+// URLs with credentials, so only the masked message and the response status are kept.
+function describeError(error) {
+    const message = CredentialVault.redactText(error.message);
+    return error.response ? `${message} (HTTP ${error.response.status})` : message;
+}
+
 // Ensure data directory exists
 async function ensureDataDir() {
     try {
@@ -24,34 +290,51 @@ async function ensureDataDir() {
     }
 }
 
-// Load providers from JSON file
-async function loadProviders() {
-    try {
-        const data = await fs.readFile(path.join(DATA_DIR, 'providers.json'), 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return [];
+// Open the database, importing the JSON files of earlier versions on first start
+async function initDataStore() {
+    dataStore.open();
+    const imported = dataStore.importJsonFiles(DATA_DIR);
+    if (imported && (imported.providers > 0 || imported.streams > 0)) {
+        console.log(`Imported ${imported.providers} provider(s), ${imported.channels} channel(s) and ${imported.streams} stream(s) from JSON files`);
     }
 }
 
-// Save providers to JSON file
+// Load providers from the database, decrypting their credentials
+async function loadProviders() {
+    return dataStore.getProviders().map(provider => credentialVault.decryptProvider(provider));
+}
+
+// Save the full provider list, encrypting their credentials
 async function saveProviders(providers) {
-    await fs.writeFile(path.join(DATA_DIR, 'providers.json'), JSON.stringify(providers, null, 2));
+    dataStore.saveProviders(providers.map(provider => credentialVault.encryptProvider(provider)));
 }
 
-// Load channels cache from JSON file
-async function loadChannelsCache() {
+// Encrypt credentials left in plain text by earlier versions
+async function migrateProviderCredentials() {
+    const plain = dataStore.getProviders().filter(CredentialVault.hasPlainSecrets);
+    if (plain.length === 0) {
+        return;
+    }
+    if (!credentialVault.enabled) {
+        console.warn('CREDENTIALS_KEY is not set, provider credentials are stored in plain text');
+        return;
+    }
+
     try {
-        const data = await fs.readFile(path.join(DATA_DIR, 'channels_cache.json'), 'utf8');
-        return JSON.parse(data);
+        await saveProviders(await loadProviders());
+        console.log(`Encrypted credentials of ${plain.length} provider(s)`);
     } catch (error) {
-        return {};
+        console.error('Error encrypting provider credentials:', error.message);
     }
 }
 
-// Save channels cache to JSON file
-async function saveChannelsCache(cache) {
-    await fs.writeFile(path.join(DATA_DIR, 'channels_cache.json'), JSON.stringify(cache, null, 2));
+// Merge changes into a stored provider, returning the updated record
+async function updateProvider(id, changes) {
+    const updated = dataStore.updateProvider(id, provider => credentialVault.encryptProvider({
+        ...credentialVault.decryptProvider(provider),
+        ...changes
+    }));
+    return updated ? credentialVault.decryptProvider(updated) : null;
 }
 
 // Create WebSocket server
@@ -74,16 +357,15 @@ const broadcastStreamStats = (streamId, stats) => {
 };
 
 // Poll HLS-proxy for stream status
-let streams = [];
 async function pollStreamStatus(streamId) {
-  try {
-    const stream = streams.find(s => s.id === streamId);
-    if (!stream) {
-      console.log(`Stream ${streamId} not found, stopping polling`);
-      return;
-    }
+  if (!activeStreamsInfo.has(streamId)) {
+    console.log(`Stream ${streamId} not found, stopping polling`);
+    stopPolling(streamId);
+    return;
+  }
 
-    const response = await axios.get(`http://hls-proxy:8080/stream/${streamId}/status`);
+  try {
+    const response = await hlsProxy.get(`/stream/${streamId}/status`);
     
     if (response.status === 200) {
       const stats = response.data;
@@ -98,36 +380,17 @@ async function pollStreamStatus(streamId) {
       }
     }
   }
-
-  // Continue polling if the stream still exists
-  if (streams.find(s => s.id === streamId)) {
-    setTimeout(() => pollStreamStatus(streamId), 5000);
-  }
 }
 
 // Update stream stats function
 function updateStreamStats(streamId, stats) {
-  const stream = streams.find(s => s.id === streamId);
-  if (stream) {
-    stream.stats = stats;
-    broadcastStreams();
+  const info = activeStreamsInfo.get(streamId);
+  if (info) {
+    info.stats = stats;
+    broadcastStreamStats(streamId, stats);
   }
 }
 
-// Broadcast current streams to all connected clients
-function broadcastStreams() {
-  const message = JSON.stringify({
-    type: 'streams',
-    streams: streams
-  });
-  
-  wss.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(message);
-    }
-  });
-}
-
 // Active streams polling
 const activePolling = new Map();
 
@@ -165,6 +428,69 @@ const updateStreamOrder = (streamId, remove = false) => {
   }
 };
 
+// Load persisted stream info and order
+async function loadStreamState() {
+    return dataStore.getStreamState();
+}
+
+// Save stream info and order so they survive a restart
+async function saveStreamState() {
+    const streams = Array.from(activeStreamsInfo.entries()).map(([id, { stats, ...info }]) => ({ id, ...info }));
+    try {
+        dataStore.saveStreamState(streamOrder, streams);
+    } catch (error) {
+        console.error('Error saving stream state:', error);
+    }
+}
+
+// Restore stream info on boot and start any autostart streams HLS-Proxy no longer knows about
+async function resumeStreams() {
+    const state = await loadStreamState();
+    streamOrder = state.order || [];
+    (state.streams || []).forEach(({ id, ...info }) => {
+        activeStreamsInfo.set(id, info);
+        startPolling(id);
+    });
+
+    if (activeStreamsInfo.size === 0) {
+        return;
+    }
+
+    // HLS-Proxy may still be booting, so retry for a while
+    for (let attempt = 1; attempt <= 10; attempt++) {
+        try {
+            const response = await hlsProxy.get('/streams');
+            const knownIds = new Set(response.data.map(stream => stream.id));
+            // Limits first, so the streams resumed below are counted against them
+            await syncProviderLimits([...activeStreamsInfo.values()].flatMap(info => [info.originalUrl, ...(info.backupUrls || [])]));
+
+            for (const [id, info] of activeStreamsInfo) {
+                if ((info.autostart === false && !info.onDemand) || knownIds.has(id)) continue;
+
+                console.log('Resuming stream in HLS-Proxy:', id);
+                await hlsProxy.post('/start', {
+                    url: info.originalUrl,
+                    backupUrls: info.backupUrls || [],
+                    id,
+                    profile: info.profile || undefined,
+                    abr: !!info.abr,
+                    abrRenditions: info.abrRenditions || undefined,
+                    ignoreErrors: !!info.ignoreErrors,
+                    autostart: true,
+                    restartPolicy: info.restartPolicy,
+                    onDemand: !!info.onDemand,
+                    idleTimeout: info.idleTimeout,
+                    timeshift: info.timeshift || null
+                });
+            }
+            return;
+        } catch (error) {
+            console.error(`Error resuming streams (attempt ${attempt}):`, error.message);
+            await new Promise(resolve => setTimeout(resolve, 5000));
+        }
+    }
+}
+
 // Track provider loading status
 const providerLoadingStatus = new Map();
 
@@ -180,60 +506,47 @@ async function loadChannelsForProvider(provider) {
             lastUpdate: new Date().toISOString()
         });
 
-        const response = await axios.get(provider.m3uUrl);
-        const m3uContent = response.data;
-        
-        // Update status to parsing
-        providerLoadingStatus.set(provider.id, {
-            status: 'parsing',
-            progress: 20,
-            lastUpdate: new Date().toISOString()
-        });
-
-        // Parse M3U content
-        const channels = [];
-        const lines = m3uContent.split('\n');
-        let currentChannel = null;
-        let processedLines = 0;
-        const totalLines = lines.length;
-
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            processedLines++;
-
-            // Update progress every 100 lines
-            if (processedLines % 100 === 0) {
-                const progress = Math.min(20 + Math.floor((processedLines / totalLines) * 60), 80);
-                providerLoadingStatus.set(provider.id, {
-                    status: 'parsing',
-                    progress: progress,
-                    lastUpdate: new Date().toISOString()
-                });
-            }
+        let channels = [];
+        let series;
+        if (provider.type === 'xtream') {
+            // Build the channel list from the panel's player API
+            const client = new XtreamClient(provider);
+            const result = await client.loadChannels({
+                includeVod: provider.includeVod,
+                includeSeries: provider.includeSeries,
+                onProgress: (progress, status) => {
+                    providerLoadingStatus.set(provider.id, {
+                        status,
+                        progress,
+                        lastUpdate: new Date().toISOString()
+                    });
+                }
+            });
+            channels = result.channels;
+            series = result.series;
+            await updateProvider(provider.id, { account: result.account });
+        } else {
+            // Download and parse the playlist as it streams in
+            const playlist = await M3UParser.fetch(provider.m3uUrl, {
+                username: provider.username,
+                password: provider.password,
+                onProgress: (bytesRead, totalBytes) => {
+                    const progress = totalBytes
+                        ? Math.min(20 + Math.floor((bytesRead / totalBytes) * 60), 80)
+                        : 20;
+                    providerLoadingStatus.set(provider.id, {
+                        status: 'parsing',
+                        progress: progress,
+                        lastUpdate: new Date().toISOString()
+                    });
+                }
+            });
+            channels = playlist.channels;
 
-            if (line.startsWith('#EXTINF:')) {
-                // Parse channel info
-                const channelInfo = {};
-                const matches = {
-                    name: line.match(/,(.+)$/),
-                    tvgId: line.match(/tvg-id="([^"]+)"/),
-                    tvgName: line.match(/tvg-name="([^"]+)"/),
-                    tvgLogo: line.match(/tvg-logo="([^"]+)"/),
-                    groupTitle: line.match(/group-title="([^"]+)"/)
-                };
-
-                channelInfo.name = matches.name ? matches.name[1] : 'Unknown Channel';
-                if (matches.tvgId) channelInfo.tvgId = matches.tvgId[1];
-                if (matches.tvgName) channelInfo.tvgName = matches.tvgName[1];
-                if (matches.tvgLogo) channelInfo.logo = matches.tvgLogo[1];
-                if (matches.groupTitle) channelInfo.group = matches.groupTitle[1];
-
-                currentChannel = channelInfo;
-            } else if (line.startsWith('http') && currentChannel) {
-                // Add URL to channel and save it
-                currentChannel.url = line;
-                channels.push(currentChannel);
-                currentChannel = null;
+            // Remember the guide URL advertised in the #EXTM3U header
+            const playlistEpgUrl = playlist.header['url-tvg'] || playlist.header['x-tvg-url'] || null;
+            if (playlistEpgUrl !== (provider.playlistEpgUrl || null)) {
+                await updateProvider(provider.id, { playlistEpgUrl });
             }
         }
 
@@ -244,14 +557,10 @@ async function loadChannelsForProvider(provider) {
             lastUpdate: new Date().toISOString()
         });
 
-        // Update cache with new channels
-        const cache = await loadChannelsCache();
-        const currentTime = new Date().toISOString();
-        cache[provider.id] = {
-            lastUpdate: new Date().toISOString(),
-            channels: channels
-        };
-        await saveChannelsCache(cache);
+        // Replace the provider's channels in one transaction, noting what changed
+        const previousChannels = dataStore.getProviderChannels(provider.id);
+        dataStore.replaceChannels(provider.id, channels, { series });
+        const change = previousChannels ? recordProviderChange(provider.id, ChannelDiff.compare(previousChannels, channels)) : null;
 
         // Update final status
         providerLoadingStatus.set(provider.id, {
@@ -261,12 +570,12 @@ async function loadChannelsForProvider(provider) {
             lastUpdate: new Date().toISOString()
         });
 
-        return channels;
+        return { channels, change };
     } catch (error) {
-        console.error('Error loading channels:', error);
+        console.error('Error loading channels:', CredentialVault.redactText(error.message));
         providerLoadingStatus.set(provider.id, {
             status: 'error',
-            error: error.message,
+            error: CredentialVault.redactText(error.message),
             progress: 0,
             lastUpdate: new Date().toISOString()
         });
@@ -274,6 +583,91 @@ async function loadChannelsForProvider(provider) {
     }
 }
 
+// Store what a refresh changed, with the running streams whose channel moved or disappeared
+function recordProviderChange(providerId, diff) {
+    if (ChannelDiff.isEmpty(diff)) {
+        return null;
+    }
+
+    const movedUrls = new Map(diff.changed.filter(channel => channel.oldUrl !== channel.newUrl)
+        .map(channel => [channel.oldUrl, channel.newUrl]));
+    const removedUrls = new Set(diff.removed.map(channel => channel.url));
+    const streams = [];
+    activeStreamsInfo.forEach((info, streamId) => {
+        if (movedUrls.has(info.originalUrl)) {
+            streams.push({ streamId, channelName: info.channelName, status: 'moved', oldUrl: info.originalUrl, newUrl: movedUrls.get(info.originalUrl) });
+        } else if (removedUrls.has(info.originalUrl)) {
+            streams.push({ streamId, channelName: info.channelName, status: 'removed', oldUrl: info.originalUrl });
+        }
+    });
+
+    const { added, removed, changed } = diff.counts;
+    console.log(`Provider ${providerId} refresh: ${added} added, ${removed} removed, ${changed} changed, ${streams.length} stream(s) affected`);
+    return dataStore.addProviderChange(providerId, { ...ChannelDiff.truncate(diff), streams }, PROVIDER_CHANGE_HISTORY);
+}
+
+// Hide credentials in the URLs of a change history entry
+function sanitizeProviderChange(change) {
+    const redact = CredentialVault.redactUrl;
+    return {
+        ...change,
+        added: change.added.map(channel => ({ ...channel, url: redact(channel.url) })),
+        removed: change.removed.map(channel => ({ ...channel, url: redact(channel.url) })),
+        changed: change.changed.map(channel => ({ ...channel, oldUrl: redact(channel.oldUrl), newUrl: redact(channel.newUrl) })),
+        streams: change.streams.map(stream => ({ ...stream, oldUrl: redact(stream.oldUrl), newUrl: redact(stream.newUrl) }))
+    };
+}
+
+// Refreshes in progress by provider ID, so manual and scheduled runs share one load
+const providerRefreshes = new Map();
+
+// Reload a provider's channels and record the outcome on the provider
+function refreshProvider(providerId) {
+    if (!providerRefreshes.has(providerId)) {
+        const refresh = (async () => {
+            const provider = (await loadProviders()).find(p => p.id === providerId);
+            if (!provider) {
+                throw new Error('Provider not found');
+            }
+
+            try {
+                const { channels, change } = await loadChannelsForProvider(provider);
+                const currentTime = new Date().toISOString();
+                await updateProvider(providerId, { lastUpdated: currentTime, lastRefreshSuccess: currentTime });
+                // The account's connection limit and channel URLs may have changed
+                await syncProviderLimits();
+                return { channelCount: channels.length, lastUpdated: currentTime, change };
+            } catch (error) {
+                await updateProvider(providerId, {
+                    lastRefreshFailure: new Date().toISOString(),
+                    lastRefreshError: CredentialVault.redactText(error.message)
+                });
+                throw error;
+            }
+        })().finally(() => {
+            providerRefreshes.delete(providerId);
+        });
+        providerRefreshes.set(providerId, refresh);
+    }
+    return providerRefreshes.get(providerId);
+}
+
+// Errors are redacted before the scheduler logs them
+const refreshScheduler = new RefreshScheduler(providerId => refreshProvider(providerId).catch(error => {
+    throw new Error(CredentialVault.redactText(error.message));
+}), {
+    jitterMs: PROVIDER_REFRESH_JITTER_MINUTES * 60 * 1000,
+    retries: PROVIDER_REFRESH_RETRIES,
+    retryDelayMs: PROVIDER_REFRESH_RETRY_MINUTES * 60 * 1000
+});
+
+// Arm the refresh schedule of every provider
+async function initRefreshScheduler() {
+    (await loadProviders()).forEach(provider => {
+        refreshScheduler.schedule(provider.id, provider.refreshSchedule, provider.lastRefreshSuccess || provider.lastUpdated);
+    });
+}
+
 // Get provider loading status
 app.get('/api/providers/:id/status', async (req, res) => {
     const { id } = req.params;
@@ -284,32 +678,95 @@ app.get('/api/providers/:id/status', async (req, res) => {
     res.json(status);
 });
 
+// Provider details safe to send to clients, without the account password
+// and with credentials masked in its URLs
+function sanitizeProvider({ password, ...provider }) {
+    return {
+        ...provider,
+        m3uUrl: CredentialVault.redactUrl(provider.m3uUrl),
+        epgUrl: CredentialVault.redactUrl(provider.epgUrl),
+        playlistEpgUrl: CredentialVault.redactUrl(provider.playlistEpgUrl),
+        hasPassword: !!password,
+        nextRefreshAt: refreshScheduler.getNextRun(provider.id)
+    };
+}
+
 // Routes
 app.get('/api/providers', async (req, res) => {
-    const providers = await loadProviders();
-    res.json(providers);
+    try {
+        const providers = await loadProviders();
+
+        // Slot usage is left unknown while HLS-Proxy cannot be reached
+        let usage = null;
+        try {
+            const { data: streams } = await hlsProxy.get('/streams');
+            usage = getProviderUsage(streams);
+        } catch (error) {
+            console.error('Error fetching streams for provider connections:', error.message);
+        }
+
+        res.json(providers.map(provider => ({
+            ...sanitizeProvider(provider),
+            connections: ProviderSlots.summarize(provider, usage ? usage.get(provider.id) || [] : null)
+        })));
+    } catch (error) {
+        console.error('Error getting providers:', describeError(error));
+        res.status(500).json({ error: error.message });
+    }
 });
 
 app.post('/api/providers', async (req, res) => {
     try {
-        const { name, m3uUrl, username, password } = req.body;
-        const providers = await loadProviders();
+        const { name, type = 'm3u', m3uUrl, serverUrl, username, password, output, includeVod, includeSeries, epgUrl, refreshSchedule, maxConnections } = req.body;
+
+        if (type === 'xtream') {
+            if (!serverUrl || !username || !password) {
+                return res.status(400).json({ error: 'Xtream providers need a server URL, username and password' });
+            }
+        } else if (type === 'm3u') {
+            if (!m3uUrl) {
+                return res.status(400).json({ error: 'M3U URL is required' });
+            }
+        } else {
+            return res.status(400).json({ error: `Unknown provider type: ${type}` });
+        }
+        const scheduleError = RefreshScheduler.validate(refreshSchedule);
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+        const connectionsError = ProviderSlots.validate(maxConnections);
+        if (connectionsError) {
+            return res.status(400).json({ error: connectionsError });
+        }
+
         const currentTime = new Date().toISOString();
         
         // Create new provider
         const newProvider = {
             id: Date.now().toString(),
             name,
-            m3uUrl,
+            type,
             username,
             password,
+            epgUrl: epgUrl || null,
+            refreshSchedule: RefreshScheduler.normalize(refreshSchedule),
+            maxConnections: ProviderSlots.normalize(maxConnections),
             addedAt: currentTime,
             lastUpdated: currentTime
         };
+        if (type === 'xtream') {
+            Object.assign(newProvider, {
+                serverUrl,
+                output: output === 'm3u8' ? 'm3u8' : 'ts',
+                includeVod: !!includeVod,
+                includeSeries: !!includeSeries
+            });
+        } else {
+            newProvider.m3uUrl = m3uUrl;
+        }
 
         // Save provider first
-        providers.push(newProvider);
-        await saveProviders(providers);
+        dataStore.addProvider(credentialVault.encryptProvider(newProvider));
 
         // Set initial loading status
         providerLoadingStatus.set(newProvider.id, {
@@ -318,63 +775,79 @@ app.post('/api/providers', async (req, res) => {
         });
 
         // Start loading channels asynchronously
-        loadChannelsForProvider(newProvider).catch(error => {
-            console.error('Error loading channels for provider:', error);
+        refreshProvider(newProvider.id).catch(error => {
+            console.error('Error loading channels for provider:', CredentialVault.redactText(error.message));
         });
+        refreshScheduler.schedule(newProvider.id, newProvider.refreshSchedule, currentTime);
 
         // Return immediately with the new provider info
-        res.json(newProvider);
+        res.json(sanitizeProvider(newProvider));
     } catch (error) {
-        console.error('Error creating provider:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Error creating provider:', CredentialVault.redactText(error.message));
+        res.status(500).json({ error: CredentialVault.redactText(error.message) });
     }
 });
 
 app.delete('/api/providers/:id', async (req, res) => {
     const { id } = req.params;
-    const providers = await loadProviders();
-    const filteredProviders = providers.filter(p => p.id !== id);
-    await saveProviders(filteredProviders);
+    try {
+        const providers = await loadProviders();
+        if (!providers.some(p => p.id === id)) {
+            return res.status(404).json({ error: 'Provider not found' });
+        }
+
+        // Removes the provider's channels too
+        dataStore.deleteProvider(id);
+        refreshScheduler.unschedule(id);
+        await syncProviderLimits();
 
-    // Remove channels from cache
-    const cache = await loadChannelsCache();
-    delete cache[id];
-    await saveChannelsCache(cache);
+        // Remove the provider's guide data
+        Object.keys(epgStore.sources)
+            .filter(key => key.startsWith(`provider:${id}:`))
+            .forEach(key => epgStore.removeSource(key));
+        await epgStore.save();
 
-    res.json({ success: true });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Get all channels from all providers
+// Page through the channels of all providers.
+// ?search= matches every word against name, tvg-name, group and provider name;
+// ?group=, ?providerId=a,b filter; ?sort=name|group|provider|number&order=asc|desc
 app.get('/api/channels', async (req, res) => {
     try {
-        const { search, group } = req.query;
-        const cache = await loadChannelsCache();
-        let allChannels = [];
-
-        // Flatten all channels from all providers
-        Object.entries(cache).forEach(([providerId, data]) => {
-            const channelsWithProvider = data.channels.map(channel => ({
-                ...channel,
-                providerId
-            }));
-            allChannels = allChannels.concat(channelsWithProvider);
-        });
-
-        // Apply filters if provided
-        if (search) {
-            const searchLower = search.toLowerCase();
-            allChannels = allChannels.filter(channel => 
-                channel.name.toLowerCase().includes(searchLower)
-            );
+        const { search, group, providerId, sort, order } = req.query;
+        const limit = req.query.limit === undefined ? CHANNELS_PAGE_SIZE : Number(req.query.limit);
+        const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+        if (!Number.isInteger(limit) || limit < 1 || limit > CHANNELS_MAX_PAGE_SIZE) {
+            return res.status(400).json({ error: `limit must be between 1 and ${CHANNELS_MAX_PAGE_SIZE}` });
         }
-
-        if (group) {
-            allChannels = allChannels.filter(channel => 
-                channel.group === group
-            );
+        if (!Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ error: 'offset must be a non-negative integer' });
+        }
+        if (sort && !DataStore.channelSorts.includes(sort)) {
+            return res.status(400).json({ error: `sort must be one of: ${DataStore.channelSorts.join(', ')}` });
         }
 
-        res.json(allChannels);
+        const { channels, total } = dataStore.searchChannels({
+            search,
+            group,
+            providerIds: providerId ? String(providerId).split(',').filter(Boolean) : null,
+            sort,
+            order,
+            limit,
+            offset
+        });
+        // Channel URLs often embed the account credentials (Xtream /live/<user>/<pass>/);
+        // only admins, who start streams from them, get them unmasked
+        const visible = req.user.role === 'admin' ? channels : channels.map(channel => ({
+            ...channel,
+            url: CredentialVault.redactUrl(channel.url),
+            catchupSource: channel.catchupSource ? CredentialVault.redactUrl(channel.catchupSource) : channel.catchupSource
+        }));
+        res.json({ channels: visible, total, offset, limit });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -383,191 +856,459 @@ app.get('/api/channels', async (req, res) => {
 // Get unique channel groups
 app.get('/api/channels/groups', async (req, res) => {
     try {
-        const cache = await loadChannelsCache();
-        const groups = new Set();
-
-        Object.values(cache).forEach(({ channels }) => {
-            channels.forEach(channel => {
-                if (channel.group) {
-                    groups.add(channel.group);
-                }
-            });
-        });
-
-        res.json(Array.from(groups).sort());
+        res.json(dataStore.getChannelGroups());
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Helper function to parse M3U content
-function parseM3U(content) {
-    const channels = [];
-    const lines = content.split('\n');
-    let currentChannel = null;
-
-    for (let line of lines) {
-        line = line.trim();
-        if (!line) continue;
-
-        if (line.startsWith('#EXTINF:')) {
-            // Parse channel info
-            const match = line.match(/,(.+)$/);
-            if (match) {
-                currentChannel = {
-                    name: match[1].trim(),
-                    logo: '', // Initialize logo
-                    group: '', // Initialize group
-                    id: ''    // Initialize id
-                };
-
-                // Extract tvg-logo
-                const logoMatch = line.match(/tvg-logo="([^"]+)"/);
-                if (logoMatch) {
-                    currentChannel.logo = logoMatch[1];
-                }
-
-                // Extract tvg-group
-                const groupMatch = line.match(/group-title="([^"]+)"/);
-                if (groupMatch) {
-                    currentChannel.group = groupMatch[1];
-                }
+// EPG guide data from providers and standalone XMLTV sources
+const epgStore = new EPGStore(path.join(DATA_DIR, 'epg.json'));
+let epgRefresh = null;
 
-                // Extract tvg-id
-                const idMatch = line.match(/tvg-id="([^"]+)"/);
-                if (idMatch) {
-                    currentChannel.id = idMatch[1];
-                }
-            }
-        } else if (!line.startsWith('#') && currentChannel) {
-            // This is the URL line
-            currentChannel.url = line;
-            channels.push(currentChannel);
-            currentChannel = null;
-        }
+// Load standalone EPG sources from JSON file
+async function loadEpgSources() {
+    try {
+        const data = await fs.readFile(path.join(DATA_DIR, 'epg_sources.json'), 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
     }
+}
 
-    return channels;
+// Save standalone EPG sources to JSON file
+async function saveEpgSources(sources) {
+    await fs.writeFile(path.join(DATA_DIR, 'epg_sources.json'), JSON.stringify(sources, null, 2));
 }
 
-// Refresh provider endpoint
-app.post('/api/providers/:id/refresh', async (req, res) => {
-    const providerId = req.params.id;
-    try {
-        const providers = await loadProviders();
-        const provider = providers.find(p => p.id === providerId);
-        if (!provider) {
-            return res.status(404).json({ error: 'Provider not found' });
+// Every XMLTV URL we know about: provider guides first, then standalone sources
+async function getEpgSources() {
+    const providers = await loadProviders();
+    const sources = [];
+
+    providers.forEach(provider => {
+        let urls = [];
+        if (provider.epgUrl) {
+            urls = [provider.epgUrl];
+        } else if (provider.type === 'xtream') {
+            urls = [new XtreamClient(provider).buildXmltvUrl()];
+        } else if (provider.playlistEpgUrl) {
+            urls = provider.playlistEpgUrl.split(',').map(url => url.trim()).filter(Boolean);
         }
+        urls.forEach((url, index) => {
+            sources.push({ key: `provider:${provider.id}:${index}`, name: provider.name, url });
+        });
+    });
 
-        // Construct the URL with credentials if present
-        let url = provider.m3uUrl;
-        if (provider.username && provider.password) {
-            const urlObj = new URL(provider.m3uUrl);
-            urlObj.username = provider.username;
-            urlObj.password = provider.password;
-            url = urlObj.toString();
-        }
+    (await loadEpgSources()).forEach(source => {
+        sources.push({ key: `source:${source.id}`, name: source.name, url: source.url });
+    });
 
-        console.log('Fetching M3U from URL:', url);
+    return sources;
+}
 
-        // Fetch and parse the M3U file
-        const response = await axios.get(url);
-        const m3uContent = response.data;
-        
-        // Parse channels
-        const channels = parseM3U(m3uContent);
-        console.log(`Parsed ${channels.length} channels`);
-        
-        // Update the channels cache
-        const cache = await loadChannelsCache();
-        const currentTime = new Date().toISOString();
-        cache[providerId] = {
-            channels,
-            lastUpdated: currentTime
-        };
-        await saveChannelsCache(cache);
+// Download and store one XMLTV source
+async function refreshEpgSource(source) {
+    console.log('Loading EPG for:', source.name);
+    const cutoff = new Date(Date.now() - EPG_PAST_HOURS * 3600 * 1000).toISOString();
+    const channels = {};
+    const programmes = {};
 
-        console.log('Before update - Provider:', provider);
-        
-        // Update provider's lastUpdated timestamp
-        const updatedProvider = {
-            ...provider,
-            lastUpdated: currentTime
-        };
-        
-        // Update the provider in the providers array
-        const updatedProviders = providers.map(p => 
-            p.id === providerId ? updatedProvider : p
-        );
-        
-        console.log('After update - Provider:', updatedProvider);
-        
-        // Save the updated providers array
-        await saveProviders(updatedProviders);
+    try {
+        await XMLTVParser.fetch(source.url, {
+            onChannel: (channel) => {
+                channels[channel.id] = { displayName: channel.displayName, icon: channel.icon };
+            },
+            onProgramme: ({ channel, ...programme }) => {
+                // Skip listings that have already finished
+                if ((programme.stop || programme.start) < cutoff) return;
+                (programmes[channel] = programmes[channel] || []).push(programme);
+            }
+        });
+        // Provider guide URLs often embed credentials; only a masked copy is stored
+        epgStore.setSource(source.key, { url: CredentialVault.redactUrl(source.url), name: source.name, channels, programmes });
+    } catch (error) {
+        const message = CredentialVault.redactText(error.message);
+        console.error(`Error loading EPG for ${source.name}:`, message);
+        epgStore.setSourceError(source.key, { name: source.name, url: CredentialVault.redactUrl(source.url) }, new Error(message));
+    }
+}
 
-        // Update loading status
-        providerLoadingStatus.set(provider.id, {
-            status: 'completed',
-            progress: 100,
-            channelCount: channels.length,
-            lastUpdate: currentTime
+// Refresh every EPG source, sharing a single run between concurrent callers
+function refreshEpg() {
+    if (!epgRefresh) {
+        epgRefresh = (async () => {
+            const sources = await getEpgSources();
+            const keys = new Set(sources.map(source => source.key));
+
+            // Drop guide data for sources that no longer exist
+            Object.keys(epgStore.sources)
+                .filter(key => !keys.has(key))
+                .forEach(key => epgStore.removeSource(key));
+
+            for (const source of sources) {
+                await refreshEpgSource(source);
+            }
+            await epgStore.save();
+
+            // New listings may match series rules
+            applyRecordingRules().catch(error => console.error('Error applying recording rules:', error.message));
+        })().finally(() => {
+            epgRefresh = null;
         });
+    }
+    return epgRefresh;
+}
+
+// Load stored guide data and keep it fresh
+async function initEpg() {
+    await epgStore.load();
+    applyRecordingRules().catch(error => console.error('Error applying recording rules:', error.message));
+
+    const lastUpdate = epgStore.getLastUpdate();
+    if (!lastUpdate || Date.now() - new Date(lastUpdate).getTime() > EPG_REFRESH_HOURS * 3600 * 1000) {
+        refreshEpg().catch(error => console.error('Error refreshing EPG:', describeError(error)));
+    }
+
+    setInterval(() => {
+        refreshEpg().catch(error => console.error('Error refreshing EPG:', describeError(error)));
+    }, EPG_REFRESH_HOURS * 3600 * 1000);
+}
+
+app.get('/api/epg/sources', async (req, res) => {
+    try {
+        const sources = await getEpgSources();
+        const status = new Map(epgStore.getStatus().map(entry => [entry.key, entry]));
+        const standalone = await loadEpgSources();
+
+        res.json(sources.map(source => ({
+            ...source,
+            id: source.key.startsWith('source:') ? source.key.slice('source:'.length) : null,
+            standalone: standalone.some(s => `source:${s.id}` === source.key),
+            ...(status.get(source.key) || { lastUpdate: null, error: null, programmeCount: 0, channelCount: 0 }),
+            // Xtream xmltv.php and provider EPG URLs carry the account credentials
+            url: CredentialVault.redactUrl(source.url)
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/epg/sources', async (req, res) => {
+    try {
+        const { name, url } = req.body;
+        if (!url) {
+            return res.status(400).json({ error: 'URL is required' });
+        }
+
+        const sources = await loadEpgSources();
+        const newSource = {
+            id: Date.now().toString(),
+            name: name || CredentialVault.redactUrl(url),
+            url,
+            addedAt: new Date().toISOString()
+        };
+        sources.push(newSource);
+        await saveEpgSources(sources);
+
+        refreshEpg().catch(error => console.error('Error refreshing EPG:', describeError(error)));
+        res.json({ ...newSource, url: CredentialVault.redactUrl(newSource.url) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/epg/sources/:id', async (req, res) => {
+    try {
+        const sources = await loadEpgSources();
+        await saveEpgSources(sources.filter(source => source.id !== req.params.id));
+        epgStore.removeSource(`source:${req.params.id}`);
+        await epgStore.save();
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/epg/refresh', async (req, res) => {
+    // Large guides take a while, so report back immediately
+    refreshEpg().catch(error => console.error('Error refreshing EPG:', describeError(error)));
+    res.json({ success: true, inProgress: true });
+});
+
+// Current and next programme per channel, optionally limited with ?ids=a,b
+app.get('/api/epg/now', (req, res) => {
+    const ids = req.query.ids ? String(req.query.ids).split(',').filter(Boolean) : null;
+    res.json(epgStore.getNowNext(ids));
+});
+
+// Programmes for one channel, by default from now until 24 hours ahead
+app.get('/api/epg/:tvgId', (req, res) => {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 24 * 3600 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    res.json(epgStore.getProgrammes(req.params.tvgId, from, to));
+});
+
+// Refresh provider endpoint
+app.post('/api/providers/:id/refresh', async (req, res) => {
+    const providerId = req.params.id;
+    try {
+        const providers = await loadProviders();
+        const provider = providers.find(p => p.id === providerId);
+        if (!provider) {
+            return res.status(404).json({ error: 'Provider not found' });
+        }
+
+        // Fetch, parse and store the provider's channels
+        const { channelCount, lastUpdated, change } = await refreshProvider(providerId);
+        console.log(`Parsed ${channelCount} channels`);
 
         res.json({ 
             success: true, 
-            lastUpdated: currentTime,
-            channelCount: channels.length
+            lastUpdated,
+            channelCount,
+            change: change ? { id: change.id, counts: change.counts, affectedStreams: change.streams.length } : null
         });
     } catch (error) {
-        console.error('Error details:', error);
-        
-        // Update loading status to error
-        providerLoadingStatus.set(providerId, {
-            status: 'error',
-            error: error.message
-        });
+        console.error('Error refreshing provider:', CredentialVault.redactText(error.message));
         
         res.status(500).json({ 
-            error: error.message,
-            details: error.response ? error.response.data : null
+            error: CredentialVault.redactText(error.message),
+            details: error.response ? `${error.response.status} ${error.response.statusText}` : null
         });
     }
 });
 
-app.get('/api/providers', async (req, res) => {
+// What recent refreshes of a provider added, removed or changed, newest first
+app.get('/api/providers/:id/changes', async (req, res) => {
     try {
-        const providers = await loadProviders();
-        console.log('Get providers response:', providers);
-        res.json(providers);
+        const provider = (await loadProviders()).find(p => p.id === req.params.id);
+        if (!provider) {
+            return res.status(404).json({ error: 'Provider not found' });
+        }
+        res.json(dataStore.getProviderChanges(provider.id).map(sanitizeProviderChange));
     } catch (error) {
-        console.error('Error getting providers:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// HLS-Proxy stream management
-app.post('/api/streams', async (req, res) => {
-    const { url } = req.body;
+// Restart streams whose channel moved on the new URL; all moved streams of the change unless streamIds is given
+app.post('/api/providers/:id/changes/:changeId/repoint', async (req, res) => {
+    const { streamIds } = req.body;
     try {
-        // Find channel info before starting stream
-        const cache = await loadChannelsCache();
-        let channelInfo = null;
-        
-        // Search through all channels to find a match
-        Object.values(cache).some(({ channels }) => {
-            const channel = channels.find(ch => ch.url === url);
+        const { id: changeId, createdAt, ...change } = dataStore.getProviderChange(req.params.id, Number(req.params.changeId)) || {};
+        if (!changeId) {
+            return res.status(404).json({ error: 'Change not found' });
+        }
+
+        for (const stream of change.streams) {
+            if (stream.status !== 'moved' || (Array.isArray(streamIds) && !streamIds.includes(stream.streamId))) continue;
+
+            // Skip streams that were stopped or pointed elsewhere since the refresh
+            const info = activeStreamsInfo.get(stream.streamId);
+            if (!info || info.originalUrl !== stream.oldUrl) {
+                stream.status = 'skipped';
+                stream.error = 'The stream no longer uses the old URL';
+                continue;
+            }
+
+            try {
+                await hlsProxy.post(`/restart/${stream.streamId}`, { url: stream.newUrl });
+                info.originalUrl = stream.newUrl;
+                stream.status = 'repointed';
+                stream.repointedAt = new Date().toISOString();
+                delete stream.error;
+            } catch (error) {
+                stream.error = CredentialVault.redactText((error.response && error.response.data.error) || error.message);
+            }
+        }
+
+        await saveStreamState();
+        dataStore.updateProviderChange(changeId, change);
+        res.json(sanitizeProviderChange({ id: changeId, createdAt, ...change }));
+    } catch (error) {
+        res.status(500).json({ error: CredentialVault.redactText(error.message) });
+    }
+});
+
+// Change a provider's refresh schedule; null turns scheduled refreshes off
+app.put('/api/providers/:id/schedule', async (req, res) => {
+    try {
+        const { refreshSchedule } = req.body;
+        const scheduleError = RefreshScheduler.validate(refreshSchedule);
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        const schedule = RefreshScheduler.normalize(refreshSchedule);
+        const provider = await updateProvider(req.params.id, { refreshSchedule: schedule });
+        if (!provider) {
+            return res.status(404).json({ error: 'Provider not found' });
+        }
+
+        refreshScheduler.schedule(provider.id, schedule, provider.lastRefreshSuccess || provider.lastUpdated);
+        res.json(sanitizeProvider(provider));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Set how many streams may use a provider at once; null goes back to the
+// Xtream account's limit and 0 removes the limit
+app.put('/api/providers/:id/connections', async (req, res) => {
+    try {
+        const { maxConnections } = req.body;
+        const connectionsError = ProviderSlots.validate(maxConnections);
+        if (connectionsError) {
+            return res.status(400).json({ error: connectionsError });
+        }
+
+        const provider = await updateProvider(req.params.id, { maxConnections: ProviderSlots.normalize(maxConnections) });
+        if (!provider) {
+            return res.status(404).json({ error: 'Provider not found' });
+        }
+        await syncProviderLimits();
+        res.json(sanitizeProvider(provider));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Backup sources are referred to by a hash of their URL so credentials stay out of the browser
+function sourceKey(url) {
+    return crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+}
+
+function describeSource(url, providerNames) {
+    const channel = dataStore.findChannelByUrl(url);
+    return {
+        key: sourceKey(url),
+        url: CredentialVault.redactUrl(url),
+        channelName: channel ? channel.name : null,
+        providerName: channel ? providerNames.get(channel.providerId) || null : null
+    };
+}
+
+// Live channels on other providers with the primary channel's tvg-id or name
+function findBackupCandidates(primaryUrl, excludeUrls = []) {
+    const channel = dataStore.findChannelByUrl(primaryUrl);
+    if (!channel) {
+        return [];
+    }
+    const seen = new Set([primaryUrl, ...excludeUrls]);
+    return dataStore.findMatchingChannels({ tvgId: channel.tvgId, name: channel.name, excludeProviderId: channel.providerId })
+        .filter(candidate => {
+            if ((candidate.type || 'live') !== 'live' || seen.has(candidate.url)) return false;
+            seen.add(candidate.url);
+            return true;
+        });
+}
+
+// A stream's sources as shown in the UI, with the matches it could add as backups
+async function getStreamSources(streamId) {
+    const { data: streams } = await hlsProxy.get('/streams');
+    const stream = streams.find(candidate => candidate.id === streamId);
+    if (!stream) {
+        return null;
+    }
+    const providerNames = new Map(dataStore.getProviders().map(provider => [provider.id, provider.name]));
+    return {
+        primary: describeSource(stream.url, providerNames),
+        backups: stream.backupUrls.map(url => describeSource(url, providerNames)),
+        activeSource: stream.activeSource,
+        candidates: findBackupCandidates(stream.url, stream.backupUrls).map(channel => describeSource(channel.url, providerNames))
+    };
+}
+
+// Provider of the source a stream plays right now, following failovers to backups
+function getStreamProviderId(stream) {
+    const channel = dataStore.findChannelByUrl(stream.activeUrl || stream.url);
+    return channel ? channel.providerId : null;
+}
+
+// Connected streams of HLS-Proxy's stream list grouped by provider ID
+function getProviderUsage(streams) {
+    return ProviderSlots.usage(streams.map(stream => {
+        const info = activeStreamsInfo.get(stream.id);
+        return { ...stream, channelName: info ? info.channelName : null };
+    }), getStreamProviderId);
+}
+
+// HLS-Proxy refuses connections beyond a provider's limit wherever it starts ffmpeg (new
+// streams, restarts, on-demand viewers, recordings, failovers). Send it every provider's
+// limit and the provider of each source its streams use, plus extraUrls about to be added.
+async function syncProviderLimits(extraUrls = []) {
+    try {
+        const { data: streams } = await hlsProxy.get('/streams');
+        const sources = {};
+        [...extraUrls, ...streams.flatMap(stream => [stream.url, ...stream.backupUrls])].forEach(url => {
+            const channel = dataStore.findChannelByUrl(url);
             if (channel) {
-                channelInfo = channel;
-                return true;
+                sources[url] = channel.providerId;
             }
-            return false;
         });
+        const providers = dataStore.getProviders().map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            limit: ProviderSlots.limit(provider).limit
+        }));
+        await hlsProxy.put('/provider-limits', { providers, sources });
+    } catch (error) {
+        console.error('Error sending provider limits to HLS-Proxy:', error.message);
+    }
+}
+
+// HLS-Proxy stream management
+app.post('/api/streams', async (req, res) => {
+    const { url, backupUrls, autoBackups = false, slug, profile, abr = false, abrRenditions, restartPolicy, autostart = true, onDemand = false, idleTimeout, timeshift } = req.body;
+
+    if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+    }
+
+    if (slug && !StreamSlug.isValid(slug)) {
+        return res.status(400).json({
+            error: 'Stream name must be 1-64 lowercase letters, digits, hyphens or underscores and start with a letter or digit'
+        });
+    }
+
+    try {
+        // Find channel info before starting stream
+        const channelInfo = dataStore.findChannelByUrl(url);
+
+        // Pick the stream ID, refusing names that are already in use
+        const { data: existingStreams } = await hlsProxy.get('/streams');
+        const takenIds = new Set([...activeStreamsInfo.keys(), ...existingStreams.map(stream => stream.id)]);
+        if (slug && takenIds.has(slug)) {
+            return res.status(409).json({ error: `Stream name "${slug}" is already in use` });
+        }
+        const streamId = slug || StreamSlug.unique(StreamSlug.fromName(channelInfo ? channelInfo.name : null), takenIds);
+
+        // Backups given with the request come first, then matches from other providers
+        const backups = Array.isArray(backupUrls) ? backupUrls : [];
+        if (autoBackups) {
+            backups.push(...findBackupCandidates(url, backups).map(channel => channel.url));
+        }
+        await syncProviderLimits([url, ...backups]);
 
         // Forward the stream to HLS-Proxy
-        const response = await axios.post('http://hls-proxy:8080/start', { 
+        const response = await hlsProxy.post('/start', { 
             url,
-            ignoreErrors: false
+            backupUrls: backups,
+            id: streamId,
+            profile,
+            abr,
+            abrRenditions,
+            ignoreErrors: false,
+            autostart,
+            restartPolicy,
+            onDemand,
+            idleTimeout,
+            timeshift
         });
 
         // Start polling for this stream
@@ -578,75 +1319,181 @@ app.post('/api/streams', async (req, res) => {
             activeStreamsInfo.set(response.data.id, {
                 channelName: channelInfo ? channelInfo.name : 'Unknown Channel',
                 logo: channelInfo ? channelInfo.logo : null,
+                tvgId: channelInfo ? channelInfo.tvgId || null : null,
+                tvgName: channelInfo ? channelInfo.tvgName || null : null,
+                group: channelInfo ? channelInfo.group || null : null,
+                providerId: channelInfo ? channelInfo.providerId : null,
                 originalUrl: url,
-                startTime: new Date().toISOString()
+                backupUrls: response.data.backupUrls,
+                startTime: new Date().toISOString(),
+                profile: response.data.profile || null,
+                abr: !!response.data.abr,
+                abrRenditions: response.data.abr ? response.data.variants.map(variant => variant.name) : null,
+                ignoreErrors: false,
+                autostart: !!autostart,
+                restartPolicy: restartPolicy || null,
+                onDemand: !!onDemand,
+                idleTimeout: idleTimeout || null,
+                timeshift: response.data.timeshift || null
             });
             updateStreamOrder(response.data.id);
+            await saveStreamState();
         }
 
         res.json(response.data);
     } catch (error) {
-        console.error('Error starting stream:', error);
+        console.error('Error starting stream:', describeError(error));
+        if (error.response && [400, 409].includes(error.response.status)) {
+            return res.status(error.response.status).json(error.response.data);
+        }
         res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/streams', async (req, res) => {
+// Transcoding profiles offered by HLS-Proxy
+app.get('/api/transcode-profiles', async (req, res) => {
     try {
-        const response = await axios.get('http://hls-proxy:8080/streams');
-        const streams = response.data;
-        
-        // Load channels cache once for all streams
-        const cache = await loadChannelsCache();
-        let allChannels = [];
-        Object.values(cache).forEach(({ channels }) => {
-            allChannels = allChannels.concat(channels);
-        });
+        const response = await hlsProxy.get('/profiles');
+        res.json(response.data);
+    } catch (error) {
+        console.error('Error fetching transcoding profiles:', describeError(error));
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Combine HLS-Proxy stream state with stored channel info, in the user's order
+async function getStreamsWithDetails() {
+    const response = await hlsProxy.get('/streams');
+    const streams = response.data;
+    
+    // Add channel info to streams
+    let streamsWithDetails = streams.map(stream => {
+        const storedInfo = activeStreamsInfo.get(stream.id) || {};
         
-        // Add channel info to streams
-        let streamsWithDetails = streams.map(stream => {
-            const storedInfo = activeStreamsInfo.get(stream.id) || {};
-            
-            // If we don't have stored info, try to find it in the channels cache
-            if (!storedInfo.channelName) {
-                const channel = allChannels.find(ch => ch.url === stream.url);
-                if (channel) {
-                    storedInfo.channelName = channel.name;
-                    storedInfo.logo = channel.logo;
-                    storedInfo.originalUrl = channel.url;
-                    // Store for future use
-                    activeStreamsInfo.set(stream.id, storedInfo);
-                }
+        // If we don't have stored info, try to find it in the channels cache
+        if (!storedInfo.channelName) {
+            const channel = dataStore.findChannelByUrl(stream.url);
+            if (channel) {
+                storedInfo.channelName = channel.name;
+                storedInfo.logo = channel.logo;
+                storedInfo.originalUrl = channel.url;
+                storedInfo.tvgId = channel.tvgId || null;
+                storedInfo.tvgName = channel.tvgName || null;
+                storedInfo.group = channel.group || null;
+                storedInfo.providerId = channel.providerId;
+                // Store for future use
+                activeStreamsInfo.set(stream.id, storedInfo);
             }
+        }
 
-            return {
-                ...stream,
-                channelName: storedInfo.channelName || 'Unknown Channel',
-                logo: storedInfo.logo || null,
-                url: storedInfo.originalUrl || stream.url,
-                proxyUrl: `/stream/${stream.id}/playlist.m3u8`,
-                startTime: storedInfo.startTime || stream.startTime || null,
-                status: stream.status || 'unknown'
-            };
-        });
+        return {
+            ...stream,
+            channelName: storedInfo.channelName || 'Unknown Channel',
+            logo: storedInfo.logo || null,
+            tvgId: storedInfo.tvgId || null,
+            tvgName: storedInfo.tvgName || null,
+            group: storedInfo.group || null,
+            providerId: storedInfo.providerId || null,
+            url: storedInfo.originalUrl || stream.url,
+            proxyUrl: stream.proxyUrl || `/stream/${stream.id}/playlist.m3u8`,
+            startTime: storedInfo.startTime || stream.startTime || null,
+            status: stream.status || 'unknown',
+            stats: storedInfo.stats || null
+        };
+    });
 
-        // Sort streams based on streamOrder
-        streamsWithDetails = streamsWithDetails.sort((a, b) => {
-            const indexA = streamOrder.indexOf(a.id);
-            const indexB = streamOrder.indexOf(b.id);
-            if (indexA === -1 && indexB === -1) return 0;
-            if (indexA === -1) return 1;
-            if (indexB === -1) return -1;
-            return indexA - indexB;
-        });
+    // Sort streams based on streamOrder
+    return streamsWithDetails.sort((a, b) => {
+        const indexA = streamOrder.indexOf(a.id);
+        const indexB = streamOrder.indexOf(b.id);
+        if (indexA === -1 && indexB === -1) return 0;
+        if (indexA === -1) return 1;
+        if (indexB === -1) return -1;
+        return indexA - indexB;
+    });
+}
+
+// Per-user playback tokens issued by HLS-Proxy, reused until close to expiry
+const playbackTokens = new Map();
+
+// Resolves to null when HLS-Proxy runs without playback tokens
+async function getPlaybackToken(user) {
+    const cached = playbackTokens.get(user.id);
+    if (cached && new Date(cached.expiresAt).getTime() - Date.now() > 3600 * 1000) {
+        return cached.token;
+    }
+
+    const { data } = await hlsProxy.post('/tokens/user', { userId: user.id });
+    if (data.token) {
+        playbackTokens.set(user.id, data);
+    }
+    return data.token;
+}
+
+function withToken(url, token) {
+    return token ? `${url}?token=${encodeURIComponent(token)}` : url;
+}
+
+// Base URL players use to reach HLS-Proxy, from PUBLIC_BASE_URL or the request host
+function getPublicBaseUrl(req) {
+    if (PUBLIC_BASE_URL) {
+        return PUBLIC_BASE_URL;
+    }
+    return `${req.protocol}://${req.hostname}:8080`;
+}
 
-        res.json(streamsWithDetails);
+app.get('/api/streams', async (req, res) => {
+    try {
+        const baseUrl = getPublicBaseUrl(req);
+        const streams = await getStreamsWithDetails();
+        const token = await getPlaybackToken(req.user);
+        res.json(streams.map(stream => ({
+            ...stream,
+            url: CredentialVault.redactUrl(stream.url),
+            backupUrls: (stream.backupUrls || []).map(CredentialVault.redactUrl),
+            activeUrl: stream.activeUrl ? CredentialVault.redactUrl(stream.activeUrl) : null,
+            publicUrl: withToken(`${baseUrl}${stream.proxyUrl}`, token)
+        })));
     } catch (error) {
-        console.error('Error fetching streams:', error);
+        console.error('Error fetching streams:', describeError(error));
         res.status(500).json({ error: error.message });
     }
 });
 
+// Serve an M3U playlist of the running streams, optionally limited to one group
+async function sendPlaylist(req, res, group) {
+    try {
+        const streams = await getStreamsWithDetails();
+        const playlist = PlaylistBuilder.build(streams, {
+            baseUrl: getPublicBaseUrl(req),
+            token: await getPlaybackToken(req.user),
+            group
+        });
+
+        res.setHeader('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="playlist.m3u"');
+        res.send(playlist);
+    } catch (error) {
+        console.error('Error building playlist:', describeError(error));
+        res.status(500).json({ error: error.message });
+    }
+}
+
+// Players authenticate with the user's playlist token (?token=), the UI may use its session
+async function authenticatePlaylist(req, res, next) {
+    await authReady;
+    const user = userStore.findByPlaylistToken(req.query.token) || getSessionUser(req);
+    if (!user) {
+        return res.status(401).json({ error: 'A valid playlist token is required' });
+    }
+    req.user = user;
+    next();
+}
+
+app.get(['/playlist.m3u', '/api/playlist.m3u'], authenticatePlaylist, (req, res) => sendPlaylist(req, res, req.query.group));
+
+app.get(['/playlist/groups/:group.m3u', '/api/playlist/groups/:group.m3u'], authenticatePlaylist, (req, res) => sendPlaylist(req, res, req.params.group));
+
 app.post('/api/streams/reorder', async (req, res) => {
     try {
         const { streamIds } = req.body;
@@ -662,23 +1509,25 @@ app.post('/api/streams/reorder', async (req, res) => {
 
         // Update the stream order
         streamOrder = streamIds;
+        await saveStreamState();
         
         res.json({ success: true });
     } catch (error) {
-        console.error('Error reordering streams:', error);
+        console.error('Error reordering streams:', describeError(error));
         res.status(500).json({ error: error.message });
     }
 });
 
 app.post('/api/streams/:id/stop', async (req, res) => {
     try {
-        await axios.post(`http://hls-proxy:8080/stop/${req.params.id}`);
+        await hlsProxy.post(`/stop/${req.params.id}`);
         stopPolling(req.params.id);
         activeStreamsInfo.delete(req.params.id);
         updateStreamOrder(req.params.id, true);
+        await saveStreamState();
         res.json({ success: true });
     } catch (error) {
-        console.error('Error stopping stream:', error);
+        console.error('Error stopping stream:', describeError(error));
         res.status(500).json({ error: error.message });
     }
 });
@@ -688,48 +1537,625 @@ app.delete('/api/streams/:id', async (req, res) => {
         const streamId = req.params.id;
         
         // First stop the stream
-        await axios.post(`http://hls-proxy:8080/stop/${streamId}`);
+        await hlsProxy.post(`/stop/${streamId}`);
         
         // Then delete it from HLS proxy
-        await axios.delete(`http://hls-proxy:8080/stream/${streamId}`);
+        await hlsProxy.delete(`/stream/${streamId}`);
         
         // Clean up our stored info and update order
         activeStreamsInfo.delete(streamId);
         updateStreamOrder(streamId, true);
         stopPolling(streamId);
+        await saveStreamState();
 
         res.json({ success: true });
     } catch (error) {
-        console.error('Error deleting stream:', error);
+        console.error('Error deleting stream:', describeError(error));
         res.status(500).json({ error: error.message || 'Failed to delete stream' });
     }
 });
 
+// Share links: playback URLs for one stream that can expire, be bound
+// to an address and be revoked without touching anyone else's access
+app.get('/api/streams/:id/links', async (req, res) => {
+    try {
+        const baseUrl = getPublicBaseUrl(req);
+        const { data: links } = await hlsProxy.get('/tokens/links', { params: { streamId: req.params.id } });
+        res.json(links.map(link => ({
+            ...link,
+            url: link.proxyUrl ? withToken(`${baseUrl}${link.proxyUrl}`, link.token) : null
+        })));
+    } catch (error) {
+        console.error('Error fetching share links:', describeError(error));
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/streams/:id/links', async (req, res) => {
+    try {
+        const { label, expiresAt, ip } = req.body;
+        const { data: link } = await hlsProxy.post('/tokens/links', {
+            streamId: req.params.id,
+            label,
+            expiresAt,
+            ip,
+            createdBy: req.user.username
+        });
+        res.json({
+            ...link,
+            url: link.proxyUrl ? withToken(`${getPublicBaseUrl(req)}${link.proxyUrl}`, link.token) : null
+        });
+    } catch (error) {
+        console.error('Error creating share link:', describeError(error));
+        if (error.response && [400, 404].includes(error.response.status)) {
+            return res.status(error.response.status).json(error.response.data);
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/streams/:id/links/:linkId', async (req, res) => {
+    try {
+        await hlsProxy.delete(`/tokens/links/${req.params.linkId}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking share link:', describeError(error));
+        if (error.response && error.response.status === 404) {
+            return res.status(404).json(error.response.data);
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.post('/api/streams/:id/restart', async (req, res) => {
-    const { ignoreErrors } = req.body;
+    const { ignoreErrors, profile, abr, abrRenditions, timeshift } = req.body;
+    try {
+        const response = await hlsProxy.post(`/restart/${req.params.id}`, {
+            ignoreErrors,
+            profile,
+            abr,
+            abrRenditions,
+            timeshift
+        });
+
+        // Mirror the settings HLS-Proxy ended up with so they survive a reset of its data
+        const info = activeStreamsInfo.get(req.params.id);
+        if (info) {
+            info.ignoreErrors = !!response.data.ignoreErrors;
+            info.profile = response.data.profile || null;
+            info.abr = !!response.data.abr;
+            info.abrRenditions = response.data.abr ? response.data.variants.map(variant => variant.name) : null;
+            info.timeshift = response.data.timeshift || null;
+            await saveStreamState();
+        }
+
+        res.json(response.data);
+    } catch (error) {
+        // 409: the provider has no free connection
+        if (error.response && [400, 409].includes(error.response.status)) {
+            return res.status(error.response.status).json(error.response.data);
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/streams/:id/sources', async (req, res) => {
+    try {
+        const sources = await getStreamSources(req.params.id);
+        if (!sources) {
+            return res.status(404).json({ error: 'Stream not found' });
+        }
+        res.json(sources);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Replace a stream's backups with `backups`, a list of { key } of known sources or { url },
+// and with autoMatch add every matching channel not listed yet
+app.put('/api/streams/:id/sources', async (req, res) => {
+    const { backups, autoMatch = false } = req.body;
+    if (backups !== undefined && !Array.isArray(backups)) {
+        return res.status(400).json({ error: 'backups must be a list' });
+    }
+
+    try {
+        const { data: streams } = await hlsProxy.get('/streams');
+        const stream = streams.find(candidate => candidate.id === req.params.id);
+        if (!stream) {
+            return res.status(404).json({ error: 'Stream not found' });
+        }
+
+        // Keys resolve against the current backups and the matches offered in the UI
+        const known = new Map([...stream.backupUrls, ...findBackupCandidates(stream.url).map(channel => channel.url)]
+            .map(url => [sourceKey(url), url]));
+        let backupUrls = stream.backupUrls;
+        if (backups) {
+            backupUrls = [];
+            for (const entry of backups) {
+                const url = entry && entry.url ? String(entry.url).trim() : known.get(entry && entry.key);
+                if (!url) {
+                    return res.status(400).json({ error: 'Unknown backup source' });
+                }
+                backupUrls.push(url);
+            }
+        }
+        if (autoMatch) {
+            backupUrls = [...backupUrls, ...findBackupCandidates(stream.url, backupUrls).map(channel => channel.url)];
+        }
+        backupUrls = backupUrls.filter((url, index) => url !== stream.url && backupUrls.indexOf(url) === index);
+
+        await hlsProxy.post(`/sources/${stream.id}`, { backupUrls });
+        await syncProviderLimits();
+
+        const info = activeStreamsInfo.get(stream.id);
+        if (info) {
+            info.backupUrls = backupUrls;
+            await saveStreamState();
+        }
+
+        res.json(await getStreamSources(stream.id));
+    } catch (error) {
+        if (error.response && error.response.status === 400) {
+            return res.status(400).json(error.response.data);
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/streams/:id/autostart', async (req, res) => {
+    const { autostart } = req.body;
     try {
-        const response = await axios.post(`http://hls-proxy:8080/restart/${req.params.id}`, {
-            ignoreErrors
+        const response = await hlsProxy.post(`/autostart/${req.params.id}`, {
+            autostart
         });
+
+        const info = activeStreamsInfo.get(req.params.id);
+        if (info) {
+            info.autostart = !!autostart;
+            await saveStreamState();
+        }
+
         res.json(response.data);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Helper function to find channel by URL
-function findChannelByUrl(cache, url) {
-    for (const [providerId, providerData] of Object.entries(cache)) {
-        const channel = providerData.channels.find(ch => ch.url === url);
-        if (channel) {
-            return { ...channel, providerId };
+// Recordings are made by HLS-Proxy; the backend works out their times from the guide,
+// applies series rules and keeps within the concurrent stream limit
+
+// Pass HLS-Proxy's answers to bad requests (unknown stream, quota reached) on to the client
+function sendRecordingError(res, error) {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, conflicts: error.conflicts });
+    }
+    if (error.response && [400, 404, 507].includes(error.response.status)) {
+        return res.status(error.response.status).json(error.response.data);
+    }
+    console.error('Recording error:', error.message);
+    res.status(500).json({ error: error.message });
+}
+
+async function listRecordings() {
+    const { data } = await hlsProxy.get('/recordings');
+    return data;
+}
+
+// Schedule a recording in HLS-Proxy, refusing it when too many streams would be recorded at once
+async function scheduleRecording({ streamId, title, format, startAt, endAt }, { force = false, recordings = null } = {}) {
+    if (!force) {
+        const conflicts = RecordingPlanner.findConflicts(recordings || await listRecordings(), { streamId, startAt, endAt }, RECORDINGS_MAX_CONCURRENT_STREAMS);
+        if (conflicts.length > 0) {
+            const error = new Error(`More than ${RECORDINGS_MAX_CONCURRENT_STREAMS} streams would be recorded at the same time`);
+            error.status = 409;
+            error.conflicts = conflicts.map(({ id, title: conflictTitle, streamId: conflictStreamId, startAt: conflictStart, endAt: conflictEnd }) => ({
+                id, title: conflictTitle, streamId: conflictStreamId, startAt: conflictStart, endAt: conflictEnd
+            }));
+            throw error;
+        }
+    }
+    const { data } = await hlsProxy.post('/recordings', { streamId, title, format, startAt, endAt });
+    return data;
+}
+
+// Playback and download addresses carry the user's playback token
+function serializeRecording(recording, baseUrl, token) {
+    const info = activeStreamsInfo.get(recording.streamId);
+    return {
+        ...recording,
+        channelName: info ? info.channelName : null,
+        playbackUrl: withToken(`${baseUrl}${recording.playlistUrl}`, token),
+        downloadUrl: withToken(`${baseUrl}${recording.downloadUrl}`, token)
+    };
+}
+
+// Series rules run after every guide refresh; concurrent callers share a run
+let recordingRulesRun = null;
+
+function applyRecordingRules() {
+    if (!recordingRulesRun) {
+        recordingRulesRun = runRecordingRules().finally(() => {
+            recordingRulesRun = null;
+        });
+    }
+    return recordingRulesRun;
+}
+
+async function runRecordingRules() {
+    const rules = dataStore.getRecordingRules();
+    if (rules.length === 0) {
+        return;
+    }
+
+    const recordings = await listRecordings();
+    const now = new Date();
+    // Forget schedules two days after the programme began, the guide has dropped them by then
+    const keepAfter = new Date(now.getTime() - 48 * 3600 * 1000).toISOString();
+
+    for (const rule of rules) {
+        rule.conflicts = [];
+        rule.error = null;
+        rule.scheduled = rule.scheduled.filter(entry => entry.start >= keepAfter);
+
+        const info = activeStreamsInfo.get(rule.streamId);
+        if (!info || !info.tvgId) {
+            rule.error = info ? 'The stream has no tvg-id to find its guide listings' : 'The stream no longer exists';
+        } else {
+            const episodes = new Set(rule.episodes);
+            const programmes = epgStore.getProgrammes(info.tvgId, now, new Date(now.getTime() + 30 * 24 * 3600 * 1000));
+            for (const programme of RecordingPlanner.plan(rule, programmes, now)) {
+                const episode = RecordingPlanner.episodeKey(programme);
+                if (rule.skipDuplicates && episode && episodes.has(episode)) continue;
+
+                const { startAt, endAt } = RecordingPlanner.window(programme, rule);
+                try {
+                    const recording = await scheduleRecording({
+                        streamId: rule.streamId,
+                        title: RecordingPlanner.title(programme),
+                        format: rule.format,
+                        startAt,
+                        endAt
+                    }, { recordings });
+                    recordings.push(recording);
+                    rule.scheduled.push({ start: programme.start, recordingId: recording.id });
+                    if (episode) episodes.add(episode);
+                } catch (error) {
+                    if (error.status !== 409) {
+                        rule.error = (error.response && error.response.data.error) || error.message;
+                        break;
+                    }
+                    rule.conflicts.push({
+                        title: RecordingPlanner.title(programme),
+                        start: programme.start,
+                        conflictsWith: error.conflicts.map(conflict => conflict.title)
+                    });
+                }
+            }
+            // Enough to recognise repeats of a long-running series
+            rule.episodes = Array.from(episodes).slice(-500);
+        }
+
+        rule.lastRunAt = now.toISOString();
+        dataStore.saveRecordingRule(rule);
+    }
+}
+
+app.get('/api/recordings', async (req, res) => {
+    try {
+        const baseUrl = getPublicBaseUrl(req);
+        const [recordings, { data: usage }, token] = await Promise.all([
+            listRecordings(),
+            hlsProxy.get('/recordings/usage'),
+            getPlaybackToken(req.user)
+        ]);
+        res.json({
+            recordings: recordings.map(recording => serializeRecording(recording, baseUrl, token)),
+            usage,
+            maxConcurrentStreams: RECORDINGS_MAX_CONCURRENT_STREAMS
+        });
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+// Record a stream for a guide programme (programmeStart), a time window, or from now until stopped.
+// Padding in minutes widens programme windows; `force` skips the conflict check.
+app.post('/api/recordings', async (req, res) => {
+    const { streamId, title, format, startAt, endAt, duration, programmeStart, force } = req.body;
+    try {
+        const info = activeStreamsInfo.get(streamId);
+        if (!info) {
+            return res.status(404).json({ error: 'Stream not found' });
+        }
+
+        let window;
+        let recordingTitle = title;
+        if (programmeStart) {
+            const start = new Date(programmeStart);
+            if (!info.tvgId || isNaN(start.getTime())) {
+                return res.status(400).json({ error: 'The stream has no guide listings to record from' });
+            }
+            const programme = epgStore.getProgrammes(info.tvgId, start, new Date(start.getTime() + 1))
+                .find(candidate => candidate.start === start.toISOString());
+            if (!programme) {
+                return res.status(404).json({ error: 'Programme not found in the guide' });
+            }
+            window = RecordingPlanner.window(programme, {
+                paddingBefore: req.body.paddingBefore !== undefined ? Number(req.body.paddingBefore) : RECORDING_PADDING_BEFORE_MINUTES,
+                paddingAfter: req.body.paddingAfter !== undefined ? Number(req.body.paddingAfter) : RECORDING_PADDING_AFTER_MINUTES
+            });
+            recordingTitle = title || RecordingPlanner.title(programme);
+        } else {
+            const start = startAt ? new Date(startAt) : new Date();
+            let end = endAt ? new Date(endAt) : null;
+            if (duration) {
+                end = new Date(start.getTime() + Number(duration) * 1000);
+            }
+            if (isNaN(start.getTime()) || (end && isNaN(end.getTime()))) {
+                return res.status(400).json({ error: 'Invalid start or end time' });
+            }
+            window = RecordingPlanner.window({ start: start.toISOString(), stop: end ? end.toISOString() : null }, {
+                paddingBefore: Number(req.body.paddingBefore) || 0,
+                paddingAfter: Number(req.body.paddingAfter) || 0
+            });
+            if (!end) {
+                window.endAt = null;
+            }
+            recordingTitle = title || `${info.channelName} ${start.toLocaleString()}`;
+        }
+
+        const recording = await scheduleRecording({ streamId, title: recordingTitle, format, ...window }, { force: !!force });
+        res.json(serializeRecording(recording, getPublicBaseUrl(req), await getPlaybackToken(req.user)));
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+app.get('/api/recordings/rules', (req, res) => {
+    res.json(dataStore.getRecordingRules().map(rule => {
+        const info = activeStreamsInfo.get(rule.streamId);
+        return { ...rule, channelName: info ? info.channelName : null };
+    }));
+});
+
+// Series rule: record every upcoming programme on a stream whose title matches
+app.post('/api/recordings/rules', async (req, res) => {
+    const { streamId, title, match = 'exact', skipDuplicates = true, format = 'ts' } = req.body;
+    const paddingBefore = req.body.paddingBefore !== undefined ? Number(req.body.paddingBefore) : RECORDING_PADDING_BEFORE_MINUTES;
+    const paddingAfter = req.body.paddingAfter !== undefined ? Number(req.body.paddingAfter) : RECORDING_PADDING_AFTER_MINUTES;
+
+    const validationError = RecordingPlanner.validateRule({ streamId, title, match, format, paddingBefore, paddingAfter });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    if (!activeStreamsInfo.has(streamId)) {
+        return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    try {
+        const rule = {
+            id: crypto.randomBytes(8).toString('hex'),
+            streamId,
+            title: String(title).trim(),
+            match,
+            skipDuplicates: !!skipDuplicates,
+            format,
+            paddingBefore,
+            paddingAfter,
+            scheduled: [],
+            episodes: [],
+            conflicts: [],
+            error: null,
+            lastRunAt: null,
+            createdAt: new Date().toISOString()
+        };
+        dataStore.saveRecordingRule(rule);
+        await applyRecordingRules();
+        res.json(dataStore.getRecordingRules().find(saved => saved.id === rule.id));
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+// Deleting a rule cancels the recordings it scheduled that have not started
+app.delete('/api/recordings/rules/:id', async (req, res) => {
+    try {
+        const rule = dataStore.getRecordingRules().find(candidate => candidate.id === req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        dataStore.deleteRecordingRule(rule.id);
+
+        const pending = new Set(rule.scheduled.map(entry => entry.recordingId));
+        const recordings = await listRecordings();
+        for (const recording of recordings.filter(candidate => pending.has(candidate.id) && candidate.status === 'scheduled')) {
+            await hlsProxy.post(`/recordings/${recording.id}/stop`);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+app.post('/api/recordings/:id/stop', async (req, res) => {
+    try {
+        const { data } = await hlsProxy.post(`/recordings/${req.params.id}/stop`);
+        res.json(serializeRecording(data, getPublicBaseUrl(req), await getPlaybackToken(req.user)));
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+app.delete('/api/recordings/:id', async (req, res) => {
+    try {
+        await hlsProxy.delete(`/recordings/${req.params.id}`);
+        res.json({ success: true });
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+// HDHomeRun tuner emulation
+let hdhomerun = null;
+// Open tuner sessions by ID: { streamId, relay }
+const tunerSessions = new Map();
+// Streams started by a tuner, stopped again once the last viewer leaves
+const tunerStartedStreams = new Set();
+let nextTunerSessionId = 1;
+
+// Keep the device ID stable so media servers remember the tuner across restarts
+async function initHDHomeRun() {
+    const settings = dataStore.getSetting('hdhomerun', {});
+
+    let deviceId = process.env.HDHOMERUN_DEVICE_ID || settings.deviceId;
+    if (!deviceId || !HDHomeRun.isValidDeviceId(deviceId)) {
+        deviceId = HDHomeRun.createDeviceId();
+        dataStore.setSetting('hdhomerun', { ...settings, deviceId });
+    }
+
+    hdhomerun = new HDHomeRun({
+        deviceId,
+        friendlyName: process.env.HDHOMERUN_FRIENDLY_NAME || 'HLS Proxy',
+        tunerCount: HDHOMERUN_TUNER_COUNT
+    });
+
+    if (process.env.HDHOMERUN_SSDP !== 'false') {
+        hdhomerun.startSsdp(() => `${getHDHomeRunBaseUrl()}/device.xml`);
+    }
+}
+
+function getHDHomeRunBaseUrl(req) {
+    if (HDHOMERUN_BASE_URL) {
+        return HDHOMERUN_BASE_URL;
+    }
+    if (req) {
+        return `${req.protocol}://${req.get('host')}`;
+    }
+    return `http://${HDHomeRun.getLanAddress()}:${PORT}`;
+}
+
+// Answer 404 when emulation is off and 503 until the device ID has been loaded
+function requireHDHomeRun(req, res, next) {
+    if (!HDHOMERUN_ENABLED) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+    if (!hdhomerun) {
+        return res.status(503).json({ error: 'HDHomeRun emulation is starting' });
+    }
+    next();
+}
+
+app.get('/discover.json', requireHDHomeRun, (req, res) => {
+    res.json(hdhomerun.discover(getHDHomeRunBaseUrl(req)));
+});
+
+app.get('/lineup_status.json', requireHDHomeRun, (req, res) => {
+    res.json(hdhomerun.lineupStatus());
+});
+
+app.get('/lineup.json', requireHDHomeRun, async (req, res) => {
+    try {
+        const streams = await getStreamsWithDetails();
+        res.json(hdhomerun.lineup(streams, getHDHomeRunBaseUrl(req)));
+    } catch (error) {
+        console.error('Error building HDHomeRun lineup:', describeError(error));
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Channel scans are a no-op, the lineup always mirrors the stream list
+app.post('/lineup.post', requireHDHomeRun, (req, res) => {
+    res.send('');
+});
+
+app.get('/device.xml', requireHDHomeRun, (req, res) => {
+    res.type('application/xml').send(hdhomerun.deviceXml(getHDHomeRunBaseUrl(req)));
+});
+
+// Tune a channel: start the stream if needed and relay it as MPEG-TS
+app.get('/hdhomerun/stream/:streamId', requireHDHomeRun, async (req, res) => {
+    const { streamId } = req.params;
+
+    if (tunerSessions.size >= HDHOMERUN_TUNER_COUNT) {
+        res.setHeader('X-HDHomeRun-Error', '805 All Tuners In Use');
+        return res.status(503).json({ error: 'All tuners are in use' });
+    }
+
+    const sessionId = nextTunerSessionId++;
+    const relay = new HLSRelay(`${HLS_PROXY_URL}/stream/${streamId}/playlist.m3u8`, res, {
+        headers: HLS_PROXY_HEADERS
+    });
+    tunerSessions.set(sessionId, { streamId, relay });
+    req.on('close', () => relay.stop());
+
+    try {
+        const { data: streams } = await hlsProxy.get('/streams');
+        const stream = streams.find(s => s.id === streamId);
+        if (!stream) {
+            tunerSessions.delete(sessionId);
+            return res.status(404).json({ error: 'Stream not found' });
+        }
+
+        // DVRs get a single rendition; for ABR streams relay the highest one
+        const playlistPath = stream.abr && stream.variants.length > 0 ? stream.variants[0].proxyUrl : stream.proxyUrl;
+        relay.playlistUrl = `${HLS_PROXY_URL}${playlistPath}`;
+
+        // On-demand streams start themselves when the relay requests the playlist
+        if (!stream.onDemand && !['running', 'starting', 'restarting'].includes(stream.status)) {
+            console.log(`Starting stream ${streamId} for HDHomeRun tuner`);
+            await hlsProxy.post(`/restart/${streamId}`, {});
+            tunerStartedStreams.add(streamId);
+            startPolling(streamId);
         }
+    } catch (error) {
+        tunerSessions.delete(sessionId);
+        // DVRs treat a provider without free connections like a lineup without free tuners
+        if (error.response && error.response.status === 409) {
+            res.setHeader('X-HDHomeRun-Error', '805 All Tuners In Use');
+            return res.status(503).json({ error: error.message });
+        }
+        console.error('Error tuning HDHomeRun channel:', error.message);
+        return res.status(500).json({ error: error.message });
+    }
+
+    res.setHeader('Content-Type', 'video/mp2t');
+    try {
+        await relay.run();
+    } catch (error) {
+        console.error(`HDHomeRun relay for ${streamId} ended:`, error.message);
+        relay.stop();
+    }
+
+    tunerSessions.delete(sessionId);
+    await releaseTunedStream(streamId);
+});
+
+// Stop a tuner-started stream once no session is watching it
+async function releaseTunedStream(streamId) {
+    const stillWatched = [...tunerSessions.values()].some(session => session.streamId === streamId);
+    if (stillWatched || !tunerStartedStreams.has(streamId)) return;
+
+    tunerStartedStreams.delete(streamId);
+    stopPolling(streamId);
+    try {
+        await hlsProxy.post(`/stop/${streamId}`);
+        console.log(`Stopped stream ${streamId} after HDHomeRun tuner released it`);
+    } catch (error) {
+        console.error(`Error stopping tuned stream ${streamId}:`, error.message);
     }
-    return null;
 }
 
-// Initialize data directory
-ensureDataDir();
+// Initialize data directory and accounts, restore persisted streams, schedule refreshes and load the guide
+const authReady = ensureDataDir().then(initDataStore).then(migrateProviderCredentials).then(initAuth);
+authReady.then(() => {
+    resumeStreams();
+    initRefreshScheduler();
+    initEpg();
+    if (HDHOMERUN_ENABLED) {
+        initHDHomeRun();
+    }
+});
 
 // Create HTTP server
 const server = app.listen(PORT, () => {
@@ -737,10 +2163,18 @@ const server = app.listen(PORT, () => {
 });
 
 // Handle WebSocket upgrade
-server.on('upgrade', (request, socket, head) => {
+server.on('upgrade', async (request, socket, head) => {
   const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
 
   if (pathname === '/ws') {
+    // Browsers cannot send headers with WebSockets, so the session token comes as ?token=
+    await authReady;
+    if (!getSessionUser(request)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
     wss.handleUpgrade(request, socket, head, (ws) => {
       console.log('New WebSocket connection');
       connectedClients.add(ws);
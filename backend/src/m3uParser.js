@@ -1,71 +1,241 @@
 const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
 
+// #EXTINF attributes mapped to named channel fields
+const ATTRIBUTE_FIELDS = {
+    'tvg-id': 'tvgId',
+    'tvg-name': 'tvgName',
+    'tvg-logo': 'logo',
+    'group-title': 'group',
+    'tvg-chno': 'tvgChno',
+    'channel-number': 'tvgChno',
+    'tvg-shift': 'tvgShift',
+    'tvg-language': 'tvgLanguage',
+    'tvg-country': 'tvgCountry',
+    'tvg-url': 'tvgUrl',
+    'tvg-rec': 'tvgRec',
+    'catchup': 'catchup',
+    'catchup-source': 'catchupSource',
+    'catchup-days': 'catchupDays',
+    'timeshift': 'timeshift',
+    'radio': 'radio'
+};
+
+// Any absolute URL (http, https, rtmp, rtsp, udp, rtp, srt, ...)
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+// Streaming M3U/M3U8 playlist parser. Feed it text with write() and
+// call end() once done; each complete entry is passed to onChannel.
 class M3UParser {
-    static async parse(url, username = '', password = '') {
-        try {
-            let finalUrl = url;
-            if (username && password) {
-                // Insert credentials into URL if provided
-                const urlObj = new URL(url);
-                urlObj.username = username;
-                urlObj.password = password;
-                finalUrl = urlObj.toString();
+    constructor(onChannel = () => {}) {
+        this.onChannel = onChannel;
+        this.header = {};
+        this.buffer = '';
+        this.decoder = new StringDecoder('utf8');
+        this.started = false;
+        this.pending = null;
+        this.linesProcessed = 0;
+        this.channelCount = 0;
+    }
+
+    write(chunk) {
+        // The decoder keeps multi-byte characters split across chunks intact
+        let text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+        if (!this.started) {
+            text = text.replace(/^\uFEFF/, '');
+            this.started = true;
+        }
+
+        this.buffer += text;
+        const lines = this.buffer.split(/\r?\n|\r/);
+        this.buffer = lines.pop();
+        lines.forEach(line => this.processLine(line));
+    }
+
+    end() {
+        this.buffer += this.decoder.end();
+        if (this.buffer) {
+            this.processLine(this.buffer);
+            this.buffer = '';
+        }
+        this.pending = null;
+    }
+
+    processLine(rawLine) {
+        this.linesProcessed++;
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (line.startsWith('#EXTM3U')) {
+            this.header = M3UParser.parseAttributes(line.slice('#EXTM3U'.length)).attributes;
+        } else if (line.startsWith('#EXTINF:')) {
+            // Keep options that were listed before the #EXTINF line
+            const options = this.pending && this.pending.name === undefined ? this.pending : {};
+            this.pending = { ...options, ...M3UParser.parseExtinf(line) };
+        } else if (line.startsWith('#EXTGRP:')) {
+            this.ensurePending().extGroup = line.slice('#EXTGRP:'.length).trim();
+        } else if (line.startsWith('#EXTVLCOPT:')) {
+            M3UParser.addOption(this.ensurePending(), 'vlcOptions', line.slice('#EXTVLCOPT:'.length));
+        } else if (line.startsWith('#KODIPROP:')) {
+            M3UParser.addOption(this.ensurePending(), 'kodiProps', line.slice('#KODIPROP:'.length));
+        } else if (line.startsWith('#')) {
+            // Unsupported directive or comment
+        } else if (URL_PATTERN.test(line) && this.pending && this.pending.name !== undefined) {
+            this.emit(line);
+        } else {
+            // A URL without a preceding #EXTINF, or not a URL at all
+            this.pending = null;
+        }
+    }
+
+    // Options may appear before #EXTINF, so collect them on a placeholder entry
+    ensurePending() {
+        if (!this.pending) {
+            this.pending = {};
+        }
+        return this.pending;
+    }
+
+    emit(url) {
+        const { extGroup, name, ...entry } = this.pending;
+        const channel = { name, url, group: '', logo: '', ...entry };
+        if (!channel.group && extGroup) {
+            channel.group = extGroup;
+        }
+
+        this.pending = null;
+        this.channelCount++;
+        this.onChannel(channel);
+    }
+
+    // Parse `#EXTINF:<duration> key="value" ...,<name>` into a channel entry
+    static parseExtinf(line) {
+        const body = line.slice('#EXTINF:'.length);
+        const durationMatch = body.match(/^\s*(-?\d+(?:\.\d+)?)/);
+        const rest = durationMatch ? body.slice(durationMatch[0].length) : body;
+        const { attributes, name } = M3UParser.parseAttributes(rest);
+
+        const entry = {
+            name: name || attributes['tvg-name'] || 'Unknown Channel',
+            duration: durationMatch ? parseFloat(durationMatch[1]) : -1
+        };
+        const extra = {};
+
+        Object.entries(attributes).forEach(([key, value]) => {
+            const field = ATTRIBUTE_FIELDS[key.toLowerCase()];
+            if (field) {
+                entry[field] = value;
+            } else {
+                extra[key] = value;
             }
+        });
 
-            const response = await axios.get(finalUrl);
-            const content = response.data;
-            const channels = [];
-            let currentChannel = null;
-
-            const lines = content.split('\n');
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i].trim();
-                
-                if (line.startsWith('#EXTINF:')) {
-                    // Parse channel info
-                    currentChannel = {
-                        name: '',
-                        group: '',
-                        logo: '',
-                        url: ''
-                    };
-
-                    // Extract channel name and attributes
-                    const infoMatch = line.match(/#EXTINF:[-]?\d+\s*(.+)$/);
-                    if (infoMatch) {
-                        const attributes = infoMatch[1];
-                        
-                        // Extract group-title
-                        const groupMatch = attributes.match(/group-title="([^"]+)"/);
-                        if (groupMatch) {
-                            currentChannel.group = groupMatch[1];
-                        }
-
-                        // Extract tvg-logo
-                        const logoMatch = attributes.match(/tvg-logo="([^"]+)"/);
-                        if (logoMatch) {
-                            currentChannel.logo = logoMatch[1];
-                        }
-
-                        // Extract channel name (last part after the last comma)
-                        const nameParts = attributes.split(',');
-                        if (nameParts.length > 0) {
-                            currentChannel.name = nameParts[nameParts.length - 1].trim();
-                        }
+        if (entry.radio !== undefined) {
+            entry.radio = entry.radio === '' || entry.radio.toLowerCase() === 'true' || entry.radio === '1';
+        }
+        if (Object.keys(extra).length > 0) {
+            entry.attributes = extra;
+        }
+        return entry;
+    }
+
+    // Tokenize `key="value" key2=value2,Name` honoring quotes, so commas
+    // inside attribute values do not end the attribute list
+    static parseAttributes(text) {
+        const attributes = {};
+        let i = 0;
+
+        while (i < text.length) {
+            while (i < text.length && /\s/.test(text[i])) i++;
+            if (i >= text.length) break;
+
+            if (text[i] === ',') {
+                return { attributes, name: text.slice(i + 1).trim() };
+            }
+
+            let key = '';
+            while (i < text.length && !/[\s=,]/.test(text[i])) {
+                key += text[i++];
+            }
+
+            let value = '';
+            if (text[i] === '=') {
+                i++;
+                const quote = text[i] === '"' || text[i] === "'" ? text[i] : null;
+                if (quote) {
+                    i++;
+                    while (i < text.length && text[i] !== quote) {
+                        value += text[i++];
+                    }
+                    i++;
+                } else {
+                    while (i < text.length && !/[\s,]/.test(text[i])) {
+                        value += text[i++];
                     }
-                } else if (line.startsWith('http') && currentChannel) {
-                    // Add URL to current channel and save it
-                    currentChannel.url = line;
-                    channels.push({ ...currentChannel });
-                    currentChannel = null;
                 }
             }
 
-            return channels;
-        } catch (error) {
-            console.error('Error parsing M3U playlist:', error);
-            throw error;
+            if (key) {
+                attributes[key] = value;
+            } else {
+                i++;
+            }
+        }
+
+        return { attributes, name: null };
+    }
+
+    static addOption(entry, field, option) {
+        const separator = option.indexOf('=');
+        if (separator === -1) return;
+        entry[field] = entry[field] || {};
+        entry[field][option.slice(0, separator).trim()] = option.slice(separator + 1).trim();
+    }
+
+    // Parse a complete playlist held in memory
+    static parse(content) {
+        const channels = [];
+        const parser = new M3UParser(channel => channels.push(channel));
+        parser.write(content);
+        parser.end();
+        return channels;
+    }
+
+    // Insert credentials into a playlist URL when provided
+    static buildUrl(url, username = '', password = '') {
+        if (!username || !password) {
+            return url;
         }
+        const urlObj = new URL(url);
+        urlObj.username = username;
+        urlObj.password = password;
+        return urlObj.toString();
+    }
+
+    // Download and parse a playlist without buffering it whole.
+    // onProgress receives (bytesRead, totalBytes or null). Resolves to
+    // { channels, header } where header holds the #EXTM3U attributes.
+    static async fetch(url, { username, password, onProgress } = {}) {
+        const response = await axios.get(M3UParser.buildUrl(url, username, password), {
+            responseType: 'stream'
+        });
+        const totalBytes = parseInt(response.headers['content-length'], 10) || null;
+        const channels = [];
+        const parser = new M3UParser(channel => channels.push(channel));
+        let bytesRead = 0;
+
+        await new Promise((resolve, reject) => {
+            response.data.on('data', (chunk) => {
+                bytesRead += chunk.length;
+                parser.write(chunk);
+                if (onProgress) onProgress(bytesRead, totalBytes);
+            });
+            response.data.on('end', resolve);
+            response.data.on('error', reject);
+        });
+        parser.end();
+
+        return { channels, header: parser.header };
     }
 }
 
@@ -0,0 +1,49 @@
+// Statuses whose HLS output is worth handing to players; on-demand
+// streams are always listed since a viewer starts them
+const PLAYABLE_STATUSES = ['running', 'starting', 'restarting'];
+
+// Builds the M3U playlist of proxied streams served at /playlist.m3u
+class PlaylistBuilder {
+    // streams must be every stream in the user's custom order. Channel numbers
+    // are positions in that full list, matching the HDHomeRun lineup, so they
+    // do not shift when other streams stop or another group is requested
+    static build(streams, { baseUrl, token = null, group = null } = {}) {
+        const query = token ? `?token=${encodeURIComponent(token)}` : '';
+        const lines = ['#EXTM3U'];
+
+        streams
+            .map((stream, index) => ({ stream, number: index + 1 }))
+            .filter(({ stream }) => stream.onDemand || PLAYABLE_STATUSES.includes(stream.status))
+            .forEach(({ stream, number }) => {
+                if (group && stream.group !== group) return;
+
+                const attributes = {
+                    'tvg-id': stream.tvgId,
+                    'tvg-name': stream.tvgName || stream.channelName,
+                    'tvg-logo': stream.logo,
+                    'tvg-chno': number,
+                    'group-title': stream.group
+                };
+                const attributeText = Object.entries(attributes)
+                    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+                    .map(([key, value]) => `${key}="${PlaylistBuilder.escapeAttribute(value)}"`)
+                    .join(' ');
+
+                lines.push(`#EXTINF:-1 ${attributeText},${PlaylistBuilder.escapeName(stream.channelName)}`);
+                lines.push(`${baseUrl}${stream.proxyUrl}${query}`);
+            });
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Players do not understand escaped quotes, so swap them for single quotes
+    static escapeAttribute(value) {
+        return String(value).replace(/[\r\n]+/g, ' ').replace(/"/g, "'");
+    }
+
+    static escapeName(value) {
+        return String(value || 'Unknown Channel').replace(/[\r\n]+/g, ' ');
+    }
+}
+
+module.exports = PlaylistBuilder;
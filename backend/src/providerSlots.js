@@ -0,0 +1,70 @@
+// Stream states holding a connection to the upstream provider. Streams waiting to
+// restart hold none, they are checked again when they reconnect.
+const CONNECTED_STATUSES = ['starting', 'running', 'stalled'];
+
+// Concurrent connection limits of providers and the streams that use them up.
+// A provider's own maxConnections wins over the one its Xtream account reports;
+// 0 on the provider means no limit.
+class ProviderSlots {
+    // Returns an error message for an invalid limit; empty or null falls back to the account
+    static validate(maxConnections) {
+        if (maxConnections === undefined || maxConnections === null || maxConnections === '') {
+            return null;
+        }
+        const value = Number(maxConnections);
+        if (!Number.isInteger(value) || value < 0) {
+            return 'maxConnections must be a whole number of 0 or more';
+        }
+        return null;
+    }
+
+    // A validated limit as stored on the provider
+    static normalize(maxConnections) {
+        return maxConnections === undefined || maxConnections === null || maxConnections === '' ? null : Number(maxConnections);
+    }
+
+    // { limit, source } where limit is null for providers without a limit
+    static limit(provider) {
+        if (typeof provider.maxConnections === 'number') {
+            return { limit: provider.maxConnections > 0 ? provider.maxConnections : null, source: 'manual' };
+        }
+        const fromAccount = provider.account ? provider.account.maxConnections : null;
+        if (fromAccount > 0) {
+            return { limit: fromAccount, source: 'account' };
+        }
+        return { limit: null, source: null };
+    }
+
+    static isConnected(stream) {
+        return CONNECTED_STATUSES.includes(stream.status);
+    }
+
+    // Group connected streams by the provider of the source they play, as providerId => [stream]
+    static usage(streams, providerIdOf) {
+        const usage = new Map();
+        streams.filter(ProviderSlots.isConnected).forEach(stream => {
+            const providerId = providerIdOf(stream);
+            if (!providerId) return;
+            if (!usage.has(providerId)) {
+                usage.set(providerId, []);
+            }
+            usage.get(providerId).push(stream);
+        });
+        return usage;
+    }
+
+    // Slot summary for API responses; used and available are null when usage is unknown
+    static summarize(provider, streams) {
+        const { limit, source } = ProviderSlots.limit(provider);
+        const used = streams ? streams.length : null;
+        return {
+            limit,
+            source,
+            used,
+            available: limit !== null && used !== null ? Math.max(0, limit - used) : null,
+            streams: streams ? streams.map(stream => ({ id: stream.id, channelName: stream.channelName || null })) : []
+        };
+    }
+}
+
+module.exports = ProviderSlots;
@@ -0,0 +1,79 @@
+// Statuses of recordings that still need a stream
+const ACTIVE_STATUSES = ['scheduled', 'recording'];
+const MATCH_MODES = ['exact', 'contains'];
+const FORMATS = ['ts', 'mp4'];
+
+// Works out recording windows from guide programmes, matches series rules
+// against the guide and checks schedules against the concurrent stream limit.
+class RecordingPlanner {
+    // Recording window for a programme, widened by padding given in minutes
+    static window(programme, { paddingBefore = 0, paddingAfter = 0 } = {}) {
+        const start = new Date(programme.start).getTime() - paddingBefore * 60 * 1000;
+        const stop = new Date(programme.stop || programme.start).getTime() + paddingAfter * 60 * 1000;
+        return { startAt: new Date(start).toISOString(), endAt: new Date(stop).toISOString() };
+    }
+
+    static title(programme) {
+        return programme.subTitle ? `${programme.title} - ${programme.subTitle}` : programme.title;
+    }
+
+    // Recordings of other streams overlapping [startAt, endAt) that would push the number of
+    // streams recorded at the same time above the limit. Recordings of the same stream share it.
+    static findConflicts(recordings, { streamId, startAt, endAt }, limit) {
+        const start = new Date(startAt).getTime();
+        const end = endAt ? new Date(endAt).getTime() : Infinity;
+        const overlapping = recordings.filter(recording => {
+            if (!ACTIVE_STATUSES.includes(recording.status) || recording.streamId === streamId) return false;
+            const otherStart = new Date(recording.startAt).getTime();
+            const otherEnd = recording.endAt ? new Date(recording.endAt).getTime() : Infinity;
+            return otherStart < end && start < otherEnd;
+        });
+
+        // Count the distinct streams at every point where a recording starts
+        const points = [start, ...overlapping.map(recording => new Date(recording.startAt).getTime()).filter(time => time > start)];
+        const busiest = Math.max(...points.map(time => {
+            const streams = new Set(overlapping
+                .filter(recording => new Date(recording.startAt).getTime() <= time
+                    && (!recording.endAt || new Date(recording.endAt).getTime() > time))
+                .map(recording => recording.streamId));
+            return streams.size + 1;
+        }));
+
+        return busiest > limit ? overlapping : [];
+    }
+
+    // Returns an error message for an invalid series rule
+    static validateRule({ streamId, title, match = 'exact', format = 'ts', paddingBefore = 0, paddingAfter = 0 }) {
+        if (!streamId) return 'streamId is required';
+        if (!title || !String(title).trim()) return 'A programme title is required';
+        if (!MATCH_MODES.includes(match)) return `match must be one of: ${MATCH_MODES.join(', ')}`;
+        if (!FORMATS.includes(format)) return `format must be one of: ${FORMATS.join(', ')}`;
+        if (![paddingBefore, paddingAfter].every(value => Number.isFinite(Number(value)) && Number(value) >= 0)) {
+            return 'Padding must be zero or more minutes';
+        }
+        return null;
+    }
+
+    static matchesRule(rule, programme) {
+        const wanted = rule.title.trim().toLowerCase();
+        const title = String(programme.title || '').trim().toLowerCase();
+        return rule.match === 'contains' ? title.includes(wanted) : title === wanted;
+    }
+
+    // Identifies an episode so repeats can be skipped; null when the guide does not say
+    static episodeKey(programme) {
+        const key = programme.episodeNum || programme.subTitle;
+        return key ? `${programme.title}|${key}`.toLowerCase() : null;
+    }
+
+    // Upcoming programmes matching a rule that it has not scheduled yet
+    static plan(rule, programmes, now = new Date()) {
+        const scheduled = new Set((rule.scheduled || []).map(entry => entry.start));
+        const nowIso = now.toISOString();
+        return programmes.filter(programme => (programme.stop || programme.start) > nowIso
+            && !scheduled.has(programme.start)
+            && RecordingPlanner.matchesRule(rule, programme));
+    }
+}
+
+module.exports = RecordingPlanner;
@@ -0,0 +1,134 @@
+const cronParser = require('cron-parser');
+
+// setTimeout cannot wait longer than this (about 24.8 days)
+const MAX_TIMEOUT = 2 ** 31 - 1;
+const MIN_INTERVAL_HOURS = 0.25;
+
+// Runs each provider's channel refresh on its own schedule, either every
+// intervalHours or on a cron expression. Runs are spread out with random
+// jitter, and failed runs are retried with exponential backoff before the
+// scheduler falls back to the next regular run.
+class RefreshScheduler {
+    constructor(refresh, { jitterMs = 0, retries = 3, retryDelayMs = 5 * 60 * 1000 } = {}) {
+        this.refresh = refresh;
+        this.jitterMs = jitterMs;
+        this.retries = retries;
+        this.retryDelayMs = retryDelayMs;
+        // Provider ID -> { schedule, timer, runAt, attempt }
+        this.jobs = new Map();
+    }
+
+    // Returns an error message for an invalid schedule; null disables refreshes
+    static validate(schedule) {
+        if (!schedule) return null;
+        if (schedule.type === 'interval') {
+            const hours = Number(schedule.intervalHours);
+            if (!Number.isFinite(hours) || hours < MIN_INTERVAL_HOURS) {
+                return `intervalHours must be at least ${MIN_INTERVAL_HOURS}`;
+            }
+            return null;
+        }
+        if (schedule.type === 'cron') {
+            try {
+                cronParser.parseExpression(String(schedule.cron || ''));
+                return String(schedule.cron || '').trim() ? null : 'A cron expression is required';
+            } catch (error) {
+                return `Invalid cron expression: ${error.message}`;
+            }
+        }
+        return 'Schedule type must be "interval" or "cron"';
+    }
+
+    // Keep only the fields a schedule needs
+    static normalize(schedule) {
+        if (!schedule) return null;
+        return schedule.type === 'interval'
+            ? { type: 'interval', intervalHours: Number(schedule.intervalHours) }
+            : { type: 'cron', cron: String(schedule.cron).trim() };
+    }
+
+    // Next regular run after `from`, without jitter
+    static nextRun(schedule, from = new Date()) {
+        if (schedule.type === 'interval') {
+            return new Date(from.getTime() + schedule.intervalHours * 3600 * 1000);
+        }
+        return cronParser.parseExpression(schedule.cron, { currentDate: from }).next().toDate();
+    }
+
+    // (Re)schedule a provider; lastRun lets interval schedules survive restarts
+    schedule(providerId, schedule, lastRun = null) {
+        this.unschedule(providerId);
+        if (!schedule) return;
+
+        let runAt;
+        if (schedule.type === 'interval' && lastRun) {
+            runAt = new Date(Math.max(Date.now(), RefreshScheduler.nextRun(schedule, new Date(lastRun)).getTime()));
+        } else {
+            runAt = RefreshScheduler.nextRun(schedule);
+        }
+
+        const job = { schedule, timer: null, runAt: null, attempt: 0 };
+        this.jobs.set(providerId, job);
+        this.arm(providerId, job, runAt.getTime() + Math.random() * this.jitterMs);
+    }
+
+    unschedule(providerId) {
+        const job = this.jobs.get(providerId);
+        if (job) {
+            clearTimeout(job.timer);
+            this.jobs.delete(providerId);
+        }
+    }
+
+    stop() {
+        Array.from(this.jobs.keys()).forEach(providerId => this.unschedule(providerId));
+    }
+
+    getNextRun(providerId) {
+        const job = this.jobs.get(providerId);
+        return job && job.runAt ? new Date(job.runAt).toISOString() : null;
+    }
+
+    arm(providerId, job, runAt) {
+        job.runAt = runAt;
+        const wait = () => {
+            const delay = job.runAt - Date.now();
+            job.timer = setTimeout(() => {
+                // Long waits are split into several timers
+                if (job.runAt > Date.now()) {
+                    wait();
+                } else {
+                    this.run(providerId, job);
+                }
+            }, Math.max(0, Math.min(delay, MAX_TIMEOUT)));
+        };
+        wait();
+    }
+
+    async run(providerId, job) {
+        let failed = false;
+        try {
+            await this.refresh(providerId);
+        } catch (error) {
+            failed = true;
+            console.error(`Scheduled refresh of provider ${providerId} failed:`, error.message);
+        }
+
+        // The schedule was changed or removed while the refresh ran
+        if (this.jobs.get(providerId) !== job) return;
+
+        if (failed && job.attempt < this.retries) {
+            job.attempt++;
+            const delay = this.retryDelayMs * 2 ** (job.attempt - 1);
+            console.log(`Retrying refresh of provider ${providerId} in ${Math.round(delay / 1000)}s (attempt ${job.attempt}/${this.retries})`);
+            this.arm(providerId, job, Date.now() + delay);
+            return;
+        }
+
+        job.attempt = 0;
+        const next = RefreshScheduler.nextRun(job.schedule).getTime() + Math.random() * this.jitterMs;
+        this.arm(providerId, job, next);
+    }
+}
+
+module.exports = RefreshScheduler;
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+// Login sessions keyed by a hash of their bearer token, so a leaked
+// sessions file cannot be replayed. Persisted so restarts keep users logged in.
+class SessionStore {
+    constructor(filePath, ttlMs) {
+        this.filePath = filePath;
+        this.ttlMs = ttlMs;
+        this.sessions = {};
+    }
+
+    async load() {
+        try {
+            const data = await fs.readFile(this.filePath, 'utf8');
+            this.sessions = JSON.parse(data);
+        } catch (error) {
+            this.sessions = {};
+        }
+        this.prune();
+    }
+
+    async save() {
+        await fs.writeFile(this.filePath, JSON.stringify(this.sessions, null, 2));
+    }
+
+    async create(user) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + this.ttlMs).toISOString();
+        this.sessions[SessionStore.hash(token)] = {
+            userId: user.id,
+            createdAt: new Date().toISOString(),
+            expiresAt
+        };
+        this.prune();
+        await this.save();
+        return { token, expiresAt };
+    }
+
+    // Session for a token, or null when unknown or expired
+    get(token) {
+        if (!token) return null;
+        const session = this.sessions[SessionStore.hash(token)];
+        if (!session || session.expiresAt <= new Date().toISOString()) {
+            return null;
+        }
+        return session;
+    }
+
+    async remove(token) {
+        delete this.sessions[SessionStore.hash(token)];
+        await this.save();
+    }
+
+    async removeForUser(userId) {
+        Object.entries(this.sessions).forEach(([key, session]) => {
+            if (session.userId === userId) {
+                delete this.sessions[key];
+            }
+        });
+        await this.save();
+    }
+
+    prune() {
+        const now = new Date().toISOString();
+        Object.entries(this.sessions).forEach(([key, session]) => {
+            if (session.expiresAt <= now) {
+                delete this.sessions[key];
+            }
+        });
+    }
+
+    static hash(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,39 @@
+// Stream IDs double as the public path segment in /stream/<id>/playlist.m3u8
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_SLUG_LENGTH = 64;
+
+class StreamSlug {
+    static isValid(slug) {
+        return typeof slug === 'string' && SLUG_PATTERN.test(slug);
+    }
+
+    // Turn a channel name like "ESPN HD (US)" into "espn-hd-us"
+    static fromName(name) {
+        const slug = String(name || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, MAX_SLUG_LENGTH - 4)
+            .replace(/-+$/, '');
+        return slug || 'stream';
+    }
+
+    // Append -2, -3, ... until the slug is not in takenIds
+    static unique(base, takenIds) {
+        const taken = new Set(takenIds);
+        if (!taken.has(base)) {
+            return base;
+        }
+        let suffix = 2;
+        while (taken.has(`${base}-${suffix}`)) {
+            suffix++;
+        }
+        return `${base}-${suffix}`;
+    }
+}
+
+StreamSlug.PATTERN = SLUG_PATTERN;
+
+module.exports = StreamSlug;
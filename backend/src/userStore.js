@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'viewer'];
+const KEY_LENGTH = 64;
+
+// User accounts for the web UI and API. Passwords are stored as salted scrypt hashes.
+class UserStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.users = [];
+    }
+
+    async load() {
+        try {
+            const data = await fs.readFile(this.filePath, 'utf8');
+            this.users = JSON.parse(data);
+        } catch (error) {
+            this.users = [];
+        }
+    }
+
+    async save() {
+        await fs.writeFile(this.filePath, JSON.stringify(this.users, null, 2));
+    }
+
+    get count() {
+        return this.users.length;
+    }
+
+    list() {
+        return this.users.map(UserStore.toPublic);
+    }
+
+    findById(id) {
+        return this.users.find(user => user.id === id) || null;
+    }
+
+    findByUsername(username) {
+        const wanted = String(username || '').toLowerCase();
+        return this.users.find(user => user.username.toLowerCase() === wanted) || null;
+    }
+
+    // Playlist tokens let IPTV players fetch a user's playlist without logging in
+    findByPlaylistToken(token) {
+        if (!token) return null;
+        return this.users.find(user => user.playlistToken === token) || null;
+    }
+
+    async create({ username, password, role = 'viewer' }) {
+        const user = {
+            id: Date.now().toString(),
+            username,
+            role,
+            passwordHash: await UserStore.hashPassword(password),
+            playlistToken: crypto.randomBytes(24).toString('hex'),
+            createdAt: new Date().toISOString()
+        };
+        this.users.push(user);
+        await this.save();
+        return user;
+    }
+
+    async update(id, { password, role }) {
+        const user = this.findById(id);
+        if (!user) return null;
+
+        if (password) {
+            user.passwordHash = await UserStore.hashPassword(password);
+        }
+        if (role) {
+            user.role = role;
+        }
+        await this.save();
+        return user;
+    }
+
+    async regeneratePlaylistToken(id) {
+        const user = this.findById(id);
+        if (!user) return null;
+        user.playlistToken = crypto.randomBytes(24).toString('hex');
+        await this.save();
+        return user;
+    }
+
+    async remove(id) {
+        this.users = this.users.filter(user => user.id !== id);
+        await this.save();
+    }
+
+    // Returns the user when the credentials match, otherwise null
+    async verify(username, password) {
+        const user = this.findByUsername(username);
+        if (!user || !password) return null;
+        return await UserStore.verifyPassword(password, user.passwordHash) ? user : null;
+    }
+
+    static get roles() {
+        return ROLES;
+    }
+
+    // Stored as "scrypt:<salt>:<hash>" in hex
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+    }
+
+    static async verifyPassword(password, stored) {
+        const [scheme, salt, hash] = String(stored || '').split(':');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    // Account details safe to send to clients
+    static toPublic({ id, username, role, createdAt }) {
+        return { id, username, role, createdAt };
+    }
+}
+
+module.exports = UserStore;
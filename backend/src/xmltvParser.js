@@ -0,0 +1,133 @@
+const axios = require('axios');
+const sax = require('sax');
+const zlib = require('zlib');
+
+// Streaming XMLTV parser. Channels and programmes are handed to the
+// callbacks as soon as their closing tag is seen.
+class XMLTVParser {
+    constructor({ onChannel = () => {}, onProgramme = () => {} } = {}) {
+        this.onChannel = onChannel;
+        this.onProgramme = onProgramme;
+        this.current = null;
+        this.field = null;
+        this.text = '';
+
+        this.stream = sax.createStream(true, { trim: true });
+        this.stream.on('opentag', node => this.openTag(node));
+        this.stream.on('closetag', name => this.closeTag(name));
+        this.stream.on('text', text => { this.text += text; });
+        this.stream.on('cdata', text => { this.text += text; });
+    }
+
+    openTag({ name, attributes }) {
+        this.text = '';
+
+        if (name === 'channel') {
+            this.current = { type: 'channel', id: attributes.id, displayNames: [], icon: null };
+        } else if (name === 'programme') {
+            this.current = {
+                type: 'programme',
+                channel: attributes.channel,
+                start: XMLTVParser.parseDate(attributes.start),
+                stop: XMLTVParser.parseDate(attributes.stop),
+                title: '',
+                subTitle: null,
+                description: null,
+                categories: [],
+                episodeNum: null,
+                icon: null
+            };
+        } else if (this.current && name === 'icon') {
+            this.current.icon = attributes.src || null;
+        } else if (this.current && name === 'episode-num') {
+            // Prefer the human readable onscreen numbering when several are given
+            this.field = attributes.system === 'onscreen' || !this.current.episodeNum ? 'episodeNum' : null;
+        }
+    }
+
+    closeTag(name) {
+        const current = this.current;
+        if (!current) return;
+        const text = this.text.trim();
+
+        if (name === 'channel' && current.type === 'channel') {
+            this.onChannel({ id: current.id, displayName: current.displayNames[0] || current.id, icon: current.icon });
+            this.current = null;
+        } else if (name === 'programme' && current.type === 'programme') {
+            if (current.channel && current.start) {
+                const { type, ...programme } = current;
+                this.onProgramme(programme);
+            }
+            this.current = null;
+        } else if (name === 'display-name' && current.type === 'channel') {
+            current.displayNames.push(text);
+        } else if (name === 'title' && !current.title) {
+            current.title = text;
+        } else if (name === 'sub-title' && !current.subTitle) {
+            current.subTitle = text;
+        } else if (name === 'desc' && !current.description) {
+            current.description = text;
+        } else if (name === 'category' && text) {
+            current.categories.push(text);
+        } else if (name === 'episode-num' && this.field === 'episodeNum') {
+            current.episodeNum = text;
+            this.field = null;
+        }
+        this.text = '';
+    }
+
+    // XMLTV dates look like "20240101120000 +0100"; without an offset they are UTC
+    static parseDate(value) {
+        const match = value && value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:\s*([+-]\d{2}):?(\d{2})?)?/);
+        if (!match) return null;
+        const [, year, month, day, hour, minute, second = '00', offsetHours = '+00', offsetMinutes = '00'] = match;
+        const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offsetHours}:${offsetMinutes}`);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    // Download an XMLTV file (plain or gzip compressed) and stream it through the parser
+    static async fetch(url, callbacks) {
+        const response = await axios.get(url, {
+            responseType: 'stream',
+            timeout: 120000
+        });
+        const parser = new XMLTVParser(callbacks);
+        let gunzip = null;
+        let firstChunk = true;
+
+        await new Promise((resolve, reject) => {
+            parser.stream.on('error', reject);
+            response.data.on('error', reject);
+
+            response.data.on('data', (chunk) => {
+                // Sniff the gzip magic bytes rather than trusting headers or extensions
+                if (firstChunk) {
+                    firstChunk = false;
+                    if (chunk[0] === 0x1f && chunk[1] === 0x8b) {
+                        gunzip = zlib.createGunzip();
+                        gunzip.on('data', data => parser.stream.write(data));
+                        gunzip.on('error', reject);
+                        gunzip.on('end', resolve);
+                    }
+                }
+
+                if (gunzip) {
+                    gunzip.write(chunk);
+                } else {
+                    parser.stream.write(chunk);
+                }
+            });
+
+            response.data.on('end', () => {
+                if (gunzip) {
+                    gunzip.end();
+                } else {
+                    resolve();
+                }
+            });
+        });
+        parser.stream.end();
+    }
+}
+
+module.exports = XMLTVParser;
@@ -0,0 +1,158 @@
+const axios = require('axios');
+
+// Client for Xtream Codes panels (player_api.php)
+class XtreamClient {
+    constructor({ serverUrl, username, password, output = 'ts' }) {
+        this.serverUrl = String(serverUrl || '').replace(/\/+$/, '');
+        this.username = username;
+        this.password = password;
+        this.output = output;
+    }
+
+    async request(action, params = {}) {
+        const response = await axios.get(`${this.serverUrl}/player_api.php`, {
+            params: {
+                username: this.username,
+                password: this.password,
+                ...(action ? { action } : {}),
+                ...params
+            },
+            timeout: 60000
+        });
+        return response.data;
+    }
+
+    // Account and server details; throws when the panel rejects the credentials
+    async getAccountInfo() {
+        const data = await this.request();
+        const userInfo = data && data.user_info;
+        if (!userInfo || Number(userInfo.auth) !== 1) {
+            throw new Error('Xtream authentication failed');
+        }
+
+        return {
+            status: userInfo.status || 'Unknown',
+            expiresAt: userInfo.exp_date ? new Date(Number(userInfo.exp_date) * 1000).toISOString() : null,
+            createdAt: userInfo.created_at ? new Date(Number(userInfo.created_at) * 1000).toISOString() : null,
+            isTrial: Number(userInfo.is_trial) === 1,
+            maxConnections: userInfo.max_connections !== undefined ? Number(userInfo.max_connections) : null,
+            activeConnections: userInfo.active_cons !== undefined ? Number(userInfo.active_cons) : null,
+            allowedOutputFormats: userInfo.allowed_output_formats || [],
+            timezone: data.server_info ? data.server_info.timezone : null,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    async getLiveCategories() {
+        return XtreamClient.asArray(await this.request('get_live_categories'));
+    }
+
+    async getLiveStreams() {
+        return XtreamClient.asArray(await this.request('get_live_streams'));
+    }
+
+    async getVodCategories() {
+        return XtreamClient.asArray(await this.request('get_vod_categories'));
+    }
+
+    async getVodStreams() {
+        return XtreamClient.asArray(await this.request('get_vod_streams'));
+    }
+
+    async getSeriesCategories() {
+        return XtreamClient.asArray(await this.request('get_series_categories'));
+    }
+
+    async getSeries() {
+        return XtreamClient.asArray(await this.request('get_series'));
+    }
+
+    buildLiveUrl(streamId) {
+        return `${this.serverUrl}/live/${encodeURIComponent(this.username)}/${encodeURIComponent(this.password)}/${streamId}.${this.output}`;
+    }
+
+    buildVodUrl(streamId, extension = 'mp4') {
+        return `${this.serverUrl}/movie/${encodeURIComponent(this.username)}/${encodeURIComponent(this.password)}/${streamId}.${extension}`;
+    }
+
+    buildXmltvUrl() {
+        return `${this.serverUrl}/xmltv.php?username=${encodeURIComponent(this.username)}&password=${encodeURIComponent(this.password)}`;
+    }
+
+    // Panels answer with an object instead of an array when a list is empty
+    static asArray(data) {
+        return Array.isArray(data) ? data : [];
+    }
+
+    static categoryNames(categories) {
+        const names = new Map();
+        categories.forEach(category => names.set(String(category.category_id), category.category_name));
+        return names;
+    }
+
+    // Build the channel cache entry for a provider.
+    // onProgress receives (progress, status) with progress from 0 to 80.
+    async loadChannels({ includeVod = false, includeSeries = false, onProgress = () => {} } = {}) {
+        onProgress(5, 'loading');
+        const account = await this.getAccountInfo();
+
+        onProgress(15, 'loading');
+        const liveGroups = XtreamClient.categoryNames(await this.getLiveCategories());
+        const liveStreams = await this.getLiveStreams();
+
+        onProgress(40, 'parsing');
+        const channels = liveStreams.map(stream => {
+            const channel = {
+                name: stream.name,
+                url: this.buildLiveUrl(stream.stream_id),
+                group: liveGroups.get(String(stream.category_id)) || '',
+                logo: stream.stream_icon || '',
+                type: 'live',
+                streamId: stream.stream_id,
+                categoryId: stream.category_id !== undefined ? String(stream.category_id) : null
+            };
+            if (stream.epg_channel_id) channel.tvgId = stream.epg_channel_id;
+            if (stream.num) channel.tvgChno = String(stream.num);
+            if (Number(stream.tv_archive) === 1) {
+                channel.catchup = 'xc';
+                channel.catchupDays = String(stream.tv_archive_duration || '');
+            }
+            return channel;
+        });
+
+        if (includeVod) {
+            onProgress(55, 'parsing');
+            const vodGroups = XtreamClient.categoryNames(await this.getVodCategories());
+            const vodStreams = await this.getVodStreams();
+            vodStreams.forEach(stream => {
+                channels.push({
+                    name: stream.name,
+                    url: this.buildVodUrl(stream.stream_id, stream.container_extension || 'mp4'),
+                    group: vodGroups.get(String(stream.category_id)) || '',
+                    logo: stream.stream_icon || '',
+                    type: 'movie',
+                    streamId: stream.stream_id,
+                    categoryId: stream.category_id !== undefined ? String(stream.category_id) : null
+                });
+            });
+        }
+
+        let series = [];
+        if (includeSeries) {
+            onProgress(70, 'parsing');
+            const seriesGroups = XtreamClient.categoryNames(await this.getSeriesCategories());
+            series = (await this.getSeries()).map(item => ({
+                name: item.name,
+                seriesId: item.series_id,
+                group: seriesGroups.get(String(item.category_id)) || '',
+                logo: item.cover || '',
+                categoryId: item.category_id !== undefined ? String(item.category_id) : null
+            }));
+        }
+
+        onProgress(80, 'parsing');
+        return { account, channels, series };
+    }
+}
+
+module.exports = XtreamClient;
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const M3UParser = require('../src/m3uParser');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'm3u');
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name));
+}
+
+// Feed a buffer to the streaming parser in chunks of `size` bytes
+function parseInChunks(buffer, size) {
+    const channels = [];
+    const parser = new M3UParser(channel => channels.push(channel));
+    for (let offset = 0; offset < buffer.length; offset += size) {
+        parser.write(buffer.subarray(offset, offset + size));
+    }
+    parser.end();
+    return { channels, header: parser.header };
+}
+
+test('strips the BOM and handles CRLF line endings', () => {
+    const { channels, header } = parseInChunks(readFixture('bom-crlf.m3u'), 4096);
+
+    assert.deepStrictEqual(header, { 'url-tvg': 'http://example.com/guide.xml' });
+    assert.deepStrictEqual(channels.map(channel => channel.name), ['One', 'Two']);
+    assert.strictEqual(channels[0].url, 'http://example.com/live/one.m3u8');
+    assert.strictEqual(channels[0].tvgId, 'one.uk');
+    assert.strictEqual(channels[0].logo, 'http://example.com/one.png');
+    assert.strictEqual(channels[1].group, 'UK');
+});
+
+test('keeps commas inside quoted attributes and the channel name', () => {
+    const channels = M3UParser.parse(readFixture('quoted-commas.m3u').toString());
+
+    assert.strictEqual(channels.length, 2);
+    assert.strictEqual(channels[0].name, 'News, Weather & Traffic');
+    assert.strictEqual(channels[0].tvgName, 'News, Weather');
+    assert.strictEqual(channels[0].group, 'News, Sport');
+    assert.strictEqual(channels[1].name, 'Films, Classics');
+    assert.strictEqual(channels[1].tvgName, 'Single, Quoted');
+    assert.strictEqual(channels[1].group, 'Movies');
+});
+
+test('collects #EXTVLCOPT, #KODIPROP and #EXTGRP before or after #EXTINF', () => {
+    const [before, kodi] = M3UParser.parse(readFixture('options.m3u').toString());
+
+    assert.deepStrictEqual(before.vlcOptions, { 'http-user-agent': 'Mozilla/5.0' });
+    assert.strictEqual(before.group, 'Grouped');
+    assert.deepStrictEqual(kodi.kodiProps, {
+        'inputstream.adaptive.manifest_type': 'mpd',
+        'inputstream.adaptive.license_type': 'clearkey'
+    });
+    assert.deepStrictEqual(kodi.vlcOptions, { 'http-referrer': 'http://example.com/' });
+    // group-title wins over #EXTGRP
+    assert.strictEqual(kodi.group, 'Explicit');
+});
+
+test('maps #EXTINF attributes to channel fields', () => {
+    const [bbc, radio, clip] = M3UParser.parse(readFixture('attributes.m3u').toString());
+
+    assert.strictEqual(bbc.tvgChno, '101');
+    assert.strictEqual(bbc.tvgShift, '-2');
+    assert.strictEqual(bbc.tvgRec, '7');
+    assert.strictEqual(bbc.catchup, 'default');
+    assert.strictEqual(bbc.catchupSource, 'http://example.com/archive?start={utc}');
+    assert.strictEqual(bbc.catchupDays, '7');
+    assert.deepStrictEqual(bbc.attributes, { 'custom-attr': 'kept' });
+    assert.strictEqual(radio.radio, true);
+    assert.strictEqual(clip.duration, 10.5);
+    assert.strictEqual(bbc.duration, -1);
+});
+
+test('accepts rtmp, udp and rtsp URLs and drops lines that are not URLs', () => {
+    const channels = M3UParser.parse(readFixture('non-http.m3u').toString());
+
+    assert.deepStrictEqual(channels.map(channel => channel.url), [
+        'rtmp://example.com/live/stream',
+        'udp://@239.0.0.1:1234',
+        'rtsp://192.168.1.10:554/stream1'
+    ]);
+});
+
+test('decodes UTF-8 characters split across chunks', () => {
+    const buffer = readFixture('utf8.m3u');
+    const expected = M3UParser.parse(buffer.toString());
+
+    assert.strictEqual(expected[0].name, 'ΕΡΤ1 📺');
+    assert.strictEqual(expected[0].group, 'Ελληνικά');
+    assert.strictEqual(expected[1].name, 'NHK 総合');
+    // Chunk sizes of 1 to 7 bytes split every multi-byte character somewhere
+    for (let size = 1; size <= 7; size++) {
+        assert.deepStrictEqual(parseInChunks(buffer, size).channels, expected);
+    }
+});
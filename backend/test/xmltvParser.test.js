@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const XMLTVParser = require('../src/xmltvParser');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'xmltv');
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name));
+}
+
+// Run a document through the streaming parser and collect what it reports
+function parse(buffer) {
+    const channels = [];
+    const programmes = [];
+    const parser = new XMLTVParser({
+        onChannel: channel => channels.push(channel),
+        onProgramme: programme => programmes.push(programme)
+    });
+    parser.stream.write(buffer);
+    parser.stream.end();
+    return { channels, programmes };
+}
+
+test('parses dates with and without a UTC offset', () => {
+    assert.strictEqual(XMLTVParser.parseDate('20240101120000 +0100'), '2024-01-01T11:00:00.000Z');
+    assert.strictEqual(XMLTVParser.parseDate('20240101120000'), '2024-01-01T12:00:00.000Z');
+    assert.strictEqual(XMLTVParser.parseDate('20240101120000 -05:30'), '2024-01-01T17:30:00.000Z');
+    assert.strictEqual(XMLTVParser.parseDate('202401011200'), '2024-01-01T12:00:00.000Z');
+    assert.strictEqual(XMLTVParser.parseDate('tomorrow'), null);
+    assert.strictEqual(XMLTVParser.parseDate(undefined), null);
+});
+
+test('keeps programmes without an offset and drops those without a valid start', () => {
+    const { programmes } = parse(readFixture('offsets.xml'));
+
+    assert.deepStrictEqual(programmes.map(programme => [programme.title, programme.start, programme.stop]), [
+        ['With offset', '2024-01-01T11:00:00.000Z', '2024-01-01T12:00:00.000Z'],
+        ['Without offset', '2024-01-01T13:00:00.000Z', '2024-01-01T14:00:00.000Z'],
+        ['Offset with colon', '2024-01-01T19:30:00.000Z', '2024-01-01T20:30:00.000Z'],
+        ['Without seconds', '2024-01-01T15:00:00.000Z', null]
+    ]);
+});
+
+test('reads channels with their first display name and icon', () => {
+    const { channels } = parse(readFixture('guide.xml'));
+
+    assert.deepStrictEqual(channels, [
+        { id: 'one.uk', displayName: 'One HD', icon: 'http://example.com/one.png' },
+        { id: 'two.uk', displayName: 'two.uk', icon: null }
+    ]);
+});
+
+test('reads programme details and skips programmes without a channel', () => {
+    const { programmes } = parse(readFixture('guide.xml'));
+
+    assert.strictEqual(programmes.length, 2);
+    assert.deepStrictEqual(programmes[0], {
+        channel: 'one.uk',
+        start: '2024-01-01T12:00:00.000Z',
+        stop: '2024-01-01T13:00:00.000Z',
+        title: 'News',
+        subTitle: 'Lunchtime',
+        description: 'Headlines & weather',
+        categories: ['News', 'Current affairs'],
+        // onscreen numbering wins over xmltv_ns
+        episodeNum: 'S1E5',
+        icon: 'http://example.com/news.png'
+    });
+    assert.strictEqual(programmes[1].episodeNum, '0.0.');
+    assert.strictEqual(programmes[1].subTitle, null);
+});
+
+test('fetches plain and gzip compressed guides', async () => {
+    const xml = readFixture('guide.xml');
+    const server = http.createServer((req, res) => {
+        res.end(req.url === '/guide.xml.gz' ? zlib.gzipSync(xml) : xml);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        for (const file of ['guide.xml', 'guide.xml.gz']) {
+            const programmes = [];
+            await XMLTVParser.fetch(`${baseUrl}/${file}`, { onProgramme: programme => programmes.push(programme) });
+            assert.deepStrictEqual(programmes.map(programme => programme.title), ['News', 'Film'], file);
+        }
+    } finally {
+        server.close();
+    }
+});
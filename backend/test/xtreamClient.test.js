@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const XtreamClient = require('../src/xtreamClient');
+const mockPanel = require('../scripts/mockXtreamPanel');
+
+let server;
+let serverUrl;
+
+test.before(async () => {
+    server = mockPanel.createMockPanel({ port: 0 }).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    serverUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+});
+
+function createClient(password = mockPanel.PASSWORD) {
+    return new XtreamClient({ serverUrl: `${serverUrl}/`, username: mockPanel.USERNAME, password });
+}
+
+test('reads account info including expiry and max connections', async () => {
+    const before = Date.now();
+    const account = await createClient().getAccountInfo();
+
+    assert.strictEqual(account.status, 'Active');
+    assert.strictEqual(account.maxConnections, mockPanel.MAX_CONNECTIONS);
+    assert.strictEqual(account.activeConnections, 0);
+    assert.strictEqual(account.isTrial, false);
+    assert.deepStrictEqual(account.allowedOutputFormats, ['m3u8', 'ts']);
+    assert.strictEqual(account.timezone, 'UTC');
+    // exp_date has whole-second precision
+    const expiresIn = new Date(account.expiresAt).getTime() - before;
+    assert.ok(Math.abs(expiresIn - mockPanel.ACCOUNT_VALID_SECONDS * 1000) < 5000, account.expiresAt);
+});
+
+test('rejects wrong credentials', async () => {
+    await assert.rejects(createClient('wrong').getAccountInfo(), /Xtream authentication failed/);
+});
+
+test('returns the categories of each content type', async () => {
+    const client = createClient();
+
+    assert.deepStrictEqual((await client.getLiveCategories()).map(category => category.category_name), ['News', 'Sports']);
+    assert.deepStrictEqual((await client.getVodCategories()).map(category => category.category_name), ['Movies']);
+    assert.deepStrictEqual((await client.getSeriesCategories()).map(category => category.category_name), ['Shows']);
+});
+
+test('loads live, VOD and series channels with their groups and URLs', async () => {
+    const client = createClient();
+    const { account, channels, series } = await client.loadChannels({ includeVod: true, includeSeries: true });
+
+    assert.strictEqual(account.maxConnections, mockPanel.MAX_CONNECTIONS);
+
+    const live = channels.filter(channel => channel.type === 'live');
+    assert.strictEqual(live.length, mockPanel.liveStreams.length);
+    assert.deepStrictEqual(live[0], {
+        name: 'Mock News',
+        url: `${serverUrl}/live/demo/demo/101.ts`,
+        group: 'News',
+        logo: '',
+        type: 'live',
+        streamId: 101,
+        categoryId: '1',
+        tvgId: 'mock.news',
+        tvgChno: '1'
+    });
+    assert.strictEqual(live[1].name, 'Mock Sports, Live');
+    assert.strictEqual(live[1].catchup, 'xc');
+    assert.strictEqual(live[1].catchupDays, '3');
+
+    const movies = channels.filter(channel => channel.type === 'movie');
+    assert.strictEqual(movies.length, mockPanel.vodStreams.length);
+    assert.strictEqual(movies[0].group, 'Movies');
+    assert.strictEqual(movies[0].url, `${serverUrl}/movie/demo/demo/201.mkv`);
+
+    assert.deepStrictEqual(series, [
+        { name: 'Mock Show', seriesId: 301, group: 'Shows', logo: '', categoryId: '20' }
+    ]);
+});
+
+test('leaves out VOD and series unless asked for', async () => {
+    const { channels, series } = await createClient().loadChannels();
+
+    assert.ok(channels.every(channel => channel.type === 'live'));
+    assert.deepStrictEqual(series, []);
+});
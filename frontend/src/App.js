@@ -1,12 +1,17 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import Box from '@mui/material/Box';
+import CircularProgress from '@mui/material/CircularProgress';
 import Navigation from './components/Navigation';
 import Providers from './components/Providers';
 import Channels from './components/Channels';
 import Streams from './components/Streams';
+import Recordings from './components/Recordings';
+import Users from './components/Users';
+import Login from './components/Login';
+import auth from './utils/auth';
 import './styles/global.css';
 
 const theme = createTheme({
@@ -22,21 +27,60 @@ const theme = createTheme({
 });
 
 function App() {
-  return (
-    <ThemeProvider theme={theme}>
-      <CssBaseline />
+  const [user, setUser] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(!!auth.getToken());
+
+  useEffect(() => {
+    const unsubscribe = auth.onLogout(() => setUser(null));
+
+    // Resume a stored session
+    if (auth.getToken()) {
+      auth.fetchCurrentUser()
+        .then(setUser)
+        .catch(() => auth.clear())
+        .finally(() => setCheckingSession(false));
+    }
+
+    return unsubscribe;
+  }, []);
+
+  const renderContent = () => {
+    if (checkingSession) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+
+    if (!user) {
+      return <Login onLogin={setUser} />;
+    }
+
+    return (
       <Router>
         <Box sx={{ display: 'flex' }}>
-          <Navigation />
+          <Navigation user={user} onLogout={() => auth.logout()} />
           <Box component="main" sx={{ flexGrow: 1, p: 3, mt: 8 }}>
             <Routes>
               <Route path="/" element={<Providers />} />
               <Route path="/channels" element={<Channels />} />
-              <Route path="/streams" element={<Streams />} />
+              <Route path="/streams" element={<Streams user={user} />} />
+              <Route path="/recordings" element={<Recordings user={user} />} />
+              {user.role === 'admin' && (
+                <Route path="/users" element={<Users currentUser={user} />} />
+              )}
             </Routes>
           </Box>
         </Box>
       </Router>
+    );
+  };
+
+  return (
+    <ThemeProvider theme={theme}>
+      <CssBaseline />
+      {renderContent()}
     </ThemeProvider>
   );
 }
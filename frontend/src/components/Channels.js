@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import axios from 'axios';
 import {
   Box,
@@ -31,10 +31,27 @@ import debounce from 'lodash/debounce';
 
 // Image dimensions
 const LOGO_HEIGHT = 80;
-const CARD_HEIGHT = 160;
+const CARD_HEIGHT = 200;
+const EPG_REFRESH_INTERVAL = 60000;
+// Guide IDs per now/next request, keeping the query string short
+const GUIDE_BATCH_SIZE = 100;
+// Channels fetched per request; more are loaded while scrolling
+const PAGE_SIZE = 200;
+
+const SORT_OPTIONS = [
+  { value: '', label: 'Relevance / provider order' },
+  { value: 'name:asc', label: 'Name (A-Z)' },
+  { value: 'name:desc', label: 'Name (Z-A)' },
+  { value: 'number:asc', label: 'Channel number' },
+  { value: 'group:asc', label: 'Group' },
+  { value: 'provider:asc', label: 'Provider' },
+];
+
+const formatTime = (dateString) =>
+  new Date(dateString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 const CARD_MIN_WIDTH = 250;
 
-function ChannelCard({ channel, onStartStream }) {
+function ChannelCard({ channel, guide, onStartStream }) {
   const [imageError, setImageError] = useState(false);
   const [imageLoaded, setImageLoaded] = useState(false);
 
@@ -105,6 +122,16 @@ function ChannelCard({ channel, onStartStream }) {
             <Typography variant="body2" color="text.secondary" noWrap>
               {channel.group}
             </Typography>
+            {guide && guide.now && (
+              <Typography variant="caption" display="block" noWrap title={guide.now.description || guide.now.title}>
+                Now: {guide.now.title}
+              </Typography>
+            )}
+            {guide && guide.next && (
+              <Typography variant="caption" display="block" color="text.secondary" noWrap title={guide.next.description || guide.next.title}>
+                {formatTime(guide.next.start)}: {guide.next.title}
+              </Typography>
+            )}
           </Box>
           <IconButton
             onClick={() => onStartStream(channel)}
@@ -120,7 +147,7 @@ function ChannelCard({ channel, onStartStream }) {
   );
 }
 
-function VirtualChannelGrid({ channels, onStartStream }) {
+function VirtualChannelGrid({ channels, guide, onStartStream, onLoadMore }) {
   const theme = useTheme();
   const GRID_SPACING = 16; // 16px spacing between cards
 
@@ -131,7 +158,7 @@ function VirtualChannelGrid({ channels, onStartStream }) {
   }, []);
 
   const Cell = useCallback(({ columnIndex, rowIndex, style, data }) => {
-    const { width, channels, columnCount } = data;
+    const { width, channels, guide, columnCount } = data;
     const index = (rowIndex * columnCount) + columnIndex;
     
     if (index >= channels.length) return null;
@@ -143,7 +170,11 @@ function VirtualChannelGrid({ channels, onStartStream }) {
         ...style,
         padding: GRID_SPACING / 2,
       }}>
-        <ChannelCard channel={channel} onStartStream={onStartStream} />
+        <ChannelCard
+          channel={channel}
+          guide={channel.tvgId ? guide[channel.tvgId] : null}
+          onStartStream={onStartStream}
+        />
       </div>
     );
   }, [onStartStream]);
@@ -178,6 +209,13 @@ function VirtualChannelGrid({ channels, onStartStream }) {
           const columnCount = getColumnCount(width);
           const rowCount = Math.ceil(channels.length / columnCount);
           const columnWidth = Math.floor((width - GRID_SPACING * 2) / columnCount);
+
+          // Fetch the next page once the last few loaded rows come into view
+          const handleItemsRendered = ({ visibleRowStopIndex }) => {
+            if (visibleRowStopIndex >= rowCount - 3) {
+              onLoadMore();
+            }
+          };
           
           return (
             <VirtualGrid
@@ -187,6 +225,7 @@ function VirtualChannelGrid({ channels, onStartStream }) {
               rowCount={rowCount}
               rowHeight={CARD_HEIGHT}
               width={width}
+              onItemsRendered={handleItemsRendered}
               style={{
                 overflowX: 'hidden',
                 overflowY: 'scroll',
@@ -194,6 +233,7 @@ function VirtualChannelGrid({ channels, onStartStream }) {
               itemData={{
                 width,
                 channels,
+                guide,
                 columnCount,
               }}
             >
@@ -208,26 +248,68 @@ function VirtualChannelGrid({ channels, onStartStream }) {
 
 function Channels() {
   const [channels, setChannels] = useState([]);
+  const [total, setTotal] = useState(0);
   const [groups, setGroups] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [guide, setGuide] = useState({});
   const [selectedGroup, setSelectedGroup] = useState('');
+  const [selectedProviders, setSelectedProviders] = useState([]);
+  const [sortOption, setSortOption] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
   const [loading, setLoading] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+  // Responses to superseded searches are dropped
+  const requestId = useRef(0);
+  const loadingMore = useRef(false);
+  // Guide IDs of the loaded channels whose now/next is already fetched
+  const guideIds = useRef(new Set());
+
+  const buildParams = (offset) => {
+    const [sort, order] = sortOption.split(':');
+    const params = { limit: PAGE_SIZE, offset };
+    if (searchQuery) params.search = searchQuery;
+    if (selectedGroup) params.group = selectedGroup;
+    if (selectedProviders.length > 0) params.providerId = selectedProviders.join(',');
+    if (sort) {
+      params.sort = sort;
+      params.order = order;
+    }
+    return params;
+  };
 
+  // Load the first page, replacing whatever is shown
   const fetchChannels = async () => {
+    const id = ++requestId.current;
     setLoading(true);
     try {
-      const params = new URLSearchParams();
-      if (searchQuery) params.append('search', searchQuery);
-      if (selectedGroup) params.append('group', selectedGroup);
-
-      const response = await axios.get(`/api/channels?${params.toString()}`);
-      setChannels(response.data);
+      const response = await axios.get('/api/channels', { params: buildParams(0) });
+      if (id !== requestId.current) return;
+      guideIds.current = new Set();
+      setChannels(response.data.channels);
+      setTotal(response.data.total);
     } catch (error) {
       console.error('Error fetching channels:', error);
       showSnackbar('Error fetching channels', 'error');
     } finally {
-      setLoading(false);
+      if (id === requestId.current) setLoading(false);
+    }
+  };
+
+  // Append the next page while the user scrolls through the grid
+  const loadMoreChannels = async () => {
+    if (loading || loadingMore.current || channels.length >= total) return;
+    const id = requestId.current;
+    loadingMore.current = true;
+    try {
+      const response = await axios.get('/api/channels', { params: buildParams(channels.length) });
+      if (id !== requestId.current) return;
+      setChannels(prevChannels => prevChannels.concat(response.data.channels));
+      setTotal(response.data.total);
+    } catch (error) {
+      console.error('Error fetching more channels:', error);
+      showSnackbar('Error fetching channels', 'error');
+    } finally {
+      loadingMore.current = false;
     }
   };
 
@@ -235,14 +317,30 @@ function Channels() {
     () => debounce(() => {
       fetchChannels();
     }, 300),
-    [searchQuery, selectedGroup] // eslint-disable-line react-hooks/exhaustive-deps
+    [searchQuery, selectedGroup, selectedProviders, sortOption] // eslint-disable-line react-hooks/exhaustive-deps
   );
 
   useEffect(() => {
     fetchChannels();
     fetchGroups();
+    fetchProviders();
+
+    // Keep the now/next information current
+    const interval = setInterval(refreshGuide, EPG_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
   }, []);
 
+  // Fetch now/next for channels as they are loaded
+  useEffect(() => {
+    const ids = [...new Set(channels.map(channel => channel.tvgId).filter(Boolean))]
+      .filter(tvgId => !guideIds.current.has(tvgId));
+    if (ids.length === 0) return;
+    ids.forEach(tvgId => guideIds.current.add(tvgId));
+    fetchGuide(ids)
+      .then(data => setGuide(prevGuide => ({ ...prevGuide, ...data })))
+      .catch(error => console.error('Error fetching guide:', error));
+  }, [channels]);
+
   useEffect(() => {
     debouncedFetchChannels();
     return () => debouncedFetchChannels.cancel();
@@ -257,13 +355,42 @@ function Channels() {
     }
   };
 
+  const fetchProviders = async () => {
+    try {
+      const response = await axios.get('/api/providers');
+      setProviders(response.data);
+    } catch (error) {
+      console.error('Error fetching providers:', error);
+    }
+  };
+
+  // Now/next for the given guide IDs only, rather than the whole guide
+  const fetchGuide = async (ids) => {
+    const result = {};
+    for (let index = 0; index < ids.length; index += GUIDE_BATCH_SIZE) {
+      const response = await axios.get('/api/epg/now', {
+        params: { ids: ids.slice(index, index + GUIDE_BATCH_SIZE).join(',') }
+      });
+      Object.assign(result, response.data);
+    }
+    return result;
+  };
+
+  const refreshGuide = async () => {
+    try {
+      setGuide(await fetchGuide([...guideIds.current]));
+    } catch (error) {
+      console.error('Error fetching guide:', error);
+    }
+  };
+
   const handleStartStream = async (channel) => {
     try {
       await axios.post('/api/streams', { url: channel.url });
       showSnackbar('Stream started successfully', 'success');
     } catch (error) {
       console.error('Error starting stream:', error);
-      showSnackbar('Error starting stream', 'error');
+      showSnackbar(error.response?.data?.error || 'Error starting stream', 'error');
     }
   };
 
@@ -294,6 +421,14 @@ function Channels() {
     setSelectedGroup(e.target.value);
   };
 
+  const handleProvidersChange = (e) => {
+    setSelectedProviders(e.target.value);
+  };
+
+  const handleSortChange = (e) => {
+    setSortOption(e.target.value);
+  };
+
   return (
     <Box>
       <Box sx={{ mb: 3 }}>
@@ -301,7 +436,7 @@ function Channels() {
           Channels
         </Typography>
         <Grid container spacing={2} alignItems="center">
-          <Grid item xs={12} sm={4}>
+          <Grid item xs={12} sm={6} md={3}>
             <TextField
               fullWidth
               label="Search Channels"
@@ -314,9 +449,10 @@ function Channels() {
                   </IconButton>
                 ),
               }}
+              helperText="Matches name, tvg-name, group and provider"
             />
           </Grid>
-          <Grid item xs={12} sm={4}>
+          <Grid item xs={12} sm={6} md={2}>
             <FormControl fullWidth>
               <InputLabel>Filter by Group</InputLabel>
               <Select
@@ -334,7 +470,44 @@ function Channels() {
               </Select>
             </FormControl>
           </Grid>
-          <Grid item xs={12} sm={4}>
+          <Grid item xs={12} sm={6} md={2}>
+            <FormControl fullWidth>
+              <InputLabel>Providers</InputLabel>
+              <Select
+                multiple
+                value={selectedProviders}
+                label="Providers"
+                onChange={handleProvidersChange}
+                renderValue={(selected) => providers
+                  .filter(provider => selected.includes(provider.id))
+                  .map(provider => provider.name)
+                  .join(', ')}
+              >
+                {providers.map((provider) => (
+                  <MenuItem key={provider.id} value={provider.id}>
+                    {provider.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={2}>
+            <FormControl fullWidth>
+              <InputLabel>Sort by</InputLabel>
+              <Select
+                value={sortOption}
+                label="Sort by"
+                onChange={handleSortChange}
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={6} md={3}>
             <Button
               variant="outlined"
               startIcon={loading ? <CircularProgress size={20} /> : <RefreshIcon />}
@@ -343,6 +516,9 @@ function Channels() {
             >
               Refresh
             </Button>
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              Showing {channels.length} of {total} channels
+            </Typography>
           </Grid>
         </Grid>
       </Box>
@@ -352,7 +528,12 @@ function Channels() {
           <CircularProgress />
         </Box>
       ) : (
-        <VirtualChannelGrid channels={channels} onStartStream={handleStartStream} />
+        <VirtualChannelGrid
+          channels={channels}
+          guide={guide}
+          onStartStream={handleStartStream}
+          onLoadMore={loadMoreChannels}
+        />
       )}
 
       <Snackbar
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Alert,
+} from '@mui/material';
+import LockOutlinedIcon from '@mui/icons-material/LockOutlined';
+import auth from '../utils/auth';
+
+function Login({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const user = await auth.login(username, password);
+      onLogin(user);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Login failed');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
+      <Paper component="form" onSubmit={handleSubmit} sx={{ p: 4, width: 360 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 3 }}>
+          <LockOutlinedIcon color="primary" />
+          <Typography variant="h5" component="h1">
+            HLS Proxy Manager
+          </Typography>
+        </Box>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          fullWidth
+          label="Username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          autoFocus
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          label="Password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          sx={{ mb: 3 }}
+        />
+        <Button
+          fullWidth
+          type="submit"
+          variant="contained"
+          disabled={loading || !username || !password}
+        >
+          {loading ? 'Logging in...' : 'Log in'}
+        </Button>
+      </Paper>
+    </Box>
+  );
+}
+
+export default Login;
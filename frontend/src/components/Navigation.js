@@ -7,8 +7,11 @@ import Button from '@mui/material/Button';
 import PlayCircleOutlineIcon from '@mui/icons-material/PlayCircleOutline';
 import ListAltIcon from '@mui/icons-material/ListAlt';
 import TvIcon from '@mui/icons-material/Tv';
+import PeopleIcon from '@mui/icons-material/People';
+import FiberManualRecordIcon from '@mui/icons-material/FiberManualRecord';
+import LogoutIcon from '@mui/icons-material/Logout';
 
-function Navigation() {
+function Navigation({ user, onLogout }) {
   return (
     <AppBar position="fixed">
       <Toolbar>
@@ -39,6 +42,32 @@ function Navigation() {
         >
           Streams
         </Button>
+        <Button
+          color="inherit"
+          component={RouterLink}
+          to="/recordings"
+          startIcon={<FiberManualRecordIcon />}
+        >
+          Recordings
+        </Button>
+        {user.role === 'admin' && (
+          <Button
+            color="inherit"
+            component={RouterLink}
+            to="/users"
+            startIcon={<PeopleIcon />}
+          >
+            Users
+          </Button>
+        )}
+        <Button
+          color="inherit"
+          onClick={onLogout}
+          startIcon={<LogoutIcon />}
+          sx={{ ml: 2 }}
+        >
+          {user.username}
+        </Button>
       </Toolbar>
     </AppBar>
   );
@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Accordion,
+  AccordionDetails,
+  AccordionSummary,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+} from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+
+// Channels listed per category before the rest is summed up
+const VISIBLE_CHANNELS = 20;
+
+const STREAM_STATUS = {
+  moved: 'URL changed',
+  removed: 'Channel removed',
+  repointed: 'Re-pointed',
+  skipped: 'Skipped',
+};
+
+function ChannelList({ title, channels, total, describe }) {
+  if (total === 0) return null;
+  return (
+    <Box sx={{ mb: 1 }}>
+      <Typography variant="subtitle2">{title} ({total})</Typography>
+      {channels.slice(0, VISIBLE_CHANNELS).map((channel, index) => (
+        <Typography key={index} variant="body2" color="text.secondary" noWrap>
+          {describe(channel)}
+        </Typography>
+      ))}
+      {total > VISIBLE_CHANNELS && (
+        <Typography variant="caption" color="text.secondary">
+          and {total - VISIBLE_CHANNELS} more
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
+function ProviderChangesDialog({ provider, open, onClose, showSnackbar }) {
+  const [changes, setChanges] = useState([]);
+
+  const fetchChanges = useCallback(async () => {
+    if (!provider) return;
+    try {
+      const response = await axios.get(`/api/providers/${provider.id}/changes`);
+      setChanges(response.data);
+    } catch (err) {
+      console.error('Error fetching provider changes:', err);
+    }
+  }, [provider]);
+
+  useEffect(() => {
+    if (open) {
+      fetchChanges();
+    }
+  }, [open, fetchChanges]);
+
+  const repointStreams = async (change) => {
+    try {
+      const response = await axios.post(`/api/providers/${provider.id}/changes/${change.id}/repoint`);
+      setChanges(changes.map(c => (c.id === change.id ? response.data : c)));
+      const failed = response.data.streams.filter(stream => stream.status === 'moved');
+      if (failed.length > 0) {
+        showSnackbar(`${failed.length} stream(s) could not be re-pointed`, 'error');
+      } else {
+        showSnackbar('Streams re-pointed to the new channel URLs', 'success');
+      }
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to re-point streams', 'error');
+    }
+  };
+
+  const describeName = (channel) => (channel.group ? `${channel.name} (${channel.group})` : channel.name);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Channel Changes{provider ? ` for ${provider.name}` : ''}</DialogTitle>
+      <DialogContent>
+        {changes.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No changes recorded yet. Changes are recorded when a refresh finds added, removed or changed channels.
+          </Typography>
+        ) : (
+          changes.map(change => {
+            const movedStreams = change.streams.filter(stream => stream.status === 'moved');
+            return (
+              <Accordion key={change.id} disableGutters>
+                <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    <Typography sx={{ mr: 1 }}>{new Date(change.createdAt).toLocaleString()}</Typography>
+                    <Chip size="small" color="success" label={`+${change.counts.added}`} />
+                    <Chip size="small" color="error" label={`-${change.counts.removed}`} />
+                    <Chip size="small" color="info" label={`~${change.counts.changed}`} />
+                    {change.streams.length > 0 && (
+                      <Chip size="small" color="warning" label={`${change.streams.length} stream(s) affected`} />
+                    )}
+                  </Box>
+                </AccordionSummary>
+                <AccordionDetails>
+                  {change.streams.length > 0 && (
+                    <Box sx={{ mb: 2 }}>
+                      <Typography variant="subtitle2">Affected streams</Typography>
+                      {change.streams.map(stream => (
+                        <Typography key={stream.streamId} variant="body2" color={stream.error ? 'error' : 'text.secondary'}>
+                          {stream.channelName || stream.streamId}: {STREAM_STATUS[stream.status] || stream.status}
+                          {stream.error ? ` (${stream.error})` : ''}
+                        </Typography>
+                      ))}
+                      {movedStreams.length > 0 && (
+                        <Button size="small" variant="contained" sx={{ mt: 1 }} onClick={() => repointStreams(change)}>
+                          Re-point {movedStreams.length} stream(s) to the new URLs
+                        </Button>
+                      )}
+                    </Box>
+                  )}
+                  <ChannelList title="Added" channels={change.added} total={change.counts.added} describe={describeName} />
+                  <ChannelList title="Removed" channels={change.removed} total={change.counts.removed} describe={describeName} />
+                  <ChannelList
+                    title="Changed"
+                    channels={change.changed}
+                    total={change.counts.changed}
+                    describe={(channel) => `${describeName(channel)}: ${channel.fields.join(', ')}`}
+                  />
+                </AccordionDetails>
+              </Accordion>
+            );
+          })
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ProviderChangesDialog;
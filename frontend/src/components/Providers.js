@@ -17,10 +17,117 @@ import {
   Snackbar,
   Alert,
   LinearProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  Chip,
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import AddIcon from '@mui/icons-material/Add';
 import RefreshIcon from '@mui/icons-material/Refresh';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import HistoryIcon from '@mui/icons-material/History';
+import SettingsEthernetIcon from '@mui/icons-material/SettingsEthernet';
+import ProviderChangesDialog from './ProviderChangesDialog';
+
+// Form state of a refresh schedule, see toRefreshSchedule
+const EMPTY_SCHEDULE = {
+  type: 'off',
+  intervalHours: 24,
+  cron: '0 4 * * *',
+};
+
+const EMPTY_PROVIDER = {
+  name: '',
+  type: 'm3u',
+  m3uUrl: '',
+  serverUrl: '',
+  username: '',
+  password: '',
+  includeVod: false,
+  includeSeries: false,
+  epgUrl: '',
+  maxConnections: '',
+  schedule: EMPTY_SCHEDULE,
+};
+
+// Convert schedule form state into the refreshSchedule the API expects
+const toRefreshSchedule = (schedule) => {
+  if (schedule.type === 'interval') {
+    return { type: 'interval', intervalHours: Number(schedule.intervalHours) };
+  }
+  if (schedule.type === 'cron') {
+    return { type: 'cron', cron: schedule.cron };
+  }
+  return null;
+};
+
+const fromRefreshSchedule = (refreshSchedule) => (
+  refreshSchedule ? { ...EMPTY_SCHEDULE, ...refreshSchedule } : EMPTY_SCHEDULE
+);
+
+const describeSchedule = (refreshSchedule) => {
+  if (!refreshSchedule) return 'Off';
+  if (refreshSchedule.type === 'interval') return `Every ${refreshSchedule.intervalHours} hours`;
+  return `Cron: ${refreshSchedule.cron}`;
+};
+
+// Empty falls back to the Xtream account's limit
+const toMaxConnections = (value) => (value === '' ? null : Number(value));
+
+const describeConnections = (connections) => {
+  const used = connections.used === null ? '?' : connections.used;
+  if (connections.limit === null) return `Streams: ${used} (no limit)`;
+  const free = connections.available === null ? '' : `, ${connections.available} free`;
+  const source = connections.source === 'account' ? ' from account' : '';
+  return `Streams: ${used} / ${connections.limit}${free} (limit${source})`;
+};
+
+function RefreshScheduleFields({ schedule, onChange, disabled }) {
+  return (
+    <Box>
+      <FormControl fullWidth margin="dense">
+        <InputLabel>Automatic Refresh</InputLabel>
+        <Select
+          value={schedule.type}
+          label="Automatic Refresh"
+          onChange={(e) => onChange({ ...schedule, type: e.target.value })}
+          disabled={disabled}
+        >
+          <MenuItem value="off">Off</MenuItem>
+          <MenuItem value="interval">Every few hours</MenuItem>
+          <MenuItem value="cron">Cron schedule</MenuItem>
+        </Select>
+      </FormControl>
+      {schedule.type === 'interval' && (
+        <TextField
+          margin="dense"
+          label="Refresh every (hours)"
+          type="number"
+          inputProps={{ min: 0.25, step: 0.25 }}
+          fullWidth
+          value={schedule.intervalHours}
+          onChange={(e) => onChange({ ...schedule, intervalHours: e.target.value })}
+          disabled={disabled}
+        />
+      )}
+      {schedule.type === 'cron' && (
+        <TextField
+          margin="dense"
+          label="Cron expression"
+          helperText="Minute, hour, day of month, month, day of week, e.g. 0 4 * * * for 4 AM daily"
+          fullWidth
+          value={schedule.cron}
+          onChange={(e) => onChange({ ...schedule, cron: e.target.value })}
+          disabled={disabled}
+        />
+      )}
+    </Box>
+  );
+}
 
 function Providers() {
   const [providers, setProviders] = useState([]);
@@ -28,12 +135,12 @@ function Providers() {
   const [loading, setLoading] = useState(false);
   const [loadingProgress, setLoadingProgress] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
-  const [newProvider, setNewProvider] = useState({
-    name: '',
-    m3uUrl: '',
-    username: '',
-    password: '',
-  });
+  const [newProvider, setNewProvider] = useState(EMPTY_PROVIDER);
+  const [scheduleProvider, setScheduleProvider] = useState(null);
+  const [schedule, setSchedule] = useState(EMPTY_SCHEDULE);
+  const [changesProvider, setChangesProvider] = useState(null);
+  const [connectionsProvider, setConnectionsProvider] = useState(null);
+  const [maxConnections, setMaxConnections] = useState('');
 
   useEffect(() => {
     fetchProviders();
@@ -61,7 +168,12 @@ function Providers() {
     setLoading(true);
     setLoadingProgress(0);
     try {
-      const response = await axios.post('/api/providers', newProvider);
+      const { schedule: newSchedule, ...provider } = newProvider;
+      const response = await axios.post('/api/providers', {
+        ...provider,
+        maxConnections: toMaxConnections(provider.maxConnections),
+        refreshSchedule: toRefreshSchedule(newSchedule),
+      });
       
       // Start polling for channel parsing progress
       const pollProgress = setInterval(async () => {
@@ -69,13 +181,22 @@ function Providers() {
           const statusResponse = await axios.get(`/api/providers/${response.data.id}/status`);
           const progress = statusResponse.data.progress;
           setLoadingProgress(progress);
+
+          if (statusResponse.data.status === 'error') {
+            clearInterval(pollProgress);
+            setLoading(false);
+            setLoadingProgress(null);
+            fetchProviders();
+            showSnackbar(`Provider added, but loading channels failed: ${statusResponse.data.error}`, 'error');
+            return;
+          }
           
           if (progress === 100) {
             clearInterval(pollProgress);
             setLoading(false);
             setLoadingProgress(null);
             setOpen(false);
-            setNewProvider({ name: '', m3uUrl: '', username: '', password: '' });
+            setNewProvider(EMPTY_PROVIDER);
             fetchProviders();
             showSnackbar('Provider added successfully', 'success');
           }
@@ -98,7 +219,7 @@ function Providers() {
       console.error('Error adding provider:', error);
       setLoading(false);
       setLoadingProgress(null);
-      showSnackbar('Error adding provider', 'error');
+      showSnackbar(error.response?.data?.error || 'Error adding provider', 'error');
     }
   };
 
@@ -134,7 +255,15 @@ function Providers() {
         isRefreshing: false
       })));
       
-      showSnackbar(`Provider refreshed successfully. Found ${response.data.channelCount} channels.`, 'success');
+      const { change } = response.data;
+      if (change && change.affectedStreams > 0) {
+        showSnackbar(`Provider refreshed. ${change.affectedStreams} stream(s) use channels that changed, see the change history.`, 'warning');
+      } else if (change) {
+        const { added, removed, changed } = change.counts;
+        showSnackbar(`Provider refreshed: ${added} added, ${removed} removed, ${changed} changed channels.`, 'success');
+      } else {
+        showSnackbar(`Provider refreshed successfully. Found ${response.data.channelCount} channels.`, 'success');
+      }
     } catch (error) {
       console.error('Error refreshing provider:', error);
       const errorMessage = error.response?.data?.error || error.message || 'Error refreshing provider';
@@ -149,6 +278,52 @@ function Providers() {
     }
   };
 
+  const openScheduleDialog = (provider) => {
+    setSchedule(fromRefreshSchedule(provider.refreshSchedule));
+    setScheduleProvider(provider);
+  };
+
+  const handleSaveSchedule = async () => {
+    try {
+      await axios.put(`/api/providers/${scheduleProvider.id}/schedule`, {
+        refreshSchedule: toRefreshSchedule(schedule),
+      });
+      setScheduleProvider(null);
+      fetchProviders();
+      showSnackbar('Refresh schedule saved', 'success');
+    } catch (error) {
+      console.error('Error saving refresh schedule:', error);
+      showSnackbar(error.response?.data?.error || 'Error saving refresh schedule', 'error');
+    }
+  };
+
+  const openConnectionsDialog = (provider) => {
+    setMaxConnections(provider.maxConnections ?? '');
+    setConnectionsProvider(provider);
+  };
+
+  const handleSaveConnections = async () => {
+    try {
+      await axios.put(`/api/providers/${connectionsProvider.id}/connections`, {
+        maxConnections: toMaxConnections(maxConnections),
+      });
+      setConnectionsProvider(null);
+      fetchProviders();
+      showSnackbar('Connection limit saved', 'success');
+    } catch (error) {
+      console.error('Error saving connection limit:', error);
+      showSnackbar(error.response?.data?.error || 'Error saving connection limit', 'error');
+    }
+  };
+
+  const isNewProviderValid = () => {
+    if (!newProvider.name) return false;
+    if (newProvider.type === 'xtream') {
+      return !!(newProvider.serverUrl && newProvider.username && newProvider.password);
+    }
+    return !!newProvider.m3uUrl;
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'Never';
     try {
@@ -163,7 +338,7 @@ function Providers() {
   return (
     <Box>
       <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-        <Typography variant="h4">M3U Providers</Typography>
+        <Typography variant="h4">Providers</Typography>
         <Button
           variant="contained"
           startIcon={<AddIcon />}
@@ -196,6 +371,24 @@ function Providers() {
                         }
                       }} />
                     </IconButton>
+                    <IconButton
+                      onClick={() => setChangesProvider(provider)}
+                      sx={{ color: 'primary.main', mr: 1 }}
+                    >
+                      <HistoryIcon />
+                    </IconButton>
+                    <IconButton
+                      onClick={() => openConnectionsDialog(provider)}
+                      sx={{ color: 'primary.main', mr: 1 }}
+                    >
+                      <SettingsEthernetIcon />
+                    </IconButton>
+                    <IconButton
+                      onClick={() => openScheduleDialog(provider)}
+                      sx={{ color: 'primary.main', mr: 1 }}
+                    >
+                      <ScheduleIcon />
+                    </IconButton>
                     <IconButton
                       onClick={() => handleDeleteProvider(provider.id)}
                       color="error"
@@ -204,17 +397,79 @@ function Providers() {
                     </IconButton>
                   </Box>
                 </Box>
+                <Chip
+                  label={provider.type === 'xtream' ? 'Xtream Codes' : 'M3U'}
+                  size="small"
+                  sx={{ mb: 1 }}
+                />
                 <Typography variant="body2" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
-                  {provider.url}
+                  {provider.type === 'xtream' ? provider.serverUrl : provider.m3uUrl}
                 </Typography>
                 {provider.username && (
                   <Typography variant="body2" color="text.secondary">
                     Username: {provider.username}
                   </Typography>
                 )}
+                {provider.account && (
+                  <Box sx={{ mt: 1 }}>
+                    <Typography variant="body2" color="text.secondary">
+                      Account: {provider.account.status}{provider.account.isTrial ? ' (trial)' : ''}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      Expires: {provider.account.expiresAt ? formatDate(provider.account.expiresAt) : 'Never'}
+                    </Typography>
+                    {provider.account.maxConnections !== null && (
+                      <Typography variant="body2" color="text.secondary">
+                        Connections: {provider.account.activeConnections ?? 0} / {provider.account.maxConnections}
+                      </Typography>
+                    )}
+                  </Box>
+                )}
+                {provider.connections && (
+                  <Box sx={{ mt: 1 }}>
+                    <Typography
+                      variant="body2"
+                      color={provider.connections.available === 0 ? 'warning.main' : 'text.secondary'}
+                    >
+                      {describeConnections(provider.connections)}
+                    </Typography>
+                    {provider.connections.limit !== null && provider.connections.used !== null && (
+                      <LinearProgress
+                        variant="determinate"
+                        color={provider.connections.available === 0 ? 'warning' : 'primary'}
+                        value={Math.min(100, (provider.connections.used / provider.connections.limit) * 100)}
+                        sx={{ my: 0.5 }}
+                      />
+                    )}
+                    {provider.connections.streams.length > 0 && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        In use by: {provider.connections.streams.map(stream => stream.channelName || stream.id).join(', ')}
+                      </Typography>
+                    )}
+                  </Box>
+                )}
                 <Typography variant="caption" display="block" sx={{ mt: 1 }}>
                   Last Updated: {formatDate(provider.lastUpdated)}
                 </Typography>
+                <Typography variant="caption" display="block">
+                  Automatic Refresh: {describeSchedule(provider.refreshSchedule)}
+                </Typography>
+                {provider.nextRefreshAt && (
+                  <Typography variant="caption" display="block">
+                    Next Refresh: {formatDate(provider.nextRefreshAt)}
+                  </Typography>
+                )}
+                {provider.lastRefreshSuccess && (
+                  <Typography variant="caption" display="block">
+                    Last Success: {formatDate(provider.lastRefreshSuccess)}
+                  </Typography>
+                )}
+                {provider.lastRefreshFailure && (
+                  <Typography variant="caption" display="block" color="error">
+                    Last Failure: {formatDate(provider.lastRefreshFailure)}
+                    {provider.lastRefreshError ? ` (${provider.lastRefreshError})` : ''}
+                  </Typography>
+                )}
               </CardContent>
             </Card>
           </Grid>
@@ -246,17 +501,41 @@ function Providers() {
             onChange={(e) => setNewProvider({ ...newProvider, name: e.target.value })}
             disabled={loading}
           />
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Provider Type</InputLabel>
+            <Select
+              value={newProvider.type}
+              label="Provider Type"
+              onChange={(e) => setNewProvider({ ...newProvider, type: e.target.value })}
+              disabled={loading}
+            >
+              <MenuItem value="m3u">M3U Playlist</MenuItem>
+              <MenuItem value="xtream">Xtream Codes API</MenuItem>
+            </Select>
+          </FormControl>
+          {newProvider.type === 'xtream' ? (
+            <TextField
+              margin="dense"
+              label="Server URL"
+              placeholder="http://panel.example.com:8080"
+              fullWidth
+              value={newProvider.serverUrl}
+              onChange={(e) => setNewProvider({ ...newProvider, serverUrl: e.target.value })}
+              disabled={loading}
+            />
+          ) : (
+            <TextField
+              margin="dense"
+              label="M3U URL"
+              fullWidth
+              value={newProvider.m3uUrl}
+              onChange={(e) => setNewProvider({ ...newProvider, m3uUrl: e.target.value })}
+              disabled={loading}
+            />
+          )}
           <TextField
             margin="dense"
-            label="M3U URL"
-            fullWidth
-            value={newProvider.m3uUrl}
-            onChange={(e) => setNewProvider({ ...newProvider, m3uUrl: e.target.value })}
-            disabled={loading}
-          />
-          <TextField
-            margin="dense"
-            label="Username (optional)"
+            label={newProvider.type === 'xtream' ? 'Username' : 'Username (optional)'}
             fullWidth
             value={newProvider.username}
             onChange={(e) => setNewProvider({ ...newProvider, username: e.target.value })}
@@ -264,19 +543,72 @@ function Providers() {
           />
           <TextField
             margin="dense"
-            label="Password (optional)"
+            label={newProvider.type === 'xtream' ? 'Password' : 'Password (optional)'}
             type="password"
             fullWidth
             value={newProvider.password}
             onChange={(e) => setNewProvider({ ...newProvider, password: e.target.value })}
             disabled={loading}
           />
+          <TextField
+            margin="dense"
+            label="EPG (XMLTV) URL (optional)"
+            helperText={newProvider.type === 'xtream'
+              ? "Defaults to the panel's xmltv.php"
+              : "Defaults to the playlist's url-tvg header"}
+            fullWidth
+            value={newProvider.epgUrl}
+            onChange={(e) => setNewProvider({ ...newProvider, epgUrl: e.target.value })}
+            disabled={loading}
+          />
+          {newProvider.type === 'xtream' && (
+            <Box>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={newProvider.includeVod}
+                    onChange={(e) => setNewProvider({ ...newProvider, includeVod: e.target.checked })}
+                    disabled={loading}
+                  />
+                }
+                label="Include movies (VOD)"
+              />
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={newProvider.includeSeries}
+                    onChange={(e) => setNewProvider({ ...newProvider, includeSeries: e.target.checked })}
+                    disabled={loading}
+                  />
+                }
+                label="Include series"
+              />
+            </Box>
+          )}
+          <TextField
+            margin="dense"
+            label="Max Connections (optional)"
+            type="number"
+            inputProps={{ min: 0, step: 1 }}
+            helperText={newProvider.type === 'xtream'
+              ? "Streams allowed at once. Defaults to the account's limit, 0 for no limit"
+              : 'Streams allowed at once, empty or 0 for no limit'}
+            fullWidth
+            value={newProvider.maxConnections}
+            onChange={(e) => setNewProvider({ ...newProvider, maxConnections: e.target.value })}
+            disabled={loading}
+          />
+          <RefreshScheduleFields
+            schedule={newProvider.schedule}
+            onChange={(value) => setNewProvider({ ...newProvider, schedule: value })}
+            disabled={loading}
+          />
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setOpen(false)} disabled={loading}>Cancel</Button>
           <Button 
             onClick={handleAddProvider} 
-            disabled={loading || !newProvider.name || !newProvider.m3uUrl}
+            disabled={loading || !isNewProviderValid()}
             startIcon={loading && <CircularProgress size={20} />}
           >
             Add
@@ -284,6 +616,49 @@ function Providers() {
         </DialogActions>
       </Dialog>
 
+      <Dialog open={!!scheduleProvider} onClose={() => setScheduleProvider(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Refresh Schedule{scheduleProvider ? ` for ${scheduleProvider.name}` : ''}</DialogTitle>
+        <DialogContent>
+          <RefreshScheduleFields schedule={schedule} onChange={setSchedule} />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setScheduleProvider(null)}>Cancel</Button>
+          <Button onClick={handleSaveSchedule}>Save</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!connectionsProvider} onClose={() => setConnectionsProvider(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Connection Limit{connectionsProvider ? ` for ${connectionsProvider.name}` : ''}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Streams beyond the limit are refused instead of being started against the provider.
+          </Typography>
+          <TextField
+            margin="dense"
+            label="Max Connections"
+            type="number"
+            inputProps={{ min: 0, step: 1 }}
+            helperText={connectionsProvider && connectionsProvider.account?.maxConnections
+              ? `Leave empty to use the account's limit of ${connectionsProvider.account.maxConnections}, 0 for no limit`
+              : 'Empty or 0 for no limit'}
+            fullWidth
+            value={maxConnections}
+            onChange={(e) => setMaxConnections(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConnectionsProvider(null)}>Cancel</Button>
+          <Button onClick={handleSaveConnections}>Save</Button>
+        </DialogActions>
+      </Dialog>
+
+      <ProviderChangesDialog
+        provider={changesProvider}
+        open={!!changesProvider}
+        onClose={() => setChangesProvider(null)}
+        showSnackbar={showSnackbar}
+      />
+
       <Snackbar 
         open={snackbar.open} 
         autoHideDuration={6000} 
@@ -0,0 +1,566 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Checkbox,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormControlLabel,
+  Grid,
+  IconButton,
+  InputLabel,
+  LinearProgress,
+  MenuItem,
+  Select,
+  Snackbar,
+  TextField,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import DownloadIcon from '@mui/icons-material/Download';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import StopIcon from '@mui/icons-material/Stop';
+import RepeatIcon from '@mui/icons-material/Repeat';
+import VideoPlayer from './VideoPlayer';
+
+const EMPTY_RECORDING = {
+  streamId: '',
+  mode: 'programme',
+  programmeStart: '',
+  startAt: '',
+  durationMinutes: 60,
+  paddingBefore: 2,
+  paddingAfter: 5,
+  format: 'ts',
+};
+
+const EMPTY_RULE = {
+  streamId: '',
+  title: '',
+  match: 'exact',
+  skipDuplicates: true,
+  paddingBefore: 2,
+  paddingAfter: 5,
+  format: 'ts',
+};
+
+const STATUS_COLORS = {
+  scheduled: 'info',
+  recording: 'error',
+  completed: 'success',
+  failed: 'warning',
+  cancelled: 'default',
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 MB';
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+};
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+function Recordings({ user }) {
+  const isAdmin = user.role === 'admin';
+  const [recordings, setRecordings] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [streams, setStreams] = useState([]);
+  const [programmes, setProgrammes] = useState([]);
+  const [scheduleOpen, setScheduleOpen] = useState(false);
+  const [newRecording, setNewRecording] = useState(EMPTY_RECORDING);
+  const [conflicts, setConflicts] = useState(null);
+  const [ruleOpen, setRuleOpen] = useState(false);
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+  const [playing, setPlaying] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  const showSnackbar = (message, severity = 'info') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  const fetchRecordings = useCallback(async () => {
+    try {
+      const [recordingsResponse, rulesResponse] = await Promise.all([
+        axios.get('/api/recordings'),
+        axios.get('/api/recordings/rules'),
+      ]);
+      setRecordings(recordingsResponse.data.recordings);
+      setUsage(recordingsResponse.data.usage);
+      setRules(rulesResponse.data);
+    } catch (err) {
+      console.error('Error fetching recordings:', err);
+      showSnackbar(err.response?.data?.error || 'Failed to fetch recordings', 'error');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRecordings();
+    // Sizes and statuses change while recordings run
+    const interval = setInterval(fetchRecordings, 10000);
+    return () => clearInterval(interval);
+  }, [fetchRecordings]);
+
+  const fetchStreams = async () => {
+    try {
+      const response = await axios.get('/api/streams');
+      setStreams(response.data);
+    } catch (err) {
+      console.error('Error fetching streams:', err);
+    }
+  };
+
+  const openScheduleDialog = () => {
+    setNewRecording(EMPTY_RECORDING);
+    setProgrammes([]);
+    setConflicts(null);
+    fetchStreams();
+    setScheduleOpen(true);
+  };
+
+  const openRuleDialog = () => {
+    setNewRule(EMPTY_RULE);
+    fetchStreams();
+    setRuleOpen(true);
+  };
+
+  // Upcoming guide listings of the chosen stream
+  const selectStream = async (streamId) => {
+    setNewRecording({ ...newRecording, streamId, programmeStart: '' });
+    setProgrammes([]);
+    const stream = streams.find(s => s.id === streamId);
+    if (!stream || !stream.tvgId) return;
+    try {
+      const response = await axios.get(`/api/epg/${encodeURIComponent(stream.tvgId)}`, {
+        params: { to: new Date(Date.now() + 7 * 24 * 3600 * 1000).toISOString() },
+      });
+      setProgrammes(response.data);
+    } catch (err) {
+      console.error('Error fetching programmes:', err);
+    }
+  };
+
+  const handleSchedule = async (force = false) => {
+    const { streamId, mode, programmeStart, startAt, durationMinutes, paddingBefore, paddingAfter, format } = newRecording;
+    const request = { streamId, format, force };
+    if (mode === 'programme') {
+      Object.assign(request, { programmeStart, paddingBefore, paddingAfter });
+    } else {
+      if (mode === 'window') request.startAt = new Date(startAt).toISOString();
+      if (durationMinutes) request.duration = Number(durationMinutes) * 60;
+    }
+
+    try {
+      await axios.post('/api/recordings', request);
+      setScheduleOpen(false);
+      fetchRecordings();
+      showSnackbar(mode === 'now' ? 'Recording started' : 'Recording scheduled', 'success');
+    } catch (err) {
+      if (err.response?.status === 409) {
+        setConflicts(err.response.data);
+        return;
+      }
+      showSnackbar(err.response?.data?.error || 'Failed to schedule recording', 'error');
+    }
+  };
+
+  const handleAddRule = async () => {
+    try {
+      const response = await axios.post('/api/recordings/rules', newRule);
+      setRuleOpen(false);
+      fetchRecordings();
+      const count = response.data.scheduled.length;
+      showSnackbar(`Series rule added, ${count} recording(s) scheduled`, 'success');
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to add series rule', 'error');
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    try {
+      await axios.delete(`/api/recordings/rules/${rule.id}`);
+      fetchRecordings();
+      showSnackbar('Series rule deleted', 'success');
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to delete series rule', 'error');
+    }
+  };
+
+  const handleStop = async (recording) => {
+    try {
+      await axios.post(`/api/recordings/${recording.id}/stop`);
+      fetchRecordings();
+      showSnackbar(recording.status === 'scheduled' ? 'Recording cancelled' : 'Recording stopped', 'success');
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to stop recording', 'error');
+    }
+  };
+
+  const handleDelete = async (recording) => {
+    try {
+      await axios.delete(`/api/recordings/${recording.id}`);
+      fetchRecordings();
+      showSnackbar('Recording deleted', 'success');
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to delete recording', 'error');
+    }
+  };
+
+  const isScheduleValid = () => {
+    if (!newRecording.streamId) return false;
+    if (newRecording.mode === 'programme') return !!newRecording.programmeStart;
+    if (newRecording.mode === 'window') return !!newRecording.startAt && Number(newRecording.durationMinutes) > 0;
+    return true;
+  };
+
+  const renderStreamSelect = (value, onChange) => (
+    <FormControl fullWidth margin="dense">
+      <InputLabel>Stream</InputLabel>
+      <Select value={value} label="Stream" onChange={(e) => onChange(e.target.value)}>
+        {streams.map(stream => (
+          <MenuItem key={stream.id} value={stream.id}>
+            {stream.channelName || stream.id}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+
+  const renderPaddingFields = (value, onChange) => (
+    <Box sx={{ display: 'flex', gap: 2 }}>
+      <TextField
+        margin="dense"
+        label="Start early (minutes)"
+        type="number"
+        inputProps={{ min: 0 }}
+        fullWidth
+        value={value.paddingBefore}
+        onChange={(e) => onChange({ ...value, paddingBefore: e.target.value })}
+      />
+      <TextField
+        margin="dense"
+        label="End late (minutes)"
+        type="number"
+        inputProps={{ min: 0 }}
+        fullWidth
+        value={value.paddingAfter}
+        onChange={(e) => onChange({ ...value, paddingAfter: e.target.value })}
+      />
+    </Box>
+  );
+
+  const renderFormatSelect = (value, onChange) => (
+    <FormControl fullWidth margin="dense">
+      <InputLabel>Format</InputLabel>
+      <Select value={value.format} label="Format" onChange={(e) => onChange({ ...value, format: e.target.value })}>
+        <MenuItem value="ts">MPEG-TS</MenuItem>
+        <MenuItem value="mp4">MP4</MenuItem>
+      </Select>
+    </FormControl>
+  );
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h4">Recordings</Typography>
+        {isAdmin && (
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button variant="outlined" startIcon={<RepeatIcon />} onClick={openRuleDialog}>
+              Add Series Rule
+            </Button>
+            <Button variant="contained" startIcon={<AddIcon />} onClick={openScheduleDialog}>
+              Schedule Recording
+            </Button>
+          </Box>
+        )}
+      </Box>
+
+      {usage && (
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="body2" color="text.secondary">
+            {usage.quotaBytes
+              ? `Using ${formatBytes(usage.usedBytes)} of ${formatBytes(usage.quotaBytes)}`
+              : `Using ${formatBytes(usage.usedBytes)}`}
+          </Typography>
+          {usage.quotaBytes && (
+            <LinearProgress
+              variant="determinate"
+              value={Math.min((usage.usedBytes / usage.quotaBytes) * 100, 100)}
+              sx={{ mt: 1 }}
+            />
+          )}
+        </Box>
+      )}
+
+      {recordings.length === 0 && (
+        <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+          No recordings yet
+        </Typography>
+      )}
+
+      <Grid container spacing={3}>
+        {recordings.map(recording => (
+          <Grid item xs={12} sm={6} md={4} key={recording.id}>
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', mb: 1 }}>
+                  <Box sx={{ minWidth: 0 }}>
+                    <Typography variant="h6" noWrap>{recording.title}</Typography>
+                    <Typography variant="body2" color="text.secondary" noWrap>
+                      {recording.channelName || recording.streamId}
+                    </Typography>
+                  </Box>
+                  <Chip size="small" label={recording.status} color={STATUS_COLORS[recording.status] || 'default'} />
+                </Box>
+                <Typography variant="caption" display="block">
+                  {formatTime(recording.startAt)} - {recording.endAt ? formatTime(recording.endAt) : 'until stopped'}
+                </Typography>
+                {['recording', 'completed', 'failed'].includes(recording.status) && (
+                  <Typography variant="caption" display="block">
+                    {formatDuration(recording.duration)}, {formatBytes(recording.size)} ({recording.format.toUpperCase()})
+                  </Typography>
+                )}
+                {recording.error && (
+                  <Typography variant="caption" display="block" color="error">
+                    {recording.error}
+                  </Typography>
+                )}
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
+                  {recording.size > 0 && (
+                    <>
+                      <IconButton color="primary" onClick={() => setPlaying(recording)}>
+                        <PlayArrowIcon />
+                      </IconButton>
+                      <IconButton color="primary" component="a" href={recording.downloadUrl}>
+                        <DownloadIcon />
+                      </IconButton>
+                    </>
+                  )}
+                  {isAdmin && ['scheduled', 'recording'].includes(recording.status) && (
+                    <IconButton color="warning" onClick={() => handleStop(recording)}>
+                      <StopIcon />
+                    </IconButton>
+                  )}
+                  {isAdmin && (
+                    <IconButton color="error" onClick={() => handleDelete(recording)}>
+                      <DeleteIcon />
+                    </IconButton>
+                  )}
+                </Box>
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+
+      {rules.length > 0 && (
+        <>
+          <Typography variant="h5" sx={{ mt: 4, mb: 2 }}>Series Rules</Typography>
+          <Grid container spacing={3}>
+            {rules.map(rule => (
+              <Grid item xs={12} sm={6} md={4} key={rule.id}>
+                <Card>
+                  <CardContent>
+                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                      <Typography variant="h6" noWrap>{rule.title}</Typography>
+                      {isAdmin && (
+                        <IconButton color="error" onClick={() => handleDeleteRule(rule)}>
+                          <DeleteIcon />
+                        </IconButton>
+                      )}
+                    </Box>
+                    <Typography variant="body2" color="text.secondary">
+                      {rule.channelName || rule.streamId}, {rule.match === 'contains' ? 'title contains' : 'exact title'}
+                      {rule.skipDuplicates ? ', new episodes only' : ''}
+                    </Typography>
+                    <Typography variant="caption" display="block">
+                      {rule.scheduled.length} scheduled, padding {rule.paddingBefore}/{rule.paddingAfter} minutes
+                    </Typography>
+                    {rule.conflicts.map(conflict => (
+                      <Typography key={conflict.start} variant="caption" display="block" color="warning.main">
+                        Skipped {conflict.title} at {formatTime(conflict.start)}: clashes with {conflict.conflictsWith.join(', ')}
+                      </Typography>
+                    ))}
+                    {rule.error && (
+                      <Typography variant="caption" display="block" color="error">
+                        {rule.error}
+                      </Typography>
+                    )}
+                  </CardContent>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+        </>
+      )}
+
+      <Dialog open={scheduleOpen} onClose={() => setScheduleOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Schedule Recording</DialogTitle>
+        <DialogContent>
+          {renderStreamSelect(newRecording.streamId, selectStream)}
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Record</InputLabel>
+            <Select
+              value={newRecording.mode}
+              label="Record"
+              onChange={(e) => setNewRecording({ ...newRecording, mode: e.target.value })}
+            >
+              <MenuItem value="programme">A programme from the guide</MenuItem>
+              <MenuItem value="window">A time window</MenuItem>
+              <MenuItem value="now">Now</MenuItem>
+            </Select>
+          </FormControl>
+          {newRecording.mode === 'programme' && (
+            <>
+              <FormControl fullWidth margin="dense" disabled={programmes.length === 0}>
+                <InputLabel>Programme</InputLabel>
+                <Select
+                  value={newRecording.programmeStart}
+                  label="Programme"
+                  onChange={(e) => setNewRecording({ ...newRecording, programmeStart: e.target.value })}
+                >
+                  {programmes.map(programme => (
+                    <MenuItem key={programme.start} value={programme.start}>
+                      {formatTime(programme.start)} - {programme.title}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              {newRecording.streamId && programmes.length === 0 && (
+                <Typography variant="caption" color="text.secondary">
+                  No guide listings for this stream
+                </Typography>
+              )}
+              {renderPaddingFields(newRecording, setNewRecording)}
+            </>
+          )}
+          {newRecording.mode === 'window' && (
+            <TextField
+              margin="dense"
+              label="Start"
+              type="datetime-local"
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+              value={newRecording.startAt}
+              onChange={(e) => setNewRecording({ ...newRecording, startAt: e.target.value })}
+            />
+          )}
+          {newRecording.mode !== 'programme' && (
+            <TextField
+              margin="dense"
+              label="Duration (minutes)"
+              type="number"
+              inputProps={{ min: 1 }}
+              helperText={newRecording.mode === 'now' ? 'Leave empty to record until stopped' : ''}
+              fullWidth
+              value={newRecording.durationMinutes}
+              onChange={(e) => setNewRecording({ ...newRecording, durationMinutes: e.target.value })}
+            />
+          )}
+          {renderFormatSelect(newRecording, setNewRecording)}
+          {conflicts && (
+            <Alert severity="warning" sx={{ mt: 2 }}>
+              {conflicts.error}
+              {(conflicts.conflicts || []).map(conflict => (
+                <Typography key={conflict.id} variant="body2">
+                  {conflict.title}: {formatTime(conflict.startAt)} - {conflict.endAt ? formatTime(conflict.endAt) : 'until stopped'}
+                </Typography>
+              ))}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setScheduleOpen(false)}>Cancel</Button>
+          {conflicts ? (
+            <Button color="warning" onClick={() => handleSchedule(true)}>Record Anyway</Button>
+          ) : (
+            <Button onClick={() => handleSchedule()} disabled={!isScheduleValid()}>
+              {newRecording.mode === 'now' ? 'Record' : 'Schedule'}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={ruleOpen} onClose={() => setRuleOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Add Series Rule</DialogTitle>
+        <DialogContent>
+          {renderStreamSelect(newRule.streamId, (streamId) => setNewRule({ ...newRule, streamId }))}
+          <TextField
+            margin="dense"
+            label="Programme title"
+            fullWidth
+            value={newRule.title}
+            onChange={(e) => setNewRule({ ...newRule, title: e.target.value })}
+            helperText="Every upcoming programme with this title on the stream is recorded"
+          />
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Match</InputLabel>
+            <Select
+              value={newRule.match}
+              label="Match"
+              onChange={(e) => setNewRule({ ...newRule, match: e.target.value })}
+            >
+              <MenuItem value="exact">Exact title</MenuItem>
+              <MenuItem value="contains">Title contains</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={newRule.skipDuplicates}
+                onChange={(e) => setNewRule({ ...newRule, skipDuplicates: e.target.checked })}
+              />
+            }
+            label="Skip episodes already recorded (by episode number or subtitle)"
+          />
+          {renderPaddingFields(newRule, setNewRule)}
+          {renderFormatSelect(newRule, setNewRule)}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRuleOpen(false)}>Cancel</Button>
+          <Button onClick={handleAddRule} disabled={!newRule.streamId || !newRule.title.trim()}>
+            Add
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <VideoPlayer
+        open={!!playing}
+        onClose={() => setPlaying(null)}
+        streamUrl={playing ? playing.playbackUrl : ''}
+      />
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity} sx={{ width: '100%' }}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Recordings;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  TextField,
+  Typography,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Divider,
+} from '@mui/material';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+// Link lifetimes offered when sharing, in hours; 0 never expires
+const EXPIRY_OPTIONS = [
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '1 day' },
+  { hours: 24 * 7, label: '1 week' },
+  { hours: 24 * 30, label: '30 days' },
+  { hours: 0, label: 'Never' },
+];
+
+const EMPTY_LINK = {
+  label: '',
+  expiryHours: 24,
+  ip: '',
+};
+
+function ShareLinksDialog({ stream, open, onClose, showSnackbar }) {
+  const [links, setLinks] = useState([]);
+  const [newLink, setNewLink] = useState(EMPTY_LINK);
+
+  const fetchLinks = useCallback(async () => {
+    if (!stream) return;
+    try {
+      const response = await axios.get(`/api/streams/${stream.id}/links`);
+      setLinks(response.data);
+    } catch (err) {
+      console.error('Error fetching share links:', err);
+    }
+  }, [stream]);
+
+  useEffect(() => {
+    if (open) {
+      setNewLink(EMPTY_LINK);
+      fetchLinks();
+    }
+  }, [open, fetchLinks]);
+
+  const copyLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      showSnackbar('Share link copied to clipboard', 'success');
+    } catch (err) {
+      showSnackbar(`Share link: ${url}`, 'info');
+    }
+  };
+
+  const createLink = async () => {
+    try {
+      const response = await axios.post(`/api/streams/${stream.id}/links`, {
+        label: newLink.label || null,
+        ip: newLink.ip || null,
+        expiresAt: newLink.expiryHours
+          ? new Date(Date.now() + newLink.expiryHours * 3600 * 1000).toISOString()
+          : null,
+      });
+      setNewLink(EMPTY_LINK);
+      fetchLinks();
+      copyLink(response.data.url);
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to create share link', 'error');
+    }
+  };
+
+  const revokeLink = async (link) => {
+    try {
+      await axios.delete(`/api/streams/${stream.id}/links/${link.id}`);
+      fetchLinks();
+      showSnackbar('Share link revoked', 'success');
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to revoke share link', 'error');
+    }
+  };
+
+  const describeLink = (link) => {
+    const parts = [
+      link.expiresAt ? `Expires ${new Date(link.expiresAt).toLocaleString()}` : 'Never expires',
+    ];
+    if (link.ip) parts.push(`only from ${link.ip}`);
+    if (link.createdBy) parts.push(`created by ${link.createdBy}`);
+    return parts.join(', ');
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Share {stream ? stream.channelName || stream.id : ''}</DialogTitle>
+      <DialogContent>
+        <TextField
+          margin="dense"
+          label="Label"
+          fullWidth
+          value={newLink.label}
+          onChange={(e) => setNewLink({ ...newLink, label: e.target.value })}
+          helperText="Who or what the link is for"
+        />
+        <FormControl fullWidth margin="dense">
+          <InputLabel>Expires after</InputLabel>
+          <Select
+            value={newLink.expiryHours}
+            label="Expires after"
+            onChange={(e) => setNewLink({ ...newLink, expiryHours: e.target.value })}
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <MenuItem key={option.hours} value={option.hours}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          margin="dense"
+          label="Restrict to IP address"
+          fullWidth
+          value={newLink.ip}
+          onChange={(e) => setNewLink({ ...newLink, ip: e.target.value.trim() })}
+          helperText="Optional, the link only plays from this address"
+        />
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
+          <Button variant="contained" onClick={createLink}>
+            Create Link
+          </Button>
+        </Box>
+
+        <Divider sx={{ my: 2 }} />
+
+        {links.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No share links for this stream
+          </Typography>
+        ) : (
+          links.map(link => (
+            <Box key={link.id} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                <Typography variant="body1" noWrap>
+                  {link.label || 'Unnamed link'}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {describeLink(link)}
+                </Typography>
+              </Box>
+              <IconButton onClick={() => copyLink(link.url)} disabled={!link.url} color="primary">
+                <ContentCopyIcon />
+              </IconButton>
+              <IconButton onClick={() => revokeLink(link)} color="error">
+                <DeleteIcon />
+              </IconButton>
+            </Box>
+          ))
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ShareLinksDialog;
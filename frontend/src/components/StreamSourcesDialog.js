@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  IconButton,
+  TextField,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+function SourceLabel({ source }) {
+  return (
+    <Box sx={{ minWidth: 0, flex: 1 }}>
+      <Typography variant="body2" noWrap>
+        {source.channelName || 'Manual URL'}
+        {source.providerName && ` (${source.providerName})`}
+      </Typography>
+      <Typography variant="caption" color="text.secondary" noWrap component="div">
+        {source.url}
+      </Typography>
+    </Box>
+  );
+}
+
+function StreamSourcesDialog({ stream, open, onClose, showSnackbar, onSaved }) {
+  const [sources, setSources] = useState(null);
+  // Backups being edited: { key } for known sources, { url } for ones typed in
+  const [backups, setBackups] = useState([]);
+  const [newUrl, setNewUrl] = useState('');
+
+  const fetchSources = useCallback(async () => {
+    if (!stream) return;
+    try {
+      const response = await axios.get(`/api/streams/${stream.id}/sources`);
+      setSources(response.data);
+      setBackups(response.data.backups);
+    } catch (err) {
+      console.error('Error fetching stream sources:', err);
+    }
+  }, [stream]);
+
+  useEffect(() => {
+    if (open) {
+      setSources(null);
+      setNewUrl('');
+      fetchSources();
+    }
+  }, [open, fetchSources]);
+
+  const moveBackup = (index, offset) => {
+    const updated = [...backups];
+    const [moved] = updated.splice(index, 1);
+    updated.splice(index + offset, 0, moved);
+    setBackups(updated);
+  };
+
+  const addManualUrl = () => {
+    setBackups([...backups, { url: newUrl.trim(), manual: true }]);
+    setNewUrl('');
+  };
+
+  const saveSources = async (autoMatch = false) => {
+    try {
+      const response = await axios.put(`/api/streams/${stream.id}/sources`, {
+        backups: backups.map(backup => (backup.manual ? { url: backup.url } : { key: backup.key })),
+        autoMatch,
+      });
+      setSources(response.data);
+      setBackups(response.data.backups);
+      showSnackbar(`${response.data.backups.length} backup source(s) saved`, 'success');
+      if (onSaved) onSaved();
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to save backup sources', 'error');
+    }
+  };
+
+  const listed = new Set(backups.map(backup => backup.key));
+  const live = sources && sources.activeSource > 0 ? sources.backups[sources.activeSource - 1] : null;
+  const candidates = sources ? sources.candidates.filter(candidate => !listed.has(candidate.key)) : [];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Sources{stream ? ` for ${stream.channelName || stream.id}` : ''}</DialogTitle>
+      <DialogContent>
+        {sources && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              When the source in use fails the stream switches to the next one in this list. The playlist URL stays the same.
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Chip size="small" label="Primary" />
+              <SourceLabel source={sources.primary} />
+              {sources.activeSource === 0 && <Chip size="small" color="success" label="Live" />}
+            </Box>
+            {backups.map((backup, index) => (
+              <Box key={backup.key || backup.url} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <Chip size="small" label={`Backup ${index + 1}`} />
+                <SourceLabel source={backup} />
+                {live && !backup.manual && live.key === backup.key && (
+                  <Chip size="small" color="success" label="Live" />
+                )}
+                <IconButton size="small" onClick={() => moveBackup(index, -1)} disabled={index === 0}>
+                  <ArrowUpwardIcon fontSize="small" />
+                </IconButton>
+                <IconButton size="small" onClick={() => moveBackup(index, 1)} disabled={index === backups.length - 1}>
+                  <ArrowDownwardIcon fontSize="small" />
+                </IconButton>
+                <IconButton size="small" color="error" onClick={() => setBackups(backups.filter((b, i) => i !== index))}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ))}
+            <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+              <TextField
+                size="small"
+                label="Backup URL"
+                fullWidth
+                value={newUrl}
+                onChange={(e) => setNewUrl(e.target.value)}
+              />
+              <Button onClick={addManualUrl} disabled={!newUrl.trim()}>Add</Button>
+            </Box>
+
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>
+              Same channel on other providers ({candidates.length})
+            </Typography>
+            {candidates.length === 0 && (
+              <Typography variant="body2" color="text.secondary">
+                No other provider lists a channel with this tvg-id or name.
+              </Typography>
+            )}
+            {candidates.map(candidate => (
+              <Box key={candidate.key} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <SourceLabel source={candidate} />
+                <IconButton size="small" color="primary" onClick={() => setBackups([...backups, candidate])}>
+                  <AddIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ))}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        <Button onClick={() => saveSources(true)} disabled={!sources}>Add All Matches</Button>
+        <Button variant="contained" onClick={() => saveSources()} disabled={!sources}>Save</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default StreamSourcesDialog;
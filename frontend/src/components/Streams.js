@@ -18,6 +18,10 @@ import {
   DialogContent,
   DialogContentText,
   DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
 } from '@mui/material';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
 import StopIcon from '@mui/icons-material/Stop';
@@ -33,14 +37,38 @@ import VideoPlayer from './VideoPlayer';
 import streamWebSocket from '../utils/StreamWebSocket';
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
 import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import ShareIcon from '@mui/icons-material/Share';
+import ShareLinksDialog from './ShareLinksDialog';
+import StreamSourcesDialog from './StreamSourcesDialog';
+import CallSplitIcon from '@mui/icons-material/CallSplit';
 
-function Streams() {
+// Must match the stream name rules enforced by the backend
+const STREAM_SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Timeshift windows offered on stream cards, in minutes; 0 keeps only the live edge
+const TIMESHIFT_OPTIONS = [0, 30, 60, 120, 240];
+
+const formatTimeshift = (minutes) => {
+  if (!minutes) return 'Live only';
+  return minutes % 60 === 0 ? `${minutes / 60}h timeshift` : `${minutes}min timeshift`;
+};
+
+function Streams({ user }) {
   const [streams, setStreams] = useState([]);
   const [streamStats, setStreamStats] = useState({});
   const [newStreamUrl, setNewStreamUrl] = useState('');
+  const [newStreamSlug, setNewStreamSlug] = useState('');
+  const [newStreamOnDemand, setNewStreamOnDemand] = useState(false);
+  const [newStreamProfile, setNewStreamProfile] = useState('passthrough');
+  const [newStreamAbr, setNewStreamAbr] = useState(false);
+  const [newStreamTimeshift, setNewStreamTimeshift] = useState(0);
+  const [profiles, setProfiles] = useState([]);
   const [error, setError] = useState(null);
   const [selectedStream, setSelectedStream] = useState(null);
   const [playerOpen, setPlayerOpen] = useState(false);
+  const [shareStream, setShareStream] = useState(null);
+  const [sourcesStream, setSourcesStream] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
   const [errorDetails, setErrorDetails] = useState({ open: false, message: '', timestamp: null });
 
@@ -66,6 +94,7 @@ function Streams() {
 
   useEffect(() => {
     fetchStreams();
+    fetchProfiles();
     const interval = setInterval(fetchStreams, 5000);
 
     // Connect to WebSocket for real-time updates
@@ -121,26 +150,28 @@ function Streams() {
     event.target.parentElement.querySelector('svg').style.display = 'block'; // Show fallback icon
   };
 
-  const exportM3U = () => {
-    const DEFAULT_LOGO = '/logo192.png';
-    let m3uContent = '#EXTM3U\n';
-    
-    streams.forEach(stream => {
-      m3uContent += `#EXTINF:-1 tvg-name="${stream.channelName}" tvg-logo="${stream.logo || DEFAULT_LOGO}", ${stream.channelName}\n`;
-      m3uContent += `${getStreamUrl(stream)}\n`;
-    });
+  // Players can subscribe to this URL directly; it always lists the running streams.
+  // The personal playlist token stands in for a login.
+  const playlistUrl = `${window.location.origin}/playlist.m3u?token=${user.playlistToken}`;
 
-    const blob = new Blob([m3uContent], { type: 'text/plain' });
-    const url = window.URL.createObjectURL(blob);
+  const exportM3U = () => {
     const a = document.createElement('a');
-    a.href = url;
+    a.href = `/api/playlist.m3u?token=${user.playlistToken}`;
     a.download = 'playlist.m3u';
     document.body.appendChild(a);
     a.click();
-    window.URL.revokeObjectURL(url);
     document.body.removeChild(a);
   };
 
+  const copyPlaylistUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(playlistUrl);
+      showSnackbar('Playlist URL copied to clipboard', 'success');
+    } catch (err) {
+      showSnackbar(`Playlist URL: ${playlistUrl}`, 'info');
+    }
+  };
+
   const fetchStreams = async () => {
     try {
       const response = await axios.get('/api/streams');
@@ -154,16 +185,37 @@ function Streams() {
     }
   };
 
+  const fetchProfiles = async () => {
+    try {
+      const response = await axios.get('/api/transcode-profiles');
+      setProfiles(response.data);
+    } catch (err) {
+      console.error('Error fetching transcoding profiles:', err);
+    }
+  };
+
   const startStream = async () => {
     if (!newStreamUrl) return;
 
     try {
-      await axios.post('/api/streams', { url: newStreamUrl });
+      await axios.post('/api/streams', {
+        url: newStreamUrl,
+        slug: newStreamSlug || undefined,
+        onDemand: newStreamOnDemand,
+        profile: newStreamProfile,
+        abr: newStreamAbr,
+        timeshift: Number(newStreamTimeshift) || null
+      });
       setNewStreamUrl('');
+      setNewStreamSlug('');
+      setNewStreamOnDemand(false);
+      setNewStreamProfile('passthrough');
+      setNewStreamAbr(false);
+      setNewStreamTimeshift(0);
       fetchStreams();
       showSnackbar('Stream started successfully', 'success');
     } catch (err) {
-      showSnackbar('Failed to start stream', 'error');
+      showSnackbar(err.response?.data?.error || 'Failed to start stream', 'error');
       console.error('Error starting stream:', err);
     }
   };
@@ -208,6 +260,66 @@ function Streams() {
     }
   };
 
+  const changeProfile = async (stream, profile) => {
+    try {
+      setStreams(prevStreams =>
+        prevStreams.map(s =>
+          s.id === stream.id
+            ? { ...s, profile, status: 'restarting' }
+            : s
+        )
+      );
+
+      await axios.post(`/api/streams/${stream.id}/restart`, { profile });
+      await fetchStreams();
+      showSnackbar('Transcoding profile updated', 'success');
+    } catch (err) {
+      console.error('Error changing transcoding profile:', err);
+      showSnackbar(err.response?.data?.error || 'Failed to change transcoding profile', 'error');
+      await fetchStreams();
+    }
+  };
+
+  const toggleAbr = async (stream) => {
+    try {
+      setStreams(prevStreams =>
+        prevStreams.map(s =>
+          s.id === stream.id
+            ? { ...s, abr: !s.abr, status: 'restarting' }
+            : s
+        )
+      );
+
+      await axios.post(`/api/streams/${stream.id}/restart`, { abr: !stream.abr });
+      await fetchStreams();
+      showSnackbar(stream.abr ? 'Adaptive bitrate disabled' : 'Adaptive bitrate enabled', 'success');
+    } catch (err) {
+      console.error('Error toggling adaptive bitrate:', err);
+      showSnackbar(err.response?.data?.error || 'Failed to update stream settings', 'error');
+      await fetchStreams();
+    }
+  };
+
+  const changeTimeshift = async (stream, timeshift) => {
+    try {
+      setStreams(prevStreams =>
+        prevStreams.map(s =>
+          s.id === stream.id
+            ? { ...s, timeshift, status: 'restarting' }
+            : s
+        )
+      );
+
+      await axios.post(`/api/streams/${stream.id}/restart`, { timeshift });
+      await fetchStreams();
+      showSnackbar(timeshift ? `Keeping ${formatTimeshift(timeshift)}` : 'Timeshift disabled', 'success');
+    } catch (err) {
+      console.error('Error changing timeshift:', err);
+      showSnackbar(err.response?.data?.error || 'Failed to change timeshift', 'error');
+      await fetchStreams();
+    }
+  };
+
   const toggleIgnoreErrors = async (stream) => {
     try {
       setStreams(prevStreams => 
@@ -239,8 +351,34 @@ function Streams() {
     }
   };
 
+  const toggleAutostart = async (stream) => {
+    setStreams(prevStreams =>
+      prevStreams.map(s =>
+        s.id === stream.id ? { ...s, autostart: !stream.autostart } : s
+      )
+    );
+
+    try {
+      await axios.post(`/api/streams/${stream.id}/autostart`, {
+        autostart: !stream.autostart
+      });
+      showSnackbar(`Autostart ${stream.autostart ? 'disabled' : 'enabled'}`, 'success');
+    } catch (err) {
+      console.error('Error toggling autostart:', err);
+      showSnackbar('Failed to update autostart', 'error');
+
+      setStreams(prevStreams =>
+        prevStreams.map(s =>
+          s.id === stream.id ? { ...s, autostart: stream.autostart } : s
+        )
+      );
+    }
+  };
+
   const getStreamUrl = (stream) => {
     if (!stream) return '';
+    // Prefer the address the backend advertises in the shared playlist
+    if (stream.publicUrl) return stream.publicUrl;
     // Get the base URL from the current window location
     const baseUrl = `${window.location.protocol}//${window.location.hostname}:8080`;
     // Ensure the proxyUrl starts with a forward slash
@@ -302,7 +440,22 @@ function Streams() {
   };
 
   const getStreamStatus = (stream) => {
+    if (stream.status === 'idle') {
+      return { icon: null, color: 'default', text: 'Idle (starts on first viewer)' };
+    }
+
     const stats = streamStats[stream.id];
+    if (stream.status === 'stalled' || (stats && stats.stalled)) {
+      const stalledSince = (stats && stats.stalledSince) || stream.watchdog?.stalledSince;
+      return {
+        icon: <WarningIcon />,
+        color: 'warning',
+        text: stalledSince
+          ? `Stalled, no new segments since ${new Date(stalledSince).toLocaleTimeString()}`
+          : 'Stalled, no new segments'
+      };
+    }
+
     if (!stats) return { icon: null, color: 'default', text: stream.status || 'unknown' };
 
     if (stream.lastError) {
@@ -381,6 +534,37 @@ function Streams() {
           </Typography>
         )}
         
+        {stats.fps > 0 && (
+          <Typography variant="body2" color="text.secondary">
+            FPS: {stats.fps}{stats.speed !== null && stats.speed !== undefined && ` (${stats.speed}x speed)`}
+          </Typography>
+        )}
+
+        {stats.frames > 0 && (
+          <Typography variant="body2" color="text.secondary">
+            Frames: {stats.frames} (dropped {stats.droppedFrames || 0}, duplicated {stats.duplicatedFrames || 0})
+          </Typography>
+        )}
+
+        {stats.segmentCount > 0 && (
+          <Typography variant="body2" color="text.secondary">
+            Segments: {stats.segmentCount}
+            {stats.lastSegmentAge !== null && ` (last ${stats.lastSegmentAge.toFixed(1)}s ago)`}
+          </Typography>
+        )}
+
+        {stats.stallCount > 0 && (
+          <Typography variant="body2" color="text.secondary">
+            Stalls: {stats.stallCount} (last at {new Date(stats.lastStallAt).toLocaleString()})
+          </Typography>
+        )}
+
+        {stats.timeshiftWindow && (
+          <Typography variant="body2" color="text.secondary">
+            Timeshift: from {new Date(stats.timeshiftWindow.start).toLocaleTimeString()} to {new Date(stats.timeshiftWindow.end).toLocaleTimeString()}
+          </Typography>
+        )}
+
         {stats.bufferHealth && (
           <Typography variant="body2" color="text.secondary">
             Buffer Health: {stats.bufferHealth}s
@@ -417,6 +601,14 @@ function Streams() {
           >
             Export M3U
           </Button>
+          <Button
+            variant="outlined"
+            color="secondary"
+            startIcon={<ContentCopyIcon />}
+            onClick={copyPlaylistUrl}
+          >
+            Copy Playlist URL
+          </Button>
           <Button
             variant="contained"
             color="primary"
@@ -437,12 +629,77 @@ function Streams() {
           onChange={(e) => setNewStreamUrl(e.target.value)}
           sx={{ mb: 2 }}
         />
+        <TextField
+          fullWidth
+          label="Stream Name (optional)"
+          variant="outlined"
+          value={newStreamSlug}
+          onChange={(e) => setNewStreamSlug(e.target.value.toLowerCase())}
+          error={!!newStreamSlug && !STREAM_SLUG_PATTERN.test(newStreamSlug)}
+          helperText={
+            newStreamSlug && !STREAM_SLUG_PATTERN.test(newStreamSlug)
+              ? 'Use lowercase letters, digits, hyphens or underscores'
+              : `Playlist URL: /stream/${newStreamSlug || '<generated from channel name>'}/playlist.m3u8`
+          }
+          sx={{ mb: 2 }}
+        />
+        <FormControl fullWidth sx={{ mb: 2 }}>
+          <InputLabel>Transcoding</InputLabel>
+          <Select
+            value={newStreamProfile}
+            label="Transcoding"
+            onChange={(e) => setNewStreamProfile(e.target.value)}
+            disabled={newStreamAbr}
+          >
+            {(profiles.length > 0 ? profiles : [{ name: 'passthrough', label: 'Passthrough' }]).map(profile => (
+              <MenuItem key={profile.name} value={profile.name}>
+                {profile.label}
+                {profile.description && (
+                  <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                    {profile.description}
+                  </Typography>
+                )}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          fullWidth
+          label="Timeshift window (minutes)"
+          type="number"
+          variant="outlined"
+          value={newStreamTimeshift}
+          onChange={(e) => setNewStreamTimeshift(e.target.value)}
+          inputProps={{ min: 0 }}
+          helperText="Keep this much of the stream on disk so viewers can seek back; 0 keeps only the live edge"
+          sx={{ mb: 2 }}
+        />
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={newStreamAbr}
+              onChange={(e) => setNewStreamAbr(e.target.checked)}
+            />
+          }
+          label="Adaptive bitrate (several renditions and a master playlist, replaces the transcoding profile)"
+          sx={{ display: 'block' }}
+        />
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={newStreamOnDemand}
+              onChange={(e) => setNewStreamOnDemand(e.target.checked)}
+            />
+          }
+          label="On demand (start when the first viewer connects, stop when idle)"
+          sx={{ display: 'block', mb: 2 }}
+        />
         <Button
           variant="contained"
           color="primary"
           startIcon={<PlayArrowIcon />}
           onClick={startStream}
-          disabled={!newStreamUrl}
+          disabled={!newStreamUrl || (!!newStreamSlug && !STREAM_SLUG_PATTERN.test(newStreamSlug))}
         >
           START STREAM
         </Button>
@@ -519,9 +776,42 @@ function Streams() {
                             <Typography variant="body2" color="text.secondary" sx={{ color: '#888' }}>
                               Stream URL: {getStreamUrl(stream)}
                             </Typography>
+                            {stream.backupUrls && stream.backupUrls.length > 0 && (
+                              <Typography
+                                variant="body2"
+                                sx={{ color: stream.activeSource ? 'warning.main' : '#888' }}
+                              >
+                                {stream.activeSource
+                                  ? `Playing backup ${stream.activeSource} of ${stream.backupUrls.length}: ${stream.activeUrl}`
+                                  : `Playing primary source, ${stream.backupUrls.length} backup(s)`}
+                              </Typography>
+                            )}
                             <Typography variant="body2" color="text.secondary" sx={{ color: '#888' }}>
                               Started: {formatStartTime(stream.startTime)}
                             </Typography>
+                            {stream.abr && stream.variants && (
+                              <Typography variant="body2" color="text.secondary" sx={{ color: '#888' }}>
+                                Renditions: {stream.variants.map(variant => variant.name).join(', ')}
+                              </Typography>
+                            )}
+                            {stream.onDemand && (
+                              <Typography variant="body2" color="text.secondary" sx={{ color: '#888' }}>
+                                On demand, stops after {stream.idleTimeout}s without viewers
+                                {stream.lastViewerAt && ` (last viewer at ${new Date(stream.lastViewerAt).toLocaleTimeString()})`}
+                              </Typography>
+                            )}
+                            {stream.restart && stream.restart.attempts > 0 && (
+                              <Typography
+                                variant="body2"
+                                sx={{ color: stream.restart.state === 'gave_up' ? 'error.main' : 'warning.main' }}
+                              >
+                                {stream.restart.state === 'gave_up'
+                                  ? `Auto-restart gave up after ${stream.restart.attempts} attempts`
+                                  : `Auto-restart attempt ${stream.restart.attempts}/${stream.restart.maxAttempts}`}
+                                {stream.restart.nextAttemptAt &&
+                                  ` (next try at ${new Date(stream.restart.nextAttemptAt).toLocaleTimeString()})`}
+                              </Typography>
+                            )}
                             {getStreamStats(stream)}
                           </Box>
                         </Box>
@@ -537,6 +827,54 @@ function Streams() {
                               }
                               label="Ignore Errors"
                             />
+                            <FormControlLabel
+                              control={
+                                <Checkbox
+                                  checked={!!stream.autostart}
+                                  onChange={() => toggleAutostart(stream)}
+                                  disabled={!!stream.onDemand}
+                                  size="small"
+                                />
+                              }
+                              label="Autostart"
+                            />
+                            <FormControlLabel
+                              control={
+                                <Checkbox
+                                  checked={!!stream.abr}
+                                  onChange={() => toggleAbr(stream)}
+                                  size="small"
+                                />
+                              }
+                              label="ABR"
+                            />
+                            <Select
+                              value={stream.timeshift || 0}
+                              onChange={(e) => changeTimeshift(stream, e.target.value)}
+                              size="small"
+                              sx={{ minWidth: 140 }}
+                            >
+                              {[...new Set([...TIMESHIFT_OPTIONS, stream.timeshift || 0])].map(minutes => (
+                                <MenuItem key={minutes} value={minutes}>
+                                  {formatTimeshift(minutes)}
+                                </MenuItem>
+                              ))}
+                            </Select>
+                            {profiles.length > 0 && (
+                              <Select
+                                value={stream.profile || 'passthrough'}
+                                onChange={(e) => changeProfile(stream, e.target.value)}
+                                disabled={!!stream.abr}
+                                size="small"
+                                sx={{ minWidth: 180 }}
+                              >
+                                {profiles.map(profile => (
+                                  <MenuItem key={profile.name} value={profile.name}>
+                                    {profile.label}
+                                  </MenuItem>
+                                ))}
+                              </Select>
+                            )}
                             <Button
                               variant="outlined"
                               color="primary"
@@ -550,6 +888,23 @@ function Streams() {
                             </Button>
                           </Box>
                           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                            {user.role === 'admin' && (
+                              <IconButton
+                                color="primary"
+                                onClick={() => setSourcesStream(stream)}
+                                title="Backup sources"
+                              >
+                                <CallSplitIcon />
+                              </IconButton>
+                            )}
+                            {user.role === 'admin' && (
+                              <IconButton
+                                color="primary"
+                                onClick={() => setShareStream(stream)}
+                              >
+                                <ShareIcon />
+                              </IconButton>
+                            )}
                             <IconButton
                               color="primary"
                               onClick={() => toggleStream(stream)}
@@ -582,6 +937,22 @@ function Streams() {
           setSelectedStream(null);
         }}
         streamUrl={selectedStream ? getStreamUrl(selectedStream) : ''}
+        timeshift={selectedStream ? selectedStream.timeshift : null}
+      />
+
+      <StreamSourcesDialog
+        stream={sourcesStream}
+        open={!!sourcesStream}
+        onClose={() => setSourcesStream(null)}
+        showSnackbar={showSnackbar}
+        onSaved={fetchStreams}
+      />
+
+      <ShareLinksDialog
+        stream={shareStream}
+        open={!!shareStream}
+        onClose={() => setShareStream(null)}
+        showSnackbar={showSnackbar}
       />
 
       <Dialog open={errorDetails.open} onClose={handleCloseErrorDetails}>
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  TextField,
+  Typography,
+  Grid,
+  Snackbar,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AddIcon from '@mui/icons-material/Add';
+import KeyIcon from '@mui/icons-material/Key';
+
+const EMPTY_USER = {
+  username: '',
+  password: '',
+  role: 'viewer',
+};
+
+function Users({ currentUser }) {
+  const [users, setUsers] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [newUser, setNewUser] = useState(EMPTY_USER);
+  const [passwordDialog, setPasswordDialog] = useState({ open: false, user: null, password: '' });
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
+
+  const showSnackbar = (message, severity = 'info') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar({ ...snackbar, open: false });
+  };
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/users');
+      setUsers(response.data);
+    } catch (err) {
+      console.error('Error fetching users:', err);
+      setSnackbar({ open: true, message: err.response?.data?.error || 'Failed to fetch users', severity: 'error' });
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleAddUser = async () => {
+    try {
+      await axios.post('/api/users', newUser);
+      setOpen(false);
+      setNewUser(EMPTY_USER);
+      fetchUsers();
+      showSnackbar('User created', 'success');
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to create user', 'error');
+    }
+  };
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      await axios.put(`/api/users/${user.id}`, { role });
+      fetchUsers();
+      showSnackbar(`${user.username} is now ${role === 'admin' ? 'an administrator' : 'a viewer'}`, 'success');
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to change role', 'error');
+    }
+  };
+
+  const handleSetPassword = async () => {
+    try {
+      await axios.put(`/api/users/${passwordDialog.user.id}`, { password: passwordDialog.password });
+      setPasswordDialog({ open: false, user: null, password: '' });
+      showSnackbar('Password changed', 'success');
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to change password', 'error');
+    }
+  };
+
+  const handleDeleteUser = async (user) => {
+    if (!window.confirm(`Delete user ${user.username}?`)) return;
+
+    try {
+      await axios.delete(`/api/users/${user.id}`);
+      fetchUsers();
+      showSnackbar('User deleted', 'success');
+    } catch (err) {
+      showSnackbar(err.response?.data?.error || 'Failed to delete user', 'error');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Users
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => setOpen(true)}
+        >
+          Add User
+        </Button>
+      </Box>
+
+      <Grid container spacing={3}>
+        {users.map((user) => (
+          <Grid item xs={12} sm={6} md={4} key={user.id}>
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+                  <Typography variant="h6" component="div">
+                    {user.username}
+                  </Typography>
+                  <Box>
+                    <IconButton
+                      onClick={() => setPasswordDialog({ open: true, user, password: '' })}
+                      sx={{ color: 'primary.main', mr: 1 }}
+                    >
+                      <KeyIcon />
+                    </IconButton>
+                    <IconButton
+                      onClick={() => handleDeleteUser(user)}
+                      color="error"
+                      disabled={user.id === currentUser.id}
+                    >
+                      <DeleteIcon />
+                    </IconButton>
+                  </Box>
+                </Box>
+                <Select
+                  value={user.role}
+                  onChange={(e) => handleRoleChange(user, e.target.value)}
+                  size="small"
+                  fullWidth
+                >
+                  <MenuItem value="admin">Administrator</MenuItem>
+                  <MenuItem value="viewer">Viewer (read only)</MenuItem>
+                </Select>
+                <Typography variant="caption" display="block" sx={{ mt: 1 }}>
+                  Created: {new Date(user.createdAt).toLocaleString()}
+                </Typography>
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Add User</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Username"
+            fullWidth
+            value={newUser.username}
+            onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+          />
+          <TextField
+            margin="dense"
+            label="Password"
+            type="password"
+            fullWidth
+            value={newUser.password}
+            onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+            helperText="At least 8 characters"
+          />
+          <FormControl fullWidth margin="dense">
+            <InputLabel>Role</InputLabel>
+            <Select
+              value={newUser.role}
+              label="Role"
+              onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+            >
+              <MenuItem value="admin">Administrator</MenuItem>
+              <MenuItem value="viewer">Viewer (read only)</MenuItem>
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)}>Cancel</Button>
+          <Button
+            onClick={handleAddUser}
+            variant="contained"
+            disabled={!newUser.username || newUser.password.length < 8}
+          >
+            Add
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog
+        open={passwordDialog.open}
+        onClose={() => setPasswordDialog({ open: false, user: null, password: '' })}
+        maxWidth="xs"
+        fullWidth
+      >
+        <DialogTitle>Set Password for {passwordDialog.user?.username}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="New Password"
+            type="password"
+            fullWidth
+            value={passwordDialog.password}
+            onChange={(e) => setPasswordDialog({ ...passwordDialog, password: e.target.value })}
+            helperText="The user will be logged out of all sessions"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPasswordDialog({ open: false, user: null, password: '' })}>Cancel</Button>
+          <Button
+            onClick={handleSetPassword}
+            variant="contained"
+            disabled={passwordDialog.password.length < 8}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+      >
+        <Alert onClose={handleCloseSnackbar} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Users;
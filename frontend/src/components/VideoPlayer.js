@@ -1,14 +1,31 @@
 import React, { useEffect, useRef, useState, useLayoutEffect } from 'react';
 import Hls from 'hls.js';
-import { Dialog, DialogContent, IconButton, DialogTitle, Box, Typography, Button } from '@mui/material';
+import { Dialog, DialogContent, IconButton, DialogTitle, Box, Typography, Button, TextField } from '@mui/material';
 import CloseIcon from '@mui/icons-material/Close';
+import Replay30Icon from '@mui/icons-material/Replay30';
+import Forward30Icon from '@mui/icons-material/Forward30';
+import FastRewindIcon from '@mui/icons-material/FastRewind';
+import LiveTvIcon from '@mui/icons-material/LiveTv';
 
-function VideoPlayer({ open, onClose, streamUrl }) {
+// Catch-up playlists of timeshift streams start at the given moment
+const withStart = (url, start) => `${url}${url.includes('?') ? '&' : '?'}start=${encodeURIComponent(start)}`;
+
+function VideoPlayer({ open, onClose, streamUrl, timeshift }) {
   const videoRef = useRef(null);
   const hlsRef = useRef(null);
   const [error, setError] = useState(null);
   const [mounted, setMounted] = useState(false);
+  const [startAt, setStartAt] = useState(null);
+  const [jumpTime, setJumpTime] = useState('');
+  const [playingDate, setPlayingDate] = useState(null);
   const eventHandlersRef = useRef({});
+  const sourceUrl = startAt ? withStart(streamUrl, startAt) : streamUrl;
+
+  // Every opened stream starts at the live edge
+  useEffect(() => {
+    setStartAt(null);
+    setPlayingDate(null);
+  }, [open, streamUrl]);
 
   // Use layout effect to track when component is mounted
   useLayoutEffect(() => {
@@ -36,7 +53,7 @@ function VideoPlayer({ open, onClose, streamUrl }) {
   // Main effect for player initialization
   useEffect(() => {
     // Don't initialize until component is mounted and dialog is open
-    if (!mounted || !open || !streamUrl) {
+    if (!mounted || !open || !sourceUrl) {
       return;
     }
 
@@ -57,6 +74,10 @@ function VideoPlayer({ open, onClose, streamUrl }) {
       // Setup event handlers
       eventHandlersRef.current = {
         playing: () => setError(null),
+        timeupdate: () => {
+          const date = hlsRef.current ? hlsRef.current.playingDate : null;
+          setPlayingDate(date ? date.toISOString() : null);
+        },
         error: () => {
           const err = video.error;
           console.error('Video error:', err);
@@ -112,8 +133,8 @@ function VideoPlayer({ open, onClose, streamUrl }) {
           hls.attachMedia(video);
 
           hls.on(Hls.Events.MEDIA_ATTACHED, () => {
-            console.log('Loading stream URL:', streamUrl);
-            hls.loadSource(streamUrl);
+            console.log('Loading stream URL:', sourceUrl);
+            hls.loadSource(sourceUrl);
           });
 
           hls.on(Hls.Events.MANIFEST_PARSED, () => {
@@ -129,7 +150,7 @@ function VideoPlayer({ open, onClose, streamUrl }) {
 
         } else if (video.canPlayType('application/vnd.apple.mpegurl')) {
           // Fallback to native HLS for Safari
-          video.src = streamUrl;
+          video.src = sourceUrl;
           video.addEventListener('loadedmetadata', () => {
             const playPromise = video.play();
             if (playPromise) {
@@ -156,7 +177,44 @@ function VideoPlayer({ open, onClose, streamUrl }) {
     return () => {
       clearTimeout(initTimeout);
     };
-  }, [mounted, open, streamUrl]);
+  }, [mounted, open, sourceUrl]);
+
+  // Seek within the timeshift window; past its start a catch-up playlist is loaded instead
+  const seekBy = (seconds) => {
+    const video = videoRef.current;
+    if (!video || video.seekable.length === 0) return;
+
+    const start = video.seekable.start(0);
+    const end = video.seekable.end(video.seekable.length - 1);
+    const target = video.currentTime + seconds;
+    if (target < start && startAt && playingDate) {
+      setStartAt(new Date(new Date(playingDate).getTime() + seconds * 1000).toISOString());
+      return;
+    }
+    video.currentTime = Math.min(Math.max(target, start), end);
+  };
+
+  const goLive = () => {
+    if (startAt) {
+      setStartAt(null);
+      return;
+    }
+    const video = videoRef.current;
+    if (!video || video.seekable.length === 0) return;
+    const liveSyncPosition = hlsRef.current ? hlsRef.current.liveSyncPosition : null;
+    video.currentTime = liveSyncPosition || video.seekable.end(video.seekable.length - 1);
+  };
+
+  // Play from a time of day, the most recent one that has passed
+  const jumpTo = () => {
+    const [hours, minutes] = jumpTime.split(':').map(Number);
+    const start = new Date();
+    start.setHours(hours, minutes, 0, 0);
+    if (start > new Date()) {
+      start.setDate(start.getDate() - 1);
+    }
+    setStartAt(start.toISOString());
+  };
 
   return (
     <Dialog
@@ -239,6 +297,36 @@ function VideoPlayer({ open, onClose, streamUrl }) {
             </Box>
           )}
         </Box>
+        {timeshift > 0 && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1, flexWrap: 'wrap' }}>
+            <IconButton sx={{ color: 'white' }} onClick={() => seekBy(-300)} title="Back 5 minutes">
+              <FastRewindIcon />
+            </IconButton>
+            <IconButton sx={{ color: 'white' }} onClick={() => seekBy(-30)} title="Back 30 seconds">
+              <Replay30Icon />
+            </IconButton>
+            <IconButton sx={{ color: 'white' }} onClick={() => seekBy(30)} title="Forward 30 seconds">
+              <Forward30Icon />
+            </IconButton>
+            <Button size="small" variant="outlined" startIcon={<LiveTvIcon />} onClick={goLive}>
+              Live
+            </Button>
+            <TextField
+              type="time"
+              size="small"
+              value={jumpTime}
+              onChange={(e) => setJumpTime(e.target.value)}
+              sx={{ ml: 2, input: { color: 'white' } }}
+            />
+            <Button size="small" variant="outlined" onClick={jumpTo} disabled={!jumpTime}>
+              Play from
+            </Button>
+            <Typography variant="caption" sx={{ ml: 'auto', color: '#aaa' }}>
+              {playingDate ? `Playing ${new Date(playingDate).toLocaleTimeString()}` : ''}
+              {` (up to ${timeshift} minutes back)`}
+            </Typography>
+          </Box>
+        )}
       </DialogContent>
     </Dialog>
   );
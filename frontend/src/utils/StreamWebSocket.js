@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import auth from './auth';
 
 class StreamWebSocket {
   constructor() {
@@ -11,9 +12,10 @@ class StreamWebSocket {
 
   connect() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}/ws`;
+    // Browsers cannot send an Authorization header with WebSockets
+    const wsUrl = `${protocol}//${window.location.host}/ws?token=${encodeURIComponent(auth.getToken() || '')}`;
 
-    console.log('Connecting to WebSocket:', wsUrl);
+    console.log('Connecting to WebSocket');
     this.ws = new WebSocket(wsUrl);
 
     this.ws.onmessage = (event) => {
@@ -76,9 +78,9 @@ const useWebSocket = () => {
 
       // Use the same host as the current page, just change the protocol and add /ws path
       const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-      const wsUrl = `${protocol}//${window.location.host}/ws`;
+      const wsUrl = `${protocol}//${window.location.host}/ws?token=${encodeURIComponent(auth.getToken() || '')}`;
 
-      console.log('Connecting to WebSocket:', wsUrl);
+      console.log('Connecting to WebSocket');
       ws = new WebSocket(wsUrl);
 
       ws.onopen = () => {
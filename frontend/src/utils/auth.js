@@ -0,0 +1,75 @@
+import axios from 'axios';
+
+const TOKEN_KEY = 'authToken';
+
+// Keeps the session token, attaches it to API requests and tells
+// listeners when the session ends or expires
+class Auth {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  getToken() {
+    return localStorage.getItem(TOKEN_KEY);
+  }
+
+  setToken(token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  }
+
+  async login(username, password) {
+    const response = await axios.post('/api/auth/login', { username, password });
+    this.setToken(response.data.token);
+    return this.fetchCurrentUser();
+  }
+
+  async logout() {
+    try {
+      await axios.post('/api/auth/logout');
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    this.clear();
+  }
+
+  async fetchCurrentUser() {
+    const response = await axios.get('/api/auth/me');
+    return response.data;
+  }
+
+  clear() {
+    localStorage.removeItem(TOKEN_KEY);
+    this.listeners.forEach(callback => callback());
+  }
+
+  onLogout(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  install() {
+    axios.interceptors.request.use((config) => {
+      const token = this.getToken();
+      // Only send the token to our own API
+      if (token && config.url && config.url.startsWith('/')) {
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+      return config;
+    });
+
+    axios.interceptors.response.use(
+      response => response,
+      (error) => {
+        if (error.response?.status === 401 && this.getToken() && !error.config.url.endsWith('/auth/login')) {
+          this.clear();
+        }
+        return Promise.reject(error);
+      }
+    );
+  }
+}
+
+// Create a singleton instance
+const auth = new Auth();
+auth.install();
+export default auth;
@@ -0,0 +1,73 @@
+// Parses the key=value blocks ffmpeg writes with `-progress pipe:1`.
+// Each block ends with a `progress=continue` (or `progress=end`) line.
+class FFmpegProgress {
+    constructor() {
+        this.buffer = '';
+        this.current = {};
+        this.metrics = {
+            frames: 0,
+            fps: 0,
+            bitrate: null,
+            totalSize: 0,
+            outTime: null,
+            duplicatedFrames: 0,
+            droppedFrames: 0,
+            speed: null,
+            state: 'starting',
+            updatedAt: null
+        };
+    }
+
+    // Feed a chunk of stdout data, applying every complete block
+    update(chunk) {
+        this.buffer += chunk.toString();
+        const lines = this.buffer.split(/\r?\n/);
+        this.buffer = lines.pop();
+
+        for (const line of lines) {
+            const separator = line.indexOf('=');
+            if (separator === -1) continue;
+
+            const key = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).trim();
+            this.current[key] = value;
+
+            if (key === 'progress') {
+                this.applyBlock(this.current);
+                this.current = {};
+            }
+        }
+    }
+
+    applyBlock(block) {
+        this.metrics = {
+            frames: FFmpegProgress.parseNumber(block.frame, this.metrics.frames),
+            fps: FFmpegProgress.parseNumber(block.fps, this.metrics.fps),
+            bitrate: FFmpegProgress.parseBitrate(block.bitrate),
+            totalSize: FFmpegProgress.parseNumber(block.total_size, this.metrics.totalSize),
+            outTime: block.out_time && block.out_time !== 'N/A' ? block.out_time : this.metrics.outTime,
+            duplicatedFrames: FFmpegProgress.parseNumber(block.dup_frames, this.metrics.duplicatedFrames),
+            droppedFrames: FFmpegProgress.parseNumber(block.drop_frames, this.metrics.droppedFrames),
+            speed: FFmpegProgress.parseNumber(block.speed && block.speed.replace(/x$/, ''), null),
+            state: block.progress === 'end' ? 'ended' : 'running',
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    // Returns a bits-per-second number for values like "1234.5kbits/s"
+    static parseBitrate(value) {
+        const match = value && value.match(/^([\d.]+)\s*kbits\/s$/);
+        return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+    }
+
+    static parseNumber(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : fallback;
+    }
+
+    toJSON() {
+        return { ...this.metrics };
+    }
+}
+
+module.exports = FFmpegProgress;
@@ -2,8 +2,18 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const { spawn } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
+const FFmpegProgress = require('./ffmpegProgress');
+const StreamSupervisor = require('./streamSupervisor');
+const TranscodeProfiles = require('./transcodeProfiles');
+const PlaybackTokens = require('./playbackTokens');
+const Recorder = require('./recorder');
+const Timeshift = require('./timeshift');
+const SegmentWatchdog = require('./segmentWatchdog');
+const ProviderLimits = require('./providerLimits');
 
 const app = express();
 app.use(express.json());
@@ -33,24 +43,239 @@ app.use((req, res, next) => {
 const PORT = process.env.PORT || 8080;
 const DATA_DIR = '/app/data';
 const STREAMS_DIR = path.join(DATA_DIR, 'streams');
+const STREAMS_FILE = path.join(DATA_DIR, 'streams.json');
+const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
+const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+const RECORDINGS_FILE = path.join(DATA_DIR, 'recordings.json');
+const PROVIDER_LIMITS_FILE = path.join(DATA_DIR, 'provider-limits.json');
+const SEGMENT_DURATION = 4;
+// Stream IDs are used as directory names and public URL segments
+const STREAM_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+// Statuses in which a stream's ffmpeg process is alive
+const LIVE_STATUSES = ['running', 'stalled'];
+// On-demand streams stop after this many seconds without segment requests
+const ON_DEMAND_IDLE_TIMEOUT = parseFloat(process.env.ON_DEMAND_IDLE_TIMEOUT) || 60;
+// How long a first viewer's playlist request waits for ffmpeg to write a segment
+const ON_DEMAND_START_TIMEOUT = parseFloat(process.env.ON_DEMAND_START_TIMEOUT) || 30;
+// Seconds an ABR stream waits for ffprobe to find out whether its source has audio
+const AUDIO_PROBE_TIMEOUT = 15;
+
+// Shared secret the backend sends with control requests. Without it the service
+// refuses to start unless open control routes are allowed for local development.
+const API_KEY = process.env.HLS_PROXY_API_KEY || '';
+const ALLOW_NO_API_KEY = process.env.HLS_PROXY_ALLOW_NO_API_KEY === 'true';
+// Signs playback tokens; without one (or an API key to fall back on) playback is open
+const PLAYBACK_TOKEN_SECRET = process.env.PLAYBACK_TOKEN_SECRET || API_KEY;
+// Lifetime of the per-user tokens the backend puts into playlists and the UI
+const PLAYBACK_TOKEN_TTL_HOURS = parseFloat(process.env.PLAYBACK_TOKEN_TTL_HOURS) || 24;
+// Disk space recordings may use, in gigabytes; 0 is unlimited
+const RECORDINGS_QUOTA_GB = parseFloat(process.env.RECORDINGS_QUOTA_GB) || 0;
 
 // Store active streams
 const activeStreams = new Map();
 
+// Store ffmpeg progress trackers by stream ID
+const streamProgress = new Map();
+
+const playbackTokens = new PlaybackTokens(PLAYBACK_TOKEN_SECRET, TOKENS_FILE, {
+    userTokenTtlMs: PLAYBACK_TOKEN_TTL_HOURS * 3600 * 1000
+});
+
+const segmentWatchdog = new SegmentWatchdog(getProgressInfo);
+
+const providerLimits = new ProviderLimits(PROVIDER_LIMITS_FILE);
+
+const recorder = new Recorder(RECORDINGS_DIR, RECORDINGS_FILE, {
+    getSource: getRecordingSource,
+    quotaBytes: RECORDINGS_QUOTA_GB * 1024 ** 3
+});
+
 // Middleware
 app.use(bodyParser.json());
 
+// Directory holding a stream's segments; ABR streams report on their top rendition
+function getSegmentDir(stream) {
+    const streamDir = path.join(STREAMS_DIR, stream.id);
+    return stream.abr ? path.join(streamDir, stream.abrRenditions[0]) : streamDir;
+}
+
+// Mask credentials in source URLs before they reach the logs: user info,
+// credential query parameters and Xtream's /live/<user>/<pass>/ paths
+function redactUrls(text) {
+    return String(text)
+        .replace(/(\/\/)[^/@\s]+@/g, '$1***@')
+        .replace(/([?&](?:username|password|user|pass|token|key|auth)=)[^&\s]*/gi, '$1***')
+        .replace(/\/(live|movie|series|timeshift)\/[^/\s]+\/[^/\s]+\//g, '/$1/***/***/');
+}
+
+function hasValidApiKey(req) {
+    const provided = Buffer.from(req.get('X-API-Key') || '');
+    const expected = Buffer.from(API_KEY);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Whether a playback target names a stream or recording:<id> that exists
+function playbackTargetExists(target) {
+    const match = /^recording:(.+)$/.exec(target);
+    if (match) {
+        return !!recorder.get(match[1]);
+    }
+    return STREAM_ID_PATTERN.test(target) && activeStreams.has(target);
+}
+
+// Returns null when the request may fetch files of the given stream (or recording:<id>),
+// otherwise the reason it may not. The backend's own requests use the API key.
+function checkPlaybackAccess(req, streamId) {
+    if (!playbackTokens.enabled || (API_KEY && hasValidApiKey(req))) {
+        return null;
+    }
+    // User tokens cover every stream ("*"), which must never stretch to anything else
+    if (!playbackTargetExists(streamId)) {
+        return 'Playback token is not valid for this stream';
+    }
+    return playbackTokens.verify(req.query.token, { streamId, ip: req.ip });
+}
+
+// Guard control routes; stream files are checked against playback tokens instead
+function requireApiKey(req, res, next) {
+    if (API_KEY && !hasValidApiKey(req)) {
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+    next();
+}
+
+// Inspect the segments ffmpeg has written for a stream
+async function getSegmentInfo(stream) {
+    const streamDir = getSegmentDir(stream);
+    let files = [];
+    try {
+        files = await fs.readdir(streamDir);
+    } catch (error) {
+        return { segmentCount: 0, currentSegment: null, lastSegmentAt: null, lastSegmentAge: null };
+    }
+
+    // Segments are numbered from 0, so the highest index tells how many were produced
+    let latestIndex = -1;
+    files.forEach(file => {
+        const match = file.match(/^segment(\d+)\.ts$/);
+        if (match) {
+            latestIndex = Math.max(latestIndex, parseInt(match[1], 10));
+        }
+    });
+
+    if (latestIndex === -1) {
+        return { segmentCount: 0, currentSegment: null, lastSegmentAt: null, lastSegmentAge: null };
+    }
+
+    const currentSegment = `segment${latestIndex}.ts`;
+    try {
+        const stat = await fs.stat(path.join(streamDir, currentSegment));
+        return {
+            segmentCount: latestIndex + 1,
+            currentSegment,
+            lastSegmentAt: stat.mtime.toISOString(),
+            lastSegmentAge: (Date.now() - stat.mtimeMs) / 1000
+        };
+    } catch (error) {
+        return { segmentCount: latestIndex + 1, currentSegment, lastSegmentAt: null, lastSegmentAge: null };
+    }
+}
+
+// Newest segment and playlist modification times, which the watchdog judges progress by
+async function getProgressInfo(stream) {
+    const { lastSegmentAt } = await getSegmentInfo(stream);
+    let playlistUpdatedAt = null;
+    try {
+        playlistUpdatedAt = (await fs.stat(path.join(getSegmentDir(stream), 'playlist.m3u8'))).mtime.toISOString();
+    } catch (error) {
+        // ffmpeg has not written the playlist yet
+    }
+    return { lastSegmentAt, playlistUpdatedAt };
+}
+
+// Time range a timeshift stream can currently be played back from
+async function getTimeshiftWindow(stream) {
+    try {
+        return Timeshift.window(await fs.readFile(path.join(getSegmentDir(stream), 'playlist.m3u8'), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Get live status and ffmpeg metrics for a stream
+app.get('/stream/:streamId/status', requireApiKey, async (req, res) => {
+    const { streamId } = req.params;
+    const stream = activeStreams.get(streamId);
+
+    if (!stream) {
+        return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    const progress = streamProgress.get(streamId);
+    const segments = await getSegmentInfo(stream);
+    const timeshiftWindow = stream.timeshift ? await getTimeshiftWindow(stream) : null;
+
+    res.json({
+        id: streamId,
+        status: stream.status,
+        startTime: stream.startTime,
+        uptime: LIVE_STATUSES.includes(stream.status) ? (Date.now() - new Date(stream.startTime).getTime()) / 1000 : 0,
+        ...(progress ? progress.toJSON() : {}),
+        ...SegmentWatchdog.summarize(stream.watchdog),
+        ...segments,
+        stalled: stream.status === 'stalled',
+        segmentDuration: SEGMENT_DURATION,
+        segmentProgress: segments.lastSegmentAge !== null
+            ? Math.min(segments.lastSegmentAge / SEGMENT_DURATION, 1)
+            : 0,
+        timeshiftWindow
+    });
+});
+
 // Serve stream files
 app.get('/stream/:streamId/*', async (req, res, next) => {
     const streamId = req.params.streamId;
     const filePath = req.params[0];
-    const fullPath = path.join(STREAMS_DIR, streamId, filePath);
-    
+
+    // Only files of known streams; an ID like ".." would point at the data directory
+    const stream = STREAM_ID_PATTERN.test(streamId) ? activeStreams.get(streamId) : null;
+    if (!stream) {
+        return res.status(404).send('Not found');
+    }
+    const streamDir = path.join(STREAMS_DIR, stream.id);
+    const fullPath = path.resolve(streamDir, filePath);
+
     console.log('Stream request:', {
         streamId,
         filePath,
         fullPath
     });
+
+    // ABR variants live in subdirectories, but nothing outside the stream's own directory
+    if (!fullPath.startsWith(streamDir + path.sep)) {
+        return res.status(404).send('Not found');
+    }
+
+    // Players need a playback token
+    const token = req.query.token;
+    const reason = checkPlaybackAccess(req, streamId);
+    if (reason) {
+        return res.status(403).send(reason);
+    }
+
+    // On-demand streams start with their first viewer and count segment fetches as activity
+    if (stream.onDemand) {
+        if (filePath.endsWith('.ts')) {
+            stream.lastViewerAt = Date.now();
+        } else if (filePath.endsWith('.m3u8')) {
+            try {
+                await ensureOnDemandStream(stream);
+            } catch (error) {
+                console.error(`Error starting on-demand stream ${streamId}:`, error.message);
+                return res.status(503).send(error.message);
+            }
+        }
+    }
     
     try {
         const stat = await fs.stat(fullPath);
@@ -65,6 +290,33 @@ app.get('/stream/:streamId/*', async (req, res, next) => {
         } else if (filePath.endsWith('.ts')) {
             res.setHeader('Content-Type', 'video/mp2t');
         }
+
+        // Catch-up from ?start= within the timeshift window; master playlists hand it on to the variants
+        const start = req.query.start;
+        if ((token || start) && filePath.endsWith('.m3u8')) {
+            let playlist = await fs.readFile(fullPath, 'utf8');
+            if (start) {
+                if (!stream.timeshift) {
+                    return res.status(400).send('Timeshift is not enabled for this stream');
+                }
+                const startTime = Timeshift.parseStart(start);
+                if (startTime === null) {
+                    return res.status(400).send('start must be a date or a Unix timestamp');
+                }
+                if (playlist.includes('#EXT-X-STREAM-INF')) {
+                    playlist = PlaybackTokens.appendQuery(playlist, `start=${encodeURIComponent(start)}`);
+                } else {
+                    playlist = Timeshift.fromStart(playlist, startTime);
+                    if (!playlist) {
+                        return res.status(404).send('Start time is outside the timeshift window');
+                    }
+                }
+            }
+
+            // Carry the token over to the segment and variant URLs inside the playlist
+            res.setHeader('Cache-Control', 'no-cache');
+            return res.send(token ? PlaybackTokens.rewritePlaylist(playlist, token) : playlist);
+        }
         
         res.sendFile(fullPath);
     } catch (error) {
@@ -73,6 +325,81 @@ app.get('/stream/:streamId/*', async (req, res, next) => {
     }
 });
 
+// Start an on-demand or stopped stream if needed and wait until its playlist has a segment.
+// Concurrent viewers share the same startup.
+async function ensureOnDemandStream(stream) {
+    if (!stream.startPromise) {
+        if (LIVE_STATUSES.includes(stream.status) || stream.status === 'restarting') {
+            return;
+        }
+
+        console.log(`Starting ${stream.onDemand ? 'on-demand ' : ''}stream:`, stream.id);
+        stream.startPromise = (async () => {
+            // Drop segments left over from the previous run, unless they make up the timeshift window
+            if (!stream.timeshift) {
+                await fs.rm(path.join(STREAMS_DIR, stream.id), { recursive: true, force: true });
+            }
+            await launchStream(stream);
+            await waitForFirstSegment(stream);
+        })().finally(() => {
+            stream.startPromise = null;
+        });
+    }
+    await stream.startPromise;
+}
+
+async function waitForFirstSegment(stream) {
+    // For ABR streams wait for the master as well as a variant with segments
+    const playlistPath = path.join(getSegmentDir(stream), 'playlist.m3u8');
+    const masterPath = stream.abr ? path.join(STREAMS_DIR, stream.id, 'master.m3u8') : null;
+    const deadline = Date.now() + ON_DEMAND_START_TIMEOUT * 1000;
+
+    while (Date.now() < deadline) {
+        if (!LIVE_STATUSES.includes(stream.status)) {
+            throw new Error('Stream failed to start');
+        }
+        try {
+            const playlist = await fs.readFile(playlistPath, 'utf8');
+            if (masterPath) {
+                await fs.access(masterPath);
+            }
+            if (playlist.includes('#EXTINF')) {
+                return;
+            }
+        } catch (error) {
+            // ffmpeg has not written the playlist yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error('Timed out waiting for the stream to start');
+}
+
+// Stop on-demand streams nobody has fetched a segment from recently
+function stopIdleStreams() {
+    const now = Date.now();
+    activeStreams.forEach(stream => {
+        if (!stream.onDemand || !LIVE_STATUSES.includes(stream.status) || stream.startPromise) {
+            return;
+        }
+
+        const idleTimeout = (stream.idleTimeout || ON_DEMAND_IDLE_TIMEOUT) * 1000;
+        if (now - (stream.lastViewerAt || 0) < idleTimeout) {
+            return;
+        }
+
+        console.log('Stopping idle on-demand stream:', stream.id);
+        stopProcess(stream, { removeFiles: !stream.timeshift });
+        stream.status = 'idle';
+    });
+}
+
+// Flag streams that stopped producing segments, restarting them if configured
+function checkStalledStreams() {
+    activeStreams.forEach(stream => {
+        segmentWatchdog.check(stream).catch(error => console.error(`Error checking stream ${stream.id} for stalls:`, error));
+    });
+}
+
 // Ensure directories exist
 async function ensureDirectories() {
     try {
@@ -83,26 +410,105 @@ async function ensureDirectories() {
     }
 }
 
+// Load persisted stream definitions
+async function loadStreamDefinitions() {
+    try {
+        const data = await fs.readFile(STREAMS_FILE, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
+
+// Persist stream definitions so they survive a restart of the container
+async function saveStreamDefinitions() {
+    const definitions = Array.from(activeStreams.values()).map(({ id, url, backupUrls, profile, abr, abrRenditions, ignoreErrors, autostart, restartPolicy, onDemand, idleTimeout, timeshift }) => ({
+        id,
+        url,
+        backupUrls,
+        profile,
+        abr,
+        abrRenditions,
+        ignoreErrors,
+        autostart,
+        restartPolicy,
+        onDemand,
+        idleTimeout,
+        timeshift
+    }));
+
+    try {
+        await fs.writeFile(STREAMS_FILE, JSON.stringify(definitions, null, 2));
+    } catch (error) {
+        console.error('Error saving stream definitions:', error);
+    }
+}
+
+// Whether a source has an audio track. ABR variants pair video with audio, which
+// ffmpeg refuses for video-only sources. Assumes audio when the probe fails.
+function hasAudio(url) {
+    return new Promise(resolve => {
+        const ffprobe = spawn('ffprobe', [
+            '-v', 'error',
+            '-select_streams', 'a',
+            '-show_entries', 'stream=index',
+            '-of', 'csv=p=0',
+            '-i', url
+        ]);
+        const timer = setTimeout(() => ffprobe.kill('SIGKILL'), AUDIO_PROBE_TIMEOUT * 1000);
+        let output = '';
+        ffprobe.stdout.on('data', (data) => { output += data; });
+        ffprobe.on('error', (error) => {
+            console.error('Error probing source for audio:', redactUrls(error.message));
+        });
+        ffprobe.on('close', (code) => {
+            clearTimeout(timer);
+            resolve(code !== 0 || output.trim() !== '');
+        });
+    });
+}
+
 // Start a new stream using ffmpeg
 async function startStream(id, url, options = {}) {
-    console.log('Starting stream with options:', { id, url, options });
+    console.log('Starting stream with options:', { id, url: redactUrls(url), options });
     
     const streamDir = path.join(STREAMS_DIR, id);
     await fs.mkdir(streamDir, { recursive: true });
 
+    // ABR writes one subdirectory per rendition, named by %v, plus a master playlist
+    const abr = options.abrRenditions
+        ? TranscodeProfiles.abrArgs(options.abrRenditions, { segmentDuration: SEGMENT_DURATION, audio: await hasAudio(url) })
+        : null;
+    if (abr) {
+        await Promise.all(options.abrRenditions.map(name => fs.mkdir(path.join(streamDir, name), { recursive: true })));
+    }
+    const outputDir = abr ? path.join(streamDir, '%v') : streamDir;
+
     // Create an M3U8 playlist file
-    const playlistPath = path.join(streamDir, 'playlist.m3u8');
+    const playlistPath = path.join(outputDir, 'playlist.m3u8');
+
+    // Timeshift keeps the whole window listed as a sliding playlist with a date on every segment
+    const hlsArgs = options.timeshift
+        ? [
+            '-hls_list_size', String(Timeshift.listSize(options.timeshift, SEGMENT_DURATION)),
+            '-hls_flags', 'delete_segments+append_list+discont_start+program_date_time'
+        ]
+        : [
+            '-hls_list_size', '5',           // Keep more segments in the playlist
+            '-hls_flags', 'delete_segments+append_list+discont_start',  // Better handling of discontinuities
+            '-hls_playlist_type', 'event'    // Event type playlist for live streaming
+        ];
     
     const ffmpegArgs = [
+        '-progress', 'pipe:1',           // Machine-readable progress on stdout
+        '-nostats',                      // Progress replaces the stderr stats line
         '-i', url,
-        '-c', 'copy',                    // Copy streams without re-encoding
+        ...(abr ? abr.args : TranscodeProfiles.outputArgs(options.profile, { segmentDuration: SEGMENT_DURATION })), // Codecs from the ABR ladder or the stream's profile
         '-f', 'hls',                     // Force HLS output
-        '-hls_time', '4',                // Longer segments for stability
-        '-hls_list_size', '5',           // Keep more segments in the playlist
-        '-hls_flags', 'delete_segments+append_list+discont_start',  // Better handling of discontinuities
+        '-hls_time', String(SEGMENT_DURATION), // Longer segments for stability
+        ...hlsArgs,
         '-hls_segment_type', 'mpegts',   // Use MPEGTS segments
-        '-hls_init_time', '4',           // Initial segment duration
-        '-hls_playlist_type', 'event',   // Event type playlist for live streaming
+        '-hls_init_time', String(SEGMENT_DURATION), // Initial segment duration
         '-method', 'PUT',                // Use PUT method for better segment writing
         '-timeout', '10',                // Network timeout
         '-reconnect', '1',               // Enable reconnection
@@ -119,99 +525,256 @@ async function startStream(id, url, options = {}) {
         ffmpegArgs.push('-err_detect', 'ignore_err');
     }
 
+    if (abr) {
+        ffmpegArgs.push(
+            '-var_stream_map', abr.varStreamMap,
+            '-master_pl_name', 'master.m3u8'
+        );
+    }
+
     // Add output path
     ffmpegArgs.push(
-        '-hls_segment_filename', path.join(streamDir, 'segment%d.ts'),
+        '-hls_segment_filename', path.join(outputDir, 'segment%d.ts'),
         playlistPath
     );
 
-    console.log('FFmpeg command:', 'ffmpeg', ffmpegArgs.join(' '));
+    console.log('FFmpeg command:', 'ffmpeg', redactUrls(ffmpegArgs.join(' ')));
     const ffmpeg = spawn('ffmpeg', ffmpegArgs);
 
+    const progress = new FFmpegProgress();
+    streamProgress.set(id, progress);
+    ffmpeg.stdout.on('data', (data) => progress.update(data));
+
     let lastError = { message: '', timestamp: null };
     ffmpeg.stderr.on('data', (data) => {
-        const errorMessage = data.toString();
+        const errorMessage = redactUrls(data.toString());
         console.log(`Stream ${id} ffmpeg: ${errorMessage}`);
         lastError = { message: errorMessage, timestamp: Date.now() };
     });
 
     ffmpeg.on('error', (error) => {
-        console.error(`Stream ${id} ffmpeg error:`, error);
+        console.error(`Stream ${id} ffmpeg error:`, redactUrls(error.message));
     });
 
     ffmpeg.on('close', (code) => {
         console.log(`Stream ${id} closed with code ${code}`);
-        if (activeStreams.has(id)) {
-            const stream = activeStreams.get(id);
+        const stream = activeStreams.get(id);
+        // Ignore processes that have already been replaced by a restart
+        if (!stream || stream.process !== ffmpeg) {
+            return;
+        }
+
+        // Idle on-demand streams keep their status so the next viewer starts them again
+        if (stream.status !== 'idle') {
             stream.status = 'stopped';
-            stream.lastError = lastError;
-            console.log('Stream error details:', stream.lastError);
-            // Clean up stream directory
+        }
+        // The watchdog says why it killed the process
+        if (stream.exitReason) {
+            lastError = { message: stream.exitReason, timestamp: Date.now() };
+            stream.exitReason = null;
+        }
+        stream.lastError = lastError;
+        console.log('Stream error details:', stream.lastError);
+        // Segments stay across restarts and failovers so the timeshift window survives
+        if (stream.removeFilesOnExit) {
+            stream.removeFilesOnExit = false;
             fs.rm(streamDir, { recursive: true, force: true }).catch(console.error);
         }
+
+        // Unexpected exit, let the supervisor decide whether to restart
+        if (!stream.stopRequested && stream.supervisor) {
+            stream.supervisor.handleExit(code, lastError);
+        }
     });
 
     return ffmpeg;
 }
 
+// Returns an error message unless the value is a list of URLs
+function validateBackupUrls(backupUrls) {
+    if (backupUrls === undefined || backupUrls === null) {
+        return null;
+    }
+    if (!Array.isArray(backupUrls) || !backupUrls.every(url => typeof url === 'string' && url.trim())) {
+        return 'backupUrls must be a list of URLs';
+    }
+    return null;
+}
+
+// Build a stream record, not yet running
+function createStream({ id, url, backupUrls, profile, abr, abrRenditions, ignoreErrors, autostart, restartPolicy, onDemand, idleTimeout, timeshift }) {
+    const stream = {
+        id,
+        url,
+        // Tried in order when the source in use fails; activeUrl is the one ffmpeg reads
+        backupUrls: (backupUrls || []).map(backupUrl => backupUrl.trim()),
+        activeUrl: url,
+        status: onDemand ? 'idle' : 'starting',
+        profile: profile || TranscodeProfiles.default,
+        ignoreErrors: !!ignoreErrors,
+        autostart: autostart !== false,
+        restartPolicy: restartPolicy || null,
+        onDemand: !!onDemand,
+        idleTimeout: parseFloat(idleTimeout) || null,
+        timeshift: parseFloat(timeshift) || null,
+        lastViewerAt: null,
+        restartHistory: []
+    };
+    applyAbrSettings(stream, abr, abrRenditions);
+    stream.supervisor = new StreamSupervisor(stream, launchStream, stream.restartPolicy || {});
+    return stream;
+}
+
+// Switch a stream between single and adaptive bitrate output.
+// Throws when a requested rendition is not part of the ladder.
+function applyAbrSettings(stream, abr, renditions) {
+    stream.abrRenditions = abr ? TranscodeProfiles.abrRenditions(renditions) : null;
+    stream.abr = !!abr;
+    stream.proxyUrl = `/stream/${stream.id}/${stream.abr ? 'master.m3u8' : 'playlist.m3u8'}`;
+}
+
+// Spawn ffmpeg for a stream record and mark it running. Throws with status 409 when the
+// source's provider has no free connection; supervised restarts then try the next source.
+async function launchStream(stream) {
+    const url = stream.activeUrl || stream.url;
+    const slotError = providerLimits.check(stream, url, [...activeStreams.values()]);
+    if (slotError) {
+        const error = new Error(slotError);
+        error.status = 409;
+        throw error;
+    }
+
+    stream.stopRequested = false;
+    stream.process = await startStream(stream.id, url, {
+        ignoreErrors: stream.ignoreErrors,
+        profile: stream.profile,
+        abrRenditions: stream.abrRenditions,
+        timeshift: stream.timeshift
+    });
+    stream.status = 'running';
+    stream.startTime = new Date().toISOString();
+    // A fresh start gets a full idle period before on-demand teardown
+    stream.lastViewerAt = Date.now();
+    return stream;
+}
+
+// Kill a stream's ffmpeg process without triggering an automatic restart.
+// removeFiles deletes its segments once ffmpeg has exited.
+function stopProcess(stream, { removeFiles = false } = {}) {
+    stream.stopRequested = true;
+    if (stream.supervisor) {
+        stream.supervisor.reset();
+    }
+    if (LIVE_STATUSES.includes(stream.status)) {
+        stream.removeFilesOnExit = removeFiles;
+        stream.process.kill();
+    } else if (removeFiles) {
+        fs.rm(path.join(STREAMS_DIR, stream.id), { recursive: true, force: true }).catch(console.error);
+    }
+}
+
+// Public representation of a stream
+function serializeStream({ id, url, backupUrls, activeUrl, proxyUrl, status, startTime, profile, abr, abrRenditions, ignoreErrors, autostart, onDemand, idleTimeout, timeshift, lastViewerAt, lastError, supervisor, restartHistory, watchdog }) {
+    const activeSource = [url, ...backupUrls].indexOf(activeUrl || url);
+    return {
+        id,
+        url,
+        backupUrls,
+        // Index of the source in use, 0 for the primary URL; null when it is no longer listed
+        activeSource: activeSource === -1 ? null : activeSource,
+        activeUrl: activeUrl || url,
+        proxyUrl,
+        status,
+        startTime,
+        profile,
+        abr,
+        variants: abr
+            ? abrRenditions.map(name => ({ name, proxyUrl: `/stream/${id}/${name}/playlist.m3u8` }))
+            : [],
+        ignoreErrors,
+        autostart,
+        onDemand,
+        idleTimeout: onDemand ? idleTimeout || ON_DEMAND_IDLE_TIMEOUT : null,
+        timeshift,
+        lastViewerAt: lastViewerAt ? new Date(lastViewerAt).toISOString() : null,
+        lastError,
+        restart: supervisor ? supervisor.toJSON() : null,
+        restartHistory: restartHistory || [],
+        watchdog: SegmentWatchdog.summarize(watchdog)
+    };
+}
+
 // Start a new HLS-Proxy stream
-app.post('/start', async (req, res) => {
-    const { url, id, ignoreErrors } = req.body;
-    console.log('Received start request:', { url, id, ignoreErrors });
+app.post('/start', requireApiKey, async (req, res) => {
+    const { url, backupUrls, id, profile, abr, abrRenditions, ignoreErrors, autostart, restartPolicy, onDemand, idleTimeout, timeshift, replace } = req.body;
+    console.log('Received start request:', { url: redactUrls(url), backups: backupUrls ? backupUrls.length : 0, id, profile, abr, abrRenditions, ignoreErrors, autostart, restartPolicy, onDemand, idleTimeout, timeshift, replace });
     
     if (!url) {
         return res.status(400).json({ error: 'URL is required' });
     }
 
-    // If an ID is provided, use it (for restarts), otherwise generate new ID
+    const backupError = validateBackupUrls(backupUrls);
+    if (backupError) {
+        return res.status(400).json({ error: backupError });
+    }
+
+    if (id && !STREAM_ID_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid stream ID' });
+    }
+
+    if (profile && !TranscodeProfiles.exists(profile)) {
+        return res.status(400).json({ error: `Unknown transcoding profile "${profile}"` });
+    }
+
+    const timeshiftError = Timeshift.validate(timeshift);
+    if (timeshiftError) {
+        return res.status(400).json({ error: timeshiftError });
+    }
+
+    try {
+        TranscodeProfiles.abrRenditions(abrRenditions);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    // Use the requested ID so the playlist URL stays stable, otherwise generate one
     const streamId = id || Date.now().toString();
+
+    if (activeStreams.has(streamId) && !replace) {
+        return res.status(409).json({ error: `Stream ID "${streamId}" is already in use` });
+    }
     
     try {
-        // If stream exists, stop it first
+        // If stream exists and replacing was requested, stop it first
         if (activeStreams.has(streamId)) {
             console.log('Stopping existing stream:', streamId);
-            const existingStream = activeStreams.get(streamId);
-            if (existingStream.status === 'running') {
-                existingStream.process.kill();
-            }
+            stopProcess(activeStreams.get(streamId), { removeFiles: true });
         }
 
-        const ffmpeg = await startStream(streamId, url, { ignoreErrors });
-        const proxyUrl = `/stream/${streamId}/playlist.m3u8`;
-        
-        const stream = {
-            id: streamId,
-            url,
-            proxyUrl,
-            process: ffmpeg,
-            status: 'running',
-            startTime: new Date().toISOString(),
-            ignoreErrors: !!ignoreErrors
-        };
+        const stream = createStream({ id: streamId, url, backupUrls, profile, abr, abrRenditions, ignoreErrors, autostart, restartPolicy, onDemand, idleTimeout, timeshift });
 
         activeStreams.set(streamId, stream);
+        // On-demand streams wait for their first viewer
+        if (!stream.onDemand) {
+            await launchStream(stream);
+        }
+        await saveStreamDefinitions();
         
-        const responseData = {
-            id: streamId,
-            url,
-            proxyUrl,
-            status: 'running',
-            startTime: stream.startTime,
-            ignoreErrors: !!ignoreErrors
-        };
+        const responseData = serializeStream(stream);
         console.log('Sending response:', responseData);
         res.json(responseData);
     } catch (error) {
         console.error('Error starting stream:', error);
-        res.status(500).json({ error: error.message });
+        activeStreams.delete(streamId);
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 // Restart a stream
-app.post('/restart/:id', async (req, res) => {
+app.post('/restart/:id', requireApiKey, async (req, res) => {
     const { id } = req.params;
-    const { ignoreErrors } = req.body;
-    console.log('Received restart request:', { id, ignoreErrors });
+    const { url, backupUrls, ignoreErrors, profile, abr, abrRenditions, timeshift } = req.body;
+    console.log('Received restart request:', { id, url: url ? redactUrls(url) : undefined, backups: backupUrls ? backupUrls.length : undefined, ignoreErrors, profile, abr, abrRenditions, timeshift });
     
     const stream = activeStreams.get(id);
     
@@ -219,53 +782,82 @@ app.post('/restart/:id', async (req, res) => {
         return res.status(404).json({ error: 'Stream not found' });
     }
 
+    const backupError = validateBackupUrls(backupUrls);
+    if (backupError) {
+        return res.status(400).json({ error: backupError });
+    }
+
+    if (profile && !TranscodeProfiles.exists(profile)) {
+        return res.status(400).json({ error: `Unknown transcoding profile "${profile}"` });
+    }
+
+    const timeshiftError = Timeshift.validate(timeshift);
+    if (timeshiftError) {
+        return res.status(400).json({ error: timeshiftError });
+    }
+
+    try {
+        TranscodeProfiles.abrRenditions(abrRenditions);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
     try {
         // Stop existing stream if running
-        if (stream.status === 'running') {
+        const wasRunning = LIVE_STATUSES.includes(stream.status);
+        stopProcess(stream);
+        if (wasRunning) {
             console.log('Stopping existing stream for restart:', id);
-            stream.process.kill();
             
             // Wait for the process to fully stop
             await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            // Clean up the stream directory
-            const streamDir = path.join(STREAMS_DIR, id);
+        }
+        const previousLayout = JSON.stringify([stream.abr, stream.abrRenditions]);
+
+        // Start the stream with new settings, keeping the current ones when omitted.
+        // A manual restart goes back to the primary source.
+        if (url) {
+            stream.url = url;
+        }
+        if (backupUrls) {
+            stream.backupUrls = backupUrls.map(backupUrl => backupUrl.trim());
+        }
+        stream.activeUrl = stream.url;
+        if (ignoreErrors !== undefined) {
+            stream.ignoreErrors = !!ignoreErrors;
+        }
+        if (profile) {
+            stream.profile = profile;
+        }
+        if (timeshift !== undefined) {
+            stream.timeshift = parseFloat(timeshift) || null;
+        }
+        if (abr !== undefined || abrRenditions !== undefined) {
+            applyAbrSettings(stream, abr !== undefined ? abr : stream.abr, abrRenditions || stream.abrRenditions);
+        }
+
+        // Segments, and with them the timeshift window, are kept unless the renditions change
+        if (JSON.stringify([stream.abr, stream.abrRenditions]) !== previousLayout) {
             try {
-                await fs.rm(streamDir, { recursive: true, force: true });
+                await fs.rm(path.join(STREAMS_DIR, id), { recursive: true, force: true });
             } catch (error) {
                 console.error('Error cleaning up stream directory:', error);
             }
-            
-            // Recreate the stream directory
-            await fs.mkdir(streamDir, { recursive: true });
         }
+        await launchStream(stream);
+        await saveStreamDefinitions();
 
-        // Start the stream with new settings
-        const ffmpeg = await startStream(id, stream.url, { ignoreErrors });
-        
-        stream.process = ffmpeg;
-        stream.status = 'running';
-        stream.startTime = new Date().toISOString();
-        stream.ignoreErrors = !!ignoreErrors;
-
-        const responseData = {
-            id,
-            url: stream.url,
-            proxyUrl: stream.proxyUrl,
-            status: 'running',
-            startTime: stream.startTime,
-            ignoreErrors: stream.ignoreErrors
-        };
+        const responseData = serializeStream(stream);
         console.log('Sending restart response:', responseData);
         res.json(responseData);
     } catch (error) {
         console.error('Error restarting stream:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 // Stop a stream
-app.post('/stop/:id', async (req, res) => {
+app.post('/stop/:id', requireApiKey, async (req, res) => {
     const { id } = req.params;
     const stream = activeStreams.get(id);
     
@@ -273,14 +865,52 @@ app.post('/stop/:id', async (req, res) => {
         return res.status(404).json({ error: 'Stream not found' });
     }
 
-    stream.process.kill();
+    stopProcess(stream, { removeFiles: true });
     stream.status = 'stopped';
     
     res.json({ success: true });
 });
 
+// Replace a stream's backup sources without interrupting it; the source in use keeps
+// playing even if it is no longer listed, and the next failure moves on from the primary
+app.post('/sources/:id', requireApiKey, async (req, res) => {
+    const { id } = req.params;
+    const { backupUrls } = req.body;
+    const stream = activeStreams.get(id);
+
+    if (!stream) {
+        return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    const backupError = backupUrls ? validateBackupUrls(backupUrls) : 'backupUrls is required';
+    if (backupError) {
+        return res.status(400).json({ error: backupError });
+    }
+
+    stream.backupUrls = backupUrls.map(backupUrl => backupUrl.trim());
+    await saveStreamDefinitions();
+
+    res.json(serializeStream(stream));
+});
+
+// Enable or disable resuming a stream on boot
+app.post('/autostart/:id', requireApiKey, async (req, res) => {
+    const { id } = req.params;
+    const { autostart } = req.body;
+    const stream = activeStreams.get(id);
+
+    if (!stream) {
+        return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    stream.autostart = !!autostart;
+    await saveStreamDefinitions();
+
+    res.json(serializeStream(stream));
+});
+
 // Delete a stream
-app.delete('/stream/:id', async (req, res) => {
+app.delete('/stream/:id', requireApiKey, async (req, res) => {
     const { id } = req.params;
     const stream = activeStreams.get(id);
     
@@ -288,11 +918,13 @@ app.delete('/stream/:id', async (req, res) => {
         return res.status(404).json({ error: 'Stream not found' });
     }
 
-    if (stream.status === 'running') {
-        stream.process.kill();
-    }
+    stopProcess(stream);
     
     activeStreams.delete(id);
+    streamProgress.delete(id);
+    await saveStreamDefinitions();
+    await playbackTokens.revokeLinksForStream(id);
+    await recorder.stopForStream(id);
 
     // Clean up stream directory
     try {
@@ -305,25 +937,288 @@ app.delete('/stream/:id', async (req, res) => {
     res.json({ success: true });
 });
 
+// Replace the providers' connection limits and the provider of each source URL.
+// Body: { providers: [{ id, name, limit }], sources: { [url]: providerId } }
+app.put('/provider-limits', requireApiKey, async (req, res) => {
+    const { providers, sources } = req.body;
+    if (!Array.isArray(providers) || !sources || typeof sources !== 'object') {
+        return res.status(400).json({ error: 'providers must be a list and sources an object' });
+    }
+    try {
+        await providerLimits.update({ providers, sources });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Issue a short-lived token that plays every stream, for a logged-in user.
+// Answers { token: null } when playback tokens are disabled.
+app.post('/tokens/user', requireApiKey, (req, res) => {
+    const { userId, ip } = req.body;
+    if (!playbackTokens.enabled) {
+        return res.json({ token: null, expiresAt: null });
+    }
+    res.json(playbackTokens.createUserToken(userId || null, ip || null));
+});
+
+// Share links: tokens for a single stream that can be revoked.
+// Links carry the stream's playlist path so callers can build the full URL.
+function serializeLink(link) {
+    const stream = activeStreams.get(link.streamId);
+    return { ...link, proxyUrl: stream ? stream.proxyUrl : null };
+}
+
+app.get('/tokens/links', requireApiKey, (req, res) => {
+    res.json(playbackTokens.listLinks(req.query.streamId).map(serializeLink));
+});
+
+app.post('/tokens/links', requireApiKey, async (req, res) => {
+    const { streamId, label, expiresAt, ip, createdBy } = req.body;
+    if (!playbackTokens.enabled) {
+        return res.status(400).json({ error: 'Playback tokens are disabled, set PLAYBACK_TOKEN_SECRET or HLS_PROXY_API_KEY' });
+    }
+    if (!activeStreams.has(streamId)) {
+        return res.status(404).json({ error: 'Stream not found' });
+    }
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+        return res.status(400).json({ error: 'Invalid expiry date' });
+    }
+
+    const link = await playbackTokens.createLink({ streamId, label, expiresAt, ip, createdBy });
+    res.json(serializeLink(link));
+});
+
+app.delete('/tokens/links/:id', requireApiKey, async (req, res) => {
+    if (!await playbackTokens.revokeLink(req.params.id)) {
+        return res.status(404).json({ error: 'Link not found' });
+    }
+    res.json({ success: true });
+});
+
+// Local playlist a recording reads from. Recording counts as watching, so on-demand
+// streams stay up, and stopped streams are started for it.
+async function getRecordingSource(streamId) {
+    const stream = activeStreams.get(streamId);
+    if (!stream) {
+        throw new Error(`Stream ${streamId} no longer exists`);
+    }
+    if (!LIVE_STATUSES.includes(stream.status)) {
+        await ensureOnDemandStream(stream);
+    }
+
+    const playlist = stream.abr ? `${stream.abrRenditions[0]}/playlist.m3u8` : 'playlist.m3u8';
+    const url = `http://127.0.0.1:${PORT}/stream/${streamId}/${playlist}`;
+    if (API_KEY) {
+        return { url, headers: `X-API-Key: ${API_KEY}\r\n` };
+    }
+    // Without an API key the recorder reads like a player. Its token expires with the
+    // user tokens; the recorder's retry after the 403 fetches a new one.
+    return {
+        url: playbackTokens.enabled ? `${url}?token=${encodeURIComponent(playbackTokens.createStreamToken(streamId))}` : url,
+        headers: null
+    };
+}
+
+function sendRecordingError(res, error) {
+    res.status(error.status || 500).json({ error: error.message });
+}
+
+app.get('/recordings', requireApiKey, async (req, res) => {
+    try {
+        const recordings = recorder.list().filter(recording => !req.query.streamId || recording.streamId === req.query.streamId);
+        res.json(await Promise.all(recordings.map(recording => recorder.serialize(recording))));
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+// Disk space used by recordings and the configured quota
+app.get('/recordings/usage', requireApiKey, async (req, res) => {
+    try {
+        res.json(await recorder.getQuota());
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+// Record a stream now, or from startAt, for `duration` seconds, until endAt or until stopped
+app.post('/recordings', requireApiKey, async (req, res) => {
+    const { streamId, title, format, startAt, duration, endAt } = req.body;
+    if (!activeStreams.has(streamId)) {
+        return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    try {
+        const recording = await recorder.create({ streamId, title, format, startAt, duration, endAt });
+        res.json(await recorder.serialize(recording));
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+// Stop a running recording, or cancel a scheduled one
+app.post('/recordings/:id/stop', requireApiKey, async (req, res) => {
+    try {
+        const recording = await recorder.stop(req.params.id);
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.json(await recorder.serialize(recording));
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+app.delete('/recordings/:id', requireApiKey, async (req, res) => {
+    try {
+        if (!await recorder.remove(req.params.id)) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendRecordingError(res, error);
+    }
+});
+
+// Download a recording as one file by joining its segments
+app.get('/recordings/:id/download', async (req, res) => {
+    const recording = recorder.get(req.params.id);
+    if (!recording) {
+        return res.status(404).send('Not found');
+    }
+    const reason = checkPlaybackAccess(req, `recording:${recording.id}`);
+    if (reason) {
+        return res.status(403).send(reason);
+    }
+
+    const dir = recorder.getDir(recording);
+    const { files } = await recorder.getFiles(recording);
+    const sizes = await Promise.all(files.map(file => fs.stat(path.join(dir, file)).then(stat => stat.size, () => null)));
+    const available = files.filter((file, index) => sizes[index] !== null);
+    if (available.length === 0) {
+        return res.status(404).send('Nothing recorded yet');
+    }
+
+    const filename = `${recording.title.replace(/[^\w .-]+/g, '_')}.${recording.format}`;
+    res.setHeader('Content-Type', Recorder.contentType(recording));
+    res.setHeader('Content-Length', sizes.reduce((total, size) => total + (size || 0), 0));
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    try {
+        for (const file of available) {
+            if (res.destroyed) return;
+            await new Promise((resolve, reject) => {
+                const input = createReadStream(path.join(dir, file));
+                input.on('error', reject);
+                input.on('end', resolve);
+                input.pipe(res, { end: false });
+            });
+        }
+        res.end();
+    } catch (error) {
+        console.error(`Error sending recording ${recording.id}:`, error.message);
+        res.destroy();
+    }
+});
+
+// Recording playlist and segments, for HLS playback while or after recording
+app.get('/recordings/:id/:file', async (req, res) => {
+    const recording = recorder.get(req.params.id);
+    if (!recording || !/^[\w.-]+$/.test(req.params.file)) {
+        return res.status(404).send('Not found');
+    }
+    const reason = checkPlaybackAccess(req, `recording:${recording.id}`);
+    if (reason) {
+        return res.status(403).send(reason);
+    }
+
+    const fullPath = path.join(recorder.getDir(recording), req.params.file);
+    try {
+        if (req.params.file.endsWith('.m3u8')) {
+            const playlist = await fs.readFile(fullPath, 'utf8');
+            res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+            res.setHeader('Cache-Control', 'no-cache');
+            return res.send(req.query.token ? PlaybackTokens.rewritePlaylist(playlist, req.query.token) : playlist);
+        }
+        if (req.params.file.endsWith('.m4s')) {
+            res.setHeader('Content-Type', 'video/iso.segment');
+        }
+        res.sendFile(fullPath, error => {
+            if (error && !res.headersSent) {
+                res.status(404).send('Not found');
+            }
+        });
+    } catch (error) {
+        res.status(404).send('Not found');
+    }
+});
+
+// List the available transcoding profiles
+app.get('/profiles', requireApiKey, (req, res) => {
+    res.json(TranscodeProfiles.list());
+});
+
 // Get all active streams
-app.get('/streams', (req, res) => {
-    const streams = Array.from(activeStreams.values()).map(({ id, url, proxyUrl, status, startTime, ignoreErrors, lastError }) => ({
-        id,
-        url,
-        proxyUrl,
-        status,
-        startTime,
-        ignoreErrors,
-        lastError
-    }));
+app.get('/streams', requireApiKey, (req, res) => {
+    const streams = Array.from(activeStreams.values()).map(serializeStream);
     
     res.json(streams);
 });
 
-// Initialize directories
-ensureDirectories();
+// Recreate persisted streams, starting those flagged for autostart
+async function resumeStreams() {
+    const definitions = await loadStreamDefinitions();
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`HLS-Proxy wrapper running on port ${PORT}`);
-});
+    for (const definition of definitions) {
+        const stream = createStream(definition);
+        activeStreams.set(stream.id, stream);
+
+        if (stream.onDemand) {
+            continue;
+        }
+
+        if (!stream.autostart) {
+            stream.status = 'stopped';
+            continue;
+        }
+
+        console.log('Resuming stream:', stream.id);
+        try {
+            // Drop segments left over from the previous run, unless they make up the timeshift window
+            if (!stream.timeshift) {
+                await fs.rm(path.join(STREAMS_DIR, stream.id), { recursive: true, force: true });
+            }
+            await launchStream(stream);
+        } catch (error) {
+            console.error(`Error resuming stream ${stream.id}:`, error);
+            stream.status = 'stopped';
+        }
+    }
+}
+
+if (!API_KEY && !ALLOW_NO_API_KEY) {
+    console.error('HLS_PROXY_API_KEY is not set. Set it for both services, or HLS_PROXY_ALLOW_NO_API_KEY=true to leave the control routes open.');
+    process.exit(1);
+}
+
+// Initialize directories and resume streams before accepting requests
+ensureDirectories()
+    .then(() => playbackTokens.load())
+    .then(() => providerLimits.load())
+    .then(resumeStreams)
+    .then(() => recorder.load())
+    .then(() => {
+        setInterval(stopIdleStreams, 5000);
+        setInterval(checkStalledStreams, 5000);
+        setInterval(() => {
+            recorder.tick().catch(error => console.error('Error checking recordings:', error));
+        }, 5000);
+        app.listen(PORT, () => {
+            console.log(`HLS-Proxy wrapper running on port ${PORT}`);
+            if (!API_KEY) {
+                console.warn('HLS_PROXY_API_KEY is not set, control routes are open to anyone on the network');
+            }
+            recorder.resume().catch(error => console.error('Error resuming recordings:', error));
+        });
+    });
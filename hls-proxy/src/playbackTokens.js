@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+// Signed playback tokens checked by the stream-file route.
+// "user" tokens are short-lived and cover every stream; "link" tokens are
+// share links for one stream, stored so they can be listed and revoked;
+// "stream" tokens let HLS-Proxy's own recorder read one stream.
+class PlaybackTokens {
+    constructor(secret, filePath, { userTokenTtlMs }) {
+        this.secret = secret;
+        this.filePath = filePath;
+        this.userTokenTtlMs = userTokenTtlMs;
+        this.links = [];
+    }
+
+    // Without a secret tokens are neither issued nor required
+    get enabled() {
+        return !!this.secret;
+    }
+
+    async load() {
+        try {
+            const data = await fs.readFile(this.filePath, 'utf8');
+            this.links = JSON.parse(data);
+        } catch (error) {
+            this.links = [];
+        }
+    }
+
+    async save() {
+        await fs.writeFile(this.filePath, JSON.stringify(this.links, null, 2));
+    }
+
+    sign(payload) {
+        const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const signature = crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+        return `${body}.${signature}`;
+    }
+
+    createUserToken(userId, ip = null) {
+        const expiresAt = Date.now() + this.userTokenTtlMs;
+        return {
+            token: this.sign({ type: 'user', id: userId, stream: '*', exp: expiresAt, ip }),
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+    }
+
+    createStreamToken(streamId) {
+        return this.sign({ type: 'stream', stream: streamId, exp: Date.now() + this.userTokenTtlMs });
+    }
+
+    async createLink({ streamId, label, expiresAt, ip, createdBy }) {
+        const link = {
+            id: crypto.randomBytes(8).toString('hex'),
+            streamId,
+            label: label || null,
+            expiresAt: expiresAt || null,
+            ip: ip ? PlaybackTokens.normalizeIp(ip) : null,
+            createdBy: createdBy || null,
+            createdAt: new Date().toISOString()
+        };
+        link.token = this.sign({
+            type: 'link',
+            id: link.id,
+            stream: streamId,
+            exp: link.expiresAt ? new Date(link.expiresAt).getTime() : null,
+            ip: link.ip
+        });
+
+        this.links.push(link);
+        await this.save();
+        return link;
+    }
+
+    listLinks(streamId) {
+        return this.links.filter(link => !streamId || link.streamId === streamId);
+    }
+
+    async revokeLink(id) {
+        const count = this.links.length;
+        this.links = this.links.filter(link => link.id !== id);
+        await this.save();
+        return this.links.length !== count;
+    }
+
+    async revokeLinksForStream(streamId) {
+        this.links = this.links.filter(link => link.streamId !== streamId);
+        await this.save();
+    }
+
+    // Returns null when the token grants access, otherwise the reason it does not
+    verify(token, { streamId, ip }) {
+        const [body, signature] = String(token || '').split('.');
+        if (!body || !signature) {
+            return 'Playback token required';
+        }
+
+        const expected = crypto.createHmac('sha256', this.secret).update(body).digest();
+        const provided = Buffer.from(signature, 'base64url');
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return 'Invalid playback token';
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+        } catch (error) {
+            return 'Invalid playback token';
+        }
+
+        if (payload.exp && payload.exp < Date.now()) {
+            return 'Playback token expired';
+        }
+        if (payload.stream !== '*' && payload.stream !== streamId) {
+            return 'Playback token is not valid for this stream';
+        }
+        if (payload.ip && payload.ip !== PlaybackTokens.normalizeIp(ip)) {
+            return 'Playback token is bound to another address';
+        }
+        if (payload.type === 'link' && !this.links.some(link => link.id === payload.id)) {
+            return 'Playback link has been revoked';
+        }
+        return null;
+    }
+
+    // Append the token to every URI line of a playlist, so segments and
+    // variant playlists are requested with it too
+    static rewritePlaylist(content, token) {
+        return PlaybackTokens.appendQuery(content, `token=${encodeURIComponent(token)}`);
+    }
+
+    // Append a query string to every URI in a playlist
+    static appendQuery(content, query) {
+        const withQuery = uri => `${uri}${uri.includes('?') ? '&' : '?'}${query}`;
+        return content
+            .split('\n')
+            .map(line => {
+                const trimmed = line.trim();
+                if (!trimmed) return line;
+                // Tags such as #EXT-X-MAP reference files through a URI attribute
+                if (trimmed.startsWith('#')) {
+                    return line.replace(/URI="([^"]+)"/, (match, uri) => `URI="${withQuery(uri)}"`);
+                }
+                return withQuery(trimmed);
+            })
+            .join('\n');
+    }
+
+    // Express reports IPv4 clients as ::ffff:a.b.c.d on dual-stack sockets
+    static normalizeIp(ip) {
+        return String(ip || '').replace(/^::ffff:/, '');
+    }
+}
+
+module.exports = PlaybackTokens;
@@ -0,0 +1,59 @@
+const fs = require('fs').promises;
+
+// Stream states holding a connection to the upstream provider. Streams waiting to
+// restart hold none, they are checked again when they reconnect.
+const CONNECTED_STATUSES = ['starting', 'running', 'stalled'];
+
+// Concurrent connection limits of upstream providers, checked whenever ffmpeg is
+// about to connect to a source. The backend knows providers and their channels and
+// sends the limits with the provider of each source URL its streams use.
+class ProviderLimits {
+    constructor(filePath) {
+        this.filePath = filePath;
+        // Provider ID -> { name, limit }, limit null for none
+        this.providers = {};
+        // Source URL -> provider ID
+        this.sources = {};
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            this.providers = data.providers || {};
+            this.sources = data.sources || {};
+        } catch (error) {
+            this.providers = {};
+            this.sources = {};
+        }
+    }
+
+    // Replace the known limits and sources; providers is a list of { id, name, limit }
+    async update({ providers, sources }) {
+        this.providers = {};
+        providers.forEach(({ id, name, limit }) => {
+            this.providers[id] = { name: name || id, limit: limit > 0 ? limit : null };
+        });
+        this.sources = { ...sources };
+        await fs.writeFile(this.filePath, JSON.stringify({ providers: this.providers, sources: this.sources }, null, 2));
+    }
+
+    // Returns null when `stream` may connect to `url`, otherwise the reason it may not.
+    // The stream itself is left out of the count, a restart reuses its own slot.
+    check(stream, url, streams) {
+        const providerId = this.sources[url];
+        const provider = providerId ? this.providers[providerId] : null;
+        if (!provider || provider.limit === null) {
+            return null;
+        }
+
+        const inUse = streams.filter(other => other !== stream
+            && CONNECTED_STATUSES.includes(other.status)
+            && this.sources[other.activeUrl || other.url] === providerId);
+        if (inUse.length < provider.limit) {
+            return null;
+        }
+        return `${provider.name} allows ${provider.limit} connection(s) at once and all are in use by: ${inUse.map(other => other.id).join(', ')}`;
+    }
+}
+
+module.exports = ProviderLimits;
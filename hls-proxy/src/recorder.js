@@ -0,0 +1,431 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Container formats: recordings are written as HLS so they can be played back
+// while recording, and their segments join into a single downloadable file
+const FORMATS = {
+    ts: { segmentType: 'mpegts', extension: 'ts', contentType: 'video/mp2t' },
+    mp4: { segmentType: 'fmp4', extension: 'm4s', contentType: 'video/mp4' }
+};
+const SEGMENT_DURATION = 6;
+const INIT_FILE = 'init.mp4';
+const PLAYLIST_FILE = 'playlist.m3u8';
+// Wait before restarting a recording whose ffmpeg exited early
+const RETRY_DELAY_MS = 5000;
+// Give up after this many runs in a row ended within STABLE_RUN_MS
+const MAX_FAILURES = 5;
+const STABLE_RUN_MS = 30000;
+
+// Records streams to the data directory with a separate ffmpeg process per
+// recording. Recordings start now or at a scheduled time, run for a duration
+// or until stopped, and are kept within a disk quota.
+class Recorder {
+    constructor(dir, filePath, { getSource, quotaBytes = 0 }) {
+        this.dir = dir;
+        this.filePath = filePath;
+        // streamId -> { url, headers } of the playlist to record, starting the stream if needed
+        this.getSource = getSource;
+        this.quotaBytes = quotaBytes;
+        this.recordings = new Map();
+        // Recording ID -> { process, startedAt, stopRequested, stopReason }
+        this.processes = new Map();
+        this.retryTimers = new Map();
+    }
+
+    static get formats() {
+        return Object.keys(FORMATS);
+    }
+
+    async load() {
+        await fs.mkdir(this.dir, { recursive: true });
+        let recordings = [];
+        try {
+            recordings = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            recordings = [];
+        }
+        recordings.forEach(recording => this.recordings.set(recording.id, recording));
+    }
+
+    // Recordings cut off by a restart carry on where they stopped, unless their time is up.
+    // Call once the server accepts requests, as recordings read the local stream playlists.
+    async resume() {
+        for (const recording of this.list()) {
+            if (recording.status !== 'recording') continue;
+            if (recording.endAt && new Date(recording.endAt).getTime() <= Date.now()) {
+                await this.finish(recording, 'completed');
+            } else {
+                console.log('Resuming recording:', recording.id);
+                this.launch(recording).catch(error => {
+                    console.error(`Error resuming recording ${recording.id}:`, error);
+                });
+            }
+        }
+    }
+
+    async save() {
+        await fs.writeFile(this.filePath, JSON.stringify(Array.from(this.recordings.values()), null, 2));
+    }
+
+    get(id) {
+        return this.recordings.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.recordings.values())
+            .sort((a, b) => new Date(b.startAt).getTime() - new Date(a.startAt).getTime());
+    }
+
+    getDir(recording) {
+        return path.join(this.dir, recording.id);
+    }
+
+    // Create a recording; without startAt (or with one in the past) it starts right away.
+    // Throws with a `status` for requests that cannot be honoured.
+    async create({ streamId, title, format = 'ts', startAt, duration, endAt }) {
+        if (!FORMATS[format]) {
+            throw Recorder.error(400, `Format must be one of: ${Recorder.formats.join(', ')}`);
+        }
+
+        const start = startAt ? new Date(startAt) : new Date();
+        if (isNaN(start.getTime())) {
+            throw Recorder.error(400, 'Invalid start time');
+        }
+
+        let end = null;
+        if (duration !== undefined && duration !== null) {
+            const seconds = Number(duration);
+            if (!Number.isFinite(seconds) || seconds <= 0) {
+                throw Recorder.error(400, 'Duration must be a positive number of seconds');
+            }
+            end = new Date(start.getTime() + seconds * 1000);
+        } else if (endAt) {
+            end = new Date(endAt);
+            if (isNaN(end.getTime()) || end <= start) {
+                throw Recorder.error(400, 'End time must be after the start time');
+            }
+        }
+        if (end && end.getTime() <= Date.now()) {
+            throw Recorder.error(400, 'The recording would end in the past');
+        }
+
+        const recording = {
+            id: crypto.randomBytes(8).toString('hex'),
+            streamId,
+            title: title || `${streamId} ${start.toISOString()}`,
+            format,
+            status: 'scheduled',
+            startAt: start.toISOString(),
+            endAt: end ? end.toISOString() : null,
+            startedAt: null,
+            finishedAt: null,
+            size: 0,
+            duration: 0,
+            interruptions: 0,
+            error: null,
+            createdAt: new Date().toISOString()
+        };
+
+        if (start.getTime() <= Date.now()) {
+            await this.checkQuota();
+            this.recordings.set(recording.id, recording);
+            await this.start(recording);
+        } else {
+            this.recordings.set(recording.id, recording);
+            await this.save();
+        }
+        return recording;
+    }
+
+    // Refuse new recordings once the quota is used up
+    async checkQuota() {
+        if (this.quotaBytes && await this.getUsage() >= this.quotaBytes) {
+            throw Recorder.error(507, 'Recording quota reached, delete recordings to free space');
+        }
+    }
+
+    async start(recording) {
+        recording.status = 'recording';
+        recording.startedAt = new Date().toISOString();
+        recording.error = null;
+        await fs.mkdir(this.getDir(recording), { recursive: true });
+        await this.save();
+        await this.launch(recording);
+    }
+
+    // Spawn ffmpeg for a recording, appending to whatever an earlier run wrote
+    async launch(recording) {
+        this.retryTimers.delete(recording.id);
+        let source;
+        try {
+            source = await this.getSource(recording.streamId);
+        } catch (error) {
+            return this.handleExit(recording, null, error.message);
+        }
+        if (this.recordings.get(recording.id) !== recording || recording.status !== 'recording') {
+            return;
+        }
+
+        const format = FORMATS[recording.format];
+        const dir = this.getDir(recording);
+        const args = [
+            '-nostats',
+            '-loglevel', 'warning',
+            ...(source.headers ? ['-headers', source.headers] : []),
+            '-i', source.url,
+            '-map', '0:v?',
+            '-map', '0:a?',
+            '-c', 'copy'
+        ];
+        if (recording.endAt) {
+            const remaining = (new Date(recording.endAt).getTime() - Date.now()) / 1000;
+            args.push('-t', String(Math.max(remaining, 1)));
+        }
+        args.push(
+            '-f', 'hls',
+            '-hls_time', String(SEGMENT_DURATION),
+            '-hls_list_size', '0',
+            '-hls_playlist_type', 'event',
+            '-hls_segment_type', format.segmentType,
+            // Continue numbering after an interruption, marking the gap
+            '-hls_flags', 'append_list+discont_start',
+            '-hls_segment_filename', path.join(dir, `segment%d.${format.extension}`)
+        );
+        if (recording.format === 'mp4') {
+            args.push('-hls_fmp4_init_filename', INIT_FILE);
+        }
+        args.push(path.join(dir, PLAYLIST_FILE));
+
+        console.log(`Recording ${recording.id} of stream ${recording.streamId} started`);
+        const ffmpeg = spawn('ffmpeg', args);
+        const entry = { process: ffmpeg, startedAt: Date.now(), stopRequested: false };
+        this.processes.set(recording.id, entry);
+
+        let lastError = '';
+        ffmpeg.stderr.on('data', (data) => {
+            lastError = data.toString().trim();
+            console.log(`Recording ${recording.id} ffmpeg: ${lastError}`);
+        });
+        ffmpeg.on('error', (error) => {
+            // The error's spawnargs hold the source URL and API key, so log the message only
+            console.error(`Recording ${recording.id} ffmpeg error:`, error.message);
+        });
+        ffmpeg.on('close', (code) => {
+            console.log(`Recording ${recording.id} closed with code ${code}`);
+            if (this.processes.get(recording.id) !== entry) return;
+            this.processes.delete(recording.id);
+            const done = entry.stopRequested
+                ? this.finish(recording, 'completed', entry.stopReason || null)
+                : this.handleExit(recording, code, lastError, Date.now() - entry.startedAt);
+            done.catch(error => {
+                console.error(`Error finishing recording ${recording.id}:`, error);
+            });
+        });
+    }
+
+    // Decide what follows an exit nobody asked for: done, a retry, or failure
+    async handleExit(recording, code, lastError, ranFor = 0) {
+        if (this.recordings.get(recording.id) !== recording || recording.status !== 'recording') {
+            return;
+        }
+
+        // ffmpeg ends by itself when the duration given with -t is up
+        if (recording.endAt && new Date(recording.endAt).getTime() - Date.now() < 2000) {
+            return this.finish(recording, 'completed');
+        }
+
+        recording.failures = ranFor >= STABLE_RUN_MS ? 1 : (recording.failures || 0) + 1;
+        recording.interruptions++;
+        recording.error = lastError || `ffmpeg exited with code ${code}`;
+        if (recording.failures >= MAX_FAILURES) {
+            return this.finish(recording, 'failed', recording.error);
+        }
+
+        console.log(`Recording ${recording.id} interrupted, retrying in ${RETRY_DELAY_MS / 1000}s`);
+        await this.save();
+        this.retryTimers.set(recording.id, setTimeout(() => {
+            this.launch(recording).catch(error => {
+                console.error(`Error retrying recording ${recording.id}:`, error);
+            });
+        }, RETRY_DELAY_MS));
+    }
+
+    // Close the playlist so players treat it as VOD, and store the final size and length
+    async finish(recording, status, error = null) {
+        clearTimeout(this.retryTimers.get(recording.id));
+        this.retryTimers.delete(recording.id);
+
+        const playlistPath = path.join(this.getDir(recording), PLAYLIST_FILE);
+        try {
+            const playlist = await fs.readFile(playlistPath, 'utf8');
+            if (!playlist.includes('#EXT-X-ENDLIST')) {
+                await fs.appendFile(playlistPath, `${playlist.endsWith('\n') ? '' : '\n'}#EXT-X-ENDLIST\n`);
+            }
+        } catch (readError) {
+            // Nothing was recorded
+        }
+
+        const { size, duration } = await this.measure(recording);
+        Object.assign(recording, { status, error, size, duration, finishedAt: new Date().toISOString() });
+        delete recording.failures;
+        console.log(`Recording ${recording.id} ${status}`);
+        await this.save();
+    }
+
+    // Stop a running recording or cancel a scheduled one
+    async stop(id) {
+        const recording = this.recordings.get(id);
+        if (!recording) return null;
+
+        if (recording.status === 'scheduled') {
+            recording.status = 'cancelled';
+            await this.save();
+        } else if (recording.status === 'recording') {
+            const entry = this.processes.get(id);
+            if (entry) {
+                this.terminate(id, entry);
+            } else {
+                await this.finish(recording, 'completed');
+            }
+        }
+        return recording;
+    }
+
+    // ffmpeg finishes the current segment and exits on SIGINT; the close handler
+    // then completes the recording. Processes that hang are killed.
+    terminate(id, entry) {
+        entry.stopRequested = true;
+        entry.process.kill('SIGINT');
+        setTimeout(() => {
+            if (this.processes.get(id) === entry) {
+                entry.process.kill('SIGKILL');
+            }
+        }, 10000);
+    }
+
+    async remove(id) {
+        const recording = this.recordings.get(id);
+        if (!recording) return false;
+
+        this.recordings.delete(id);
+        clearTimeout(this.retryTimers.get(id));
+        this.retryTimers.delete(id);
+        const entry = this.processes.get(id);
+        if (entry) {
+            this.processes.delete(id);
+            entry.process.kill('SIGKILL');
+        }
+        await fs.rm(this.getDir(recording), { recursive: true, force: true });
+        await this.save();
+        return true;
+    }
+
+    // A deleted stream's recordings end: running ones are completed, scheduled ones cancelled
+    async stopForStream(streamId) {
+        const pending = this.list().filter(recording => recording.streamId === streamId && ['scheduled', 'recording'].includes(recording.status));
+        for (const recording of pending) {
+            await this.stop(recording.id);
+        }
+    }
+
+    // Called periodically: start due recordings, end finished ones, enforce the quota
+    async tick() {
+        const now = Date.now();
+        for (const recording of this.recordings.values()) {
+            if (recording.status === 'scheduled' && new Date(recording.startAt).getTime() <= now) {
+                try {
+                    await this.checkQuota();
+                    await this.start(recording);
+                } catch (error) {
+                    await this.finish(recording, 'failed', error.message);
+                }
+            } else if (recording.status === 'recording' && recording.endAt && new Date(recording.endAt).getTime() <= now - 5000) {
+                // ffmpeg normally stops itself through -t; this catches a hung process
+                await this.stop(recording.id);
+            }
+        }
+
+        if (this.quotaBytes && this.processes.size > 0 && await this.getUsage() >= this.quotaBytes) {
+            console.warn('Recording quota reached, stopping active recordings');
+            this.processes.forEach((entry, id) => {
+                if (entry.stopRequested) return;
+                entry.stopReason = 'Recording quota reached';
+                this.terminate(id, entry);
+            });
+        }
+    }
+
+    // Bytes used by all recordings
+    async getUsage() {
+        let total = 0;
+        for (const recording of this.recordings.values()) {
+            total += recording.status === 'recording' ? (await this.measure(recording)).size : recording.size || 0;
+        }
+        return total;
+    }
+
+    // Files of a recording in playback order, with the init segment first for MP4
+    async getFiles(recording) {
+        let playlist;
+        try {
+            playlist = await fs.readFile(path.join(this.getDir(recording), PLAYLIST_FILE), 'utf8');
+        } catch (error) {
+            return { files: [], duration: 0 };
+        }
+
+        const files = recording.format === 'mp4' ? [INIT_FILE] : [];
+        let duration = 0;
+        playlist.split('\n').forEach(line => {
+            const extinf = line.match(/^#EXTINF:([\d.]+)/);
+            if (extinf) {
+                duration += parseFloat(extinf[1]);
+            } else if (line && !line.startsWith('#')) {
+                files.push(line.trim());
+            }
+        });
+        return { files, duration };
+    }
+
+    async measure(recording) {
+        const { files, duration } = await this.getFiles(recording);
+        let size = 0;
+        for (const file of files) {
+            try {
+                size += (await fs.stat(path.join(this.getDir(recording), file))).size;
+            } catch (error) {
+                // Segment not written yet
+            }
+        }
+        return { size, duration: Math.round(duration) };
+    }
+
+    // Public representation; sizes of active recordings are measured on the fly
+    async serialize(recording) {
+        const { failures, ...fields } = recording;
+        const measured = recording.status === 'recording' ? await this.measure(recording) : {};
+        return {
+            ...fields,
+            ...measured,
+            playlistUrl: `/recordings/${recording.id}/${PLAYLIST_FILE}`,
+            downloadUrl: `/recordings/${recording.id}/download`
+        };
+    }
+
+    async getQuota() {
+        return { usedBytes: await this.getUsage(), quotaBytes: this.quotaBytes || null };
+    }
+
+    static contentType(recording) {
+        return FORMATS[recording.format].contentType;
+    }
+
+    static error(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+}
+
+module.exports = Recorder;
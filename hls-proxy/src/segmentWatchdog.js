@@ -0,0 +1,83 @@
+// Seconds without a new segment or playlist update before a stream counts as stalled; 0 disables
+const STALL_TIMEOUT = process.env.STALL_TIMEOUT !== undefined ? parseFloat(process.env.STALL_TIMEOUT) || 0 : 30;
+// Kill stalled ffmpeg processes so the supervisor restarts them or fails over
+const STALL_RESTART = process.env.STALL_RESTART !== 'false';
+
+// Flags streams whose ffmpeg is alive but has stopped writing segments. Progress is
+// judged from the newest segment and the playlist's modification times.
+class SegmentWatchdog {
+    // inspect(stream) resolves to { lastSegmentAt, playlistUpdatedAt } as ISO dates or null
+    constructor(inspect, { timeoutSeconds = STALL_TIMEOUT, restart = STALL_RESTART } = {}) {
+        this.inspect = inspect;
+        this.timeoutMs = timeoutSeconds * 1000;
+        this.restart = restart;
+    }
+
+    get enabled() {
+        return this.timeoutMs > 0;
+    }
+
+    // Watchdog counters kept on the stream record across restarts
+    static state(stream) {
+        if (!stream.watchdog) {
+            stream.watchdog = { stallCount: 0, stalledSince: null, lastStallAt: null, lastSegmentAt: null, playlistUpdatedAt: null };
+        }
+        return stream.watchdog;
+    }
+
+    async check(stream) {
+        if (!this.enabled || !['running', 'stalled'].includes(stream.status) || !stream.process) {
+            return;
+        }
+
+        const state = SegmentWatchdog.state(stream);
+        const { lastSegmentAt, playlistUpdatedAt } = await this.inspect(stream);
+        state.lastSegmentAt = lastSegmentAt;
+        state.playlistUpdatedAt = playlistUpdatedAt;
+
+        // A fresh start gets a full timeout to write its first segment
+        const lastProgress = Math.max(
+            new Date(stream.startTime).getTime(),
+            ...[lastSegmentAt, playlistUpdatedAt].filter(Boolean).map(time => new Date(time).getTime())
+        );
+        const gap = Date.now() - lastProgress;
+
+        if (gap < this.timeoutMs) {
+            if (stream.status === 'stalled') {
+                console.log(`Stream ${stream.id} is writing segments again`);
+                stream.status = 'running';
+            }
+            state.stalledSince = null;
+            return;
+        }
+        if (stream.status === 'stalled') {
+            return;
+        }
+
+        state.stallCount++;
+        state.stalledSince = new Date(lastProgress).toISOString();
+        state.lastStallAt = new Date().toISOString();
+        stream.status = 'stalled';
+        const message = `Stalled, no new segments for ${Math.round(gap / 1000)}s`;
+        console.warn(`Stream ${stream.id}: ${message}`);
+
+        // A hung ffmpeg may ignore SIGTERM
+        if (this.restart) {
+            stream.exitReason = message;
+            stream.process.kill('SIGKILL');
+        }
+    }
+
+    // Counters for API responses; streams never checked report none
+    static summarize(state) {
+        return {
+            stallCount: state ? state.stallCount : 0,
+            stalledSince: state ? state.stalledSince : null,
+            lastStallAt: state ? state.lastStallAt : null,
+            lastSegmentAt: state ? state.lastSegmentAt : null,
+            playlistUpdatedAt: state ? state.playlistUpdatedAt : null
+        };
+    }
+}
+
+module.exports = SegmentWatchdog;
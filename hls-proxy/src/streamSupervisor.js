@@ -0,0 +1,170 @@
+// Default retry policy, overridable through the environment or per stream
+const DEFAULT_POLICY = {
+    enabled: process.env.RESTART_ENABLED !== 'false',
+    maxAttempts: parseInt(process.env.RESTART_MAX_ATTEMPTS, 10) || 5,
+    initialDelayMs: parseInt(process.env.RESTART_INITIAL_DELAY_MS, 10) || 2000,
+    maxDelayMs: parseInt(process.env.RESTART_MAX_DELAY_MS, 10) || 60000,
+    backoffFactor: parseFloat(process.env.RESTART_BACKOFF_FACTOR) || 2,
+    // A run lasting at least this long counts as healthy and resets the attempt counter
+    stableAfterMs: parseInt(process.env.RESTART_STABLE_AFTER_MS, 10) || 60000
+};
+
+const MAX_HISTORY = 20;
+
+// Restarts a stream's ffmpeg process with exponential backoff after unexpected exits.
+// Streams with backup sources switch to the next source first and only back off once
+// every source has failed in a row.
+class StreamSupervisor {
+    constructor(stream, restart, policy = {}) {
+        this.stream = stream;
+        this.restart = restart;
+        this.policy = StreamSupervisor.normalizePolicy(policy);
+        this.attempts = 0;
+        // Sources switched to since the last healthy run or backoff
+        this.failovers = 0;
+        this.state = 'idle';
+        this.nextAttemptAt = null;
+        this.timer = null;
+
+        if (!Array.isArray(stream.restartHistory)) {
+            stream.restartHistory = [];
+        }
+    }
+
+    static normalizePolicy(policy = {}) {
+        const merged = { ...DEFAULT_POLICY };
+        Object.keys(DEFAULT_POLICY).forEach(key => {
+            if (policy[key] === undefined || policy[key] === null) return;
+            merged[key] = key === 'enabled' ? !!policy[key] : Number(policy[key]);
+        });
+        merged.maxAttempts = Math.max(0, Math.floor(merged.maxAttempts));
+        return merged;
+    }
+
+    // Delay before the given (1-based) attempt
+    getDelay(attempt) {
+        const delay = this.policy.initialDelayMs * Math.pow(this.policy.backoffFactor, attempt - 1);
+        return Math.min(delay, this.policy.maxDelayMs);
+    }
+
+    // The primary URL followed by the backups, in order
+    static sources(stream) {
+        return [stream.url, ...(stream.backupUrls || [])];
+    }
+
+    // Point the stream at the source after the one that failed, wrapping around
+    switchSource() {
+        const sources = StreamSupervisor.sources(this.stream);
+        const current = sources.indexOf(this.stream.activeUrl || this.stream.url);
+        const next = (current + 1) % sources.length;
+        this.stream.activeUrl = sources[next];
+        return next;
+    }
+
+    // Called when ffmpeg exits without a stop being requested, or with a runTime of 0
+    // when a restart failed before ffmpeg ran
+    handleExit(code, lastError, runTime = Date.now() - new Date(this.stream.startTime).getTime()) {
+        if (!this.policy.enabled) return;
+
+        if (runTime >= this.policy.stableAfterMs) {
+            this.attempts = 0;
+            this.failovers = 0;
+        }
+
+        // Try the other sources right away before backing off
+        const sourceCount = StreamSupervisor.sources(this.stream).length;
+        if (sourceCount > 1) {
+            if (this.failovers < sourceCount - 1) {
+                this.failovers++;
+                const source = this.switchSource();
+                const delay = this.policy.initialDelayMs;
+                this.state = 'waiting';
+                this.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+                this.stream.status = 'restarting';
+                this.recordHistory({ exitCode: code, lastError, action: 'failover', delay, source });
+
+                console.log(`Stream ${this.stream.id} exited with code ${code}, switching to source ${source + 1}/${sourceCount} in ${delay}ms`);
+                this.timer = setTimeout(() => this.runRestart(), delay);
+                return;
+            }
+            // Every source failed, start the next round from the following one
+            this.failovers = 0;
+        }
+
+        if (this.attempts >= this.policy.maxAttempts) {
+            console.log(`Stream ${this.stream.id} gave up after ${this.attempts} restart attempts`);
+            this.state = 'gave_up';
+            this.nextAttemptAt = null;
+            this.stream.status = 'failed';
+            this.recordHistory({ exitCode: code, lastError, action: 'gave_up' });
+            return;
+        }
+
+        this.attempts++;
+        const delay = this.getDelay(this.attempts);
+        const source = sourceCount > 1 ? this.switchSource() : 0;
+        this.state = 'waiting';
+        this.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        this.stream.status = 'restarting';
+        this.recordHistory({ exitCode: code, lastError, action: 'restart_scheduled', delay, source });
+
+        console.log(`Stream ${this.stream.id} exited with code ${code}, restart attempt ${this.attempts}/${this.policy.maxAttempts} in ${delay}ms`);
+        this.timer = setTimeout(() => this.runRestart(), delay);
+    }
+
+    async runRestart() {
+        this.timer = null;
+        this.state = 'restarting';
+        this.nextAttemptAt = null;
+        try {
+            await this.restart(this.stream);
+            this.state = 'idle';
+        } catch (error) {
+            console.error(`Stream ${this.stream.id} restart attempt failed:`, error);
+            // startTime still belongs to the last run that launched, so this one ran for nothing
+            this.handleExit(null, { message: error.message, timestamp: Date.now() }, 0);
+        }
+    }
+
+    recordHistory({ exitCode, lastError, action, delay = null, source = null }) {
+        this.stream.restartHistory.push({
+            timestamp: new Date().toISOString(),
+            attempt: this.attempts,
+            exitCode,
+            action,
+            delay,
+            source,
+            error: lastError && lastError.message ? lastError.message.trim().split('\n').pop() : null
+        });
+        if (this.stream.restartHistory.length > MAX_HISTORY) {
+            this.stream.restartHistory.splice(0, this.stream.restartHistory.length - MAX_HISTORY);
+        }
+    }
+
+    // Cancel any pending restart and start counting from zero again
+    reset() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.attempts = 0;
+        this.failovers = 0;
+        this.state = 'idle';
+        this.nextAttemptAt = null;
+    }
+
+    toJSON() {
+        return {
+            state: this.state,
+            attempts: this.attempts,
+            maxAttempts: this.policy.maxAttempts,
+            failovers: this.failovers,
+            nextAttemptAt: this.nextAttemptAt,
+            policy: this.policy
+        };
+    }
+}
+
+StreamSupervisor.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = StreamSupervisor;
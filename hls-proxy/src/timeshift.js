@@ -0,0 +1,137 @@
+// Longest timeshift window a stream may keep on disk, in minutes
+const MAX_MINUTES = parseFloat(process.env.TIMESHIFT_MAX_MINUTES) || 1440;
+
+// Playlist-wide tags; everything else between two URIs belongs to the next segment
+const HEADER_TAGS = [
+    '#EXTM3U',
+    '#EXT-X-VERSION',
+    '#EXT-X-TARGETDURATION',
+    '#EXT-X-MEDIA-SEQUENCE',
+    '#EXT-X-DISCONTINUITY-SEQUENCE',
+    '#EXT-X-PLAYLIST-TYPE',
+    '#EXT-X-INDEPENDENT-SEGMENTS',
+    '#EXT-X-ALLOW-CACHE',
+    '#EXT-X-MAP'
+];
+
+// Keeps the last N minutes of a stream's segments and cuts catch-up playlists
+// out of the sliding window ffmpeg writes with program date times.
+class Timeshift {
+    static get maxMinutes() {
+        return MAX_MINUTES;
+    }
+
+    // Returns an error message for an invalid window; empty or 0 turns timeshift off
+    static validate(minutes) {
+        if (minutes === undefined || minutes === null || minutes === '' || Number(minutes) === 0) {
+            return null;
+        }
+        const value = Number(minutes);
+        if (!Number.isFinite(value) || value < 0 || value > MAX_MINUTES) {
+            return `timeshift must be between 0 and ${MAX_MINUTES} minutes`;
+        }
+        return null;
+    }
+
+    // Segments the playlist has to list to cover the window
+    static listSize(minutes, segmentDuration) {
+        return Math.ceil((minutes * 60) / segmentDuration);
+    }
+
+    // Accepts an ISO date or a Unix timestamp in seconds; null when it is neither
+    static parseStart(value) {
+        const time = /^\d+(\.\d+)?$/.test(String(value))
+            ? Number(value) * 1000
+            : new Date(value).getTime();
+        return Number.isFinite(time) ? time : null;
+    }
+
+    static parse(content) {
+        const header = [];
+        const segments = [];
+        let pending = [];
+
+        content.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            if (line.startsWith('#')) {
+                if (line === '#EXT-X-ENDLIST') return;
+                if (HEADER_TAGS.some(tag => line === tag || line.startsWith(`${tag}:`))) {
+                    header.push(line);
+                } else {
+                    pending.push(line);
+                }
+                return;
+            }
+
+            const segment = { lines: [...pending, line], duration: 0, time: null, discontinuity: false };
+            pending.forEach(tag => {
+                if (tag.startsWith('#EXTINF:')) {
+                    segment.duration = parseFloat(tag.slice(8)) || 0;
+                } else if (tag.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+                    const time = new Date(tag.slice(25)).getTime();
+                    segment.time = Number.isFinite(time) ? time : null;
+                } else if (tag === '#EXT-X-DISCONTINUITY') {
+                    segment.discontinuity = true;
+                }
+            });
+            segments.push(segment);
+            pending = [];
+        });
+
+        // Segments without a date of their own follow on from the one before
+        segments.forEach((segment, index) => {
+            const previous = segments[index - 1];
+            if (segment.time === null && previous && previous.time !== null) {
+                segment.time = previous.time + previous.duration * 1000;
+            }
+        });
+
+        return { header, segments };
+    }
+
+    // First and last moment the playlist covers, or null without program date times
+    static window(content) {
+        const dated = Timeshift.parse(content).segments.filter(segment => segment.time !== null);
+        if (dated.length === 0) {
+            return null;
+        }
+        const last = dated[dated.length - 1];
+        return {
+            start: new Date(dated[0].time).toISOString(),
+            end: new Date(last.time + last.duration * 1000).toISOString()
+        };
+    }
+
+    // The playlist from the segment playing at `start` on, telling players to begin there.
+    // Returns null when the window does not reach that far.
+    static fromStart(content, start) {
+        const { header, segments } = Timeshift.parse(content);
+        const index = segments.findIndex(segment => segment.time !== null && segment.time + segment.duration * 1000 > start);
+        if (index === -1) {
+            return null;
+        }
+
+        const first = segments[index];
+        const dropped = segments.slice(0, index);
+        const mediaSequenceTag = header.find(line => line.startsWith('#EXT-X-MEDIA-SEQUENCE:'));
+        const discontinuityTag = header.find(line => line.startsWith('#EXT-X-DISCONTINUITY-SEQUENCE:'));
+        const mediaSequence = (mediaSequenceTag ? parseInt(mediaSequenceTag.split(':')[1], 10) : 0) + index;
+        const discontinuitySequence = (discontinuityTag ? parseInt(discontinuityTag.split(':')[1], 10) : 0)
+            + dropped.filter(segment => segment.discontinuity).length;
+        const offset = Math.max(0, (start - first.time) / 1000);
+
+        const lines = header.filter(line => !/^#EXT-X-(MEDIA-SEQUENCE|DISCONTINUITY-SEQUENCE|PLAYLIST-TYPE):/.test(line));
+        lines.splice(1, 0,
+            `#EXT-X-MEDIA-SEQUENCE:${mediaSequence}`,
+            `#EXT-X-DISCONTINUITY-SEQUENCE:${discontinuitySequence}`,
+            `#EXT-X-START:TIME-OFFSET=${offset.toFixed(3)},PRECISE=YES`
+        );
+        // Players need the first segment's date to line the timeline up
+        if (!first.lines.some(line => line.startsWith('#EXT-X-PROGRAM-DATE-TIME:'))) {
+            lines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(first.time).toISOString()}`);
+        }
+        segments.slice(index).forEach(segment => lines.push(...segment.lines));
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = Timeshift;
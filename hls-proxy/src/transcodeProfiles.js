@@ -0,0 +1,167 @@
+// x264 speed/quality trade-off; the faster presets keep CPU-only hosts real-time
+const X264_PRESET = process.env.TRANSCODE_PRESET || 'veryfast';
+// Encoder threads per stream, 0 lets ffmpeg decide
+const TRANSCODE_THREADS = process.env.TRANSCODE_THREADS || '0';
+
+const DEFAULT_PROFILE = 'passthrough';
+
+// Browser-friendly H.264 video capped at the given height (never upscaled)
+const h264Video = (height, maxrate, bufsize) => [
+    '-vf', `scale=-2:'min(${height},ih)'`,
+    '-c:v', 'libx264',
+    '-preset', X264_PRESET,
+    '-profile:v', 'high',
+    '-pix_fmt', 'yuv420p',
+    '-crf', '23',
+    '-maxrate', maxrate,
+    '-bufsize', bufsize,
+    '-sc_threshold', '0',
+    '-threads', TRANSCODE_THREADS
+];
+
+const aacAudio = (bitrate = '128k') => ['-c:a', 'aac', '-b:a', bitrate, '-ac', '2'];
+
+// Named ffmpeg output settings selectable per stream. Software codecs only,
+// so every profile works without GPU drivers in the container.
+const PROFILES = {
+    passthrough: {
+        label: 'Passthrough',
+        description: 'Copy audio and video unchanged (no CPU cost)',
+        args: () => ['-c', 'copy']
+    },
+    'copy-video-aac': {
+        label: 'Copy video, AAC audio',
+        description: 'Keep the video, convert AC-3/E-AC-3 and other audio to AAC',
+        args: () => ['-c:v', 'copy', ...aacAudio()]
+    },
+    '1080p-h264-aac': {
+        label: '1080p H.264 / AAC',
+        description: 'Re-encode to H.264 up to 1080p, 6 Mbit/s',
+        args: () => [...h264Video(1080, '6000k', '12000k'), ...aacAudio('160k')]
+    },
+    '720p-h264-aac': {
+        label: '720p H.264 / AAC',
+        description: 'Re-encode to H.264 up to 720p, 3 Mbit/s',
+        args: () => [...h264Video(720, '3000k', '6000k'), ...aacAudio()]
+    },
+    '480p-h264-aac': {
+        label: '480p H.264 / AAC',
+        description: 'Re-encode to H.264 up to 480p, 1.2 Mbit/s, lightest on CPU',
+        args: () => [...h264Video(480, '1200k', '2400k'), ...aacAudio('96k')]
+    },
+    'audio-only-aac': {
+        label: 'Audio only (AAC)',
+        description: 'Drop the video and stream AAC audio',
+        args: () => ['-vn', ...aacAudio()]
+    }
+};
+
+// Renditions available for adaptive bitrate output, highest first
+const ABR_LADDER = {
+    '1080p': { height: 1080, bitrate: '5000k', maxrate: '5350k', bufsize: '7500k', audioBitrate: '160k' },
+    '720p': { height: 720, bitrate: '2800k', maxrate: '3000k', bufsize: '4200k', audioBitrate: '128k' },
+    '480p': { height: 480, bitrate: '1400k', maxrate: '1500k', bufsize: '2100k', audioBitrate: '96k' },
+    '360p': { height: 360, bitrate: '800k', maxrate: '860k', bufsize: '1200k', audioBitrate: '96k' }
+};
+
+// Renditions used when a stream enables ABR without choosing its own
+const DEFAULT_ABR_RENDITIONS = (process.env.ABR_RENDITIONS || '1080p,720p,480p')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => ABR_LADDER[name]);
+
+class TranscodeProfiles {
+    static get default() {
+        return DEFAULT_PROFILE;
+    }
+
+    static exists(name) {
+        return Object.prototype.hasOwnProperty.call(PROFILES, name);
+    }
+
+    static list() {
+        return Object.entries(PROFILES).map(([name, { label, description }]) => ({
+            name,
+            label,
+            description,
+            transcodes: name !== DEFAULT_PROFILE
+        }));
+    }
+
+    // ffmpeg codec arguments for a profile. Re-encoded video gets a keyframe at
+    // every segment boundary so segments stay the configured length.
+    static outputArgs(name, { segmentDuration }) {
+        const profile = PROFILES[name] || PROFILES[DEFAULT_PROFILE];
+        const args = profile.args();
+        if (args.includes('libx264')) {
+            args.push('-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`);
+        }
+        return args;
+    }
+
+    static get abrLadder() {
+        return Object.keys(ABR_LADDER);
+    }
+
+    // Validated rendition names in ladder order; unknown names throw
+    static abrRenditions(requested) {
+        if (!requested || requested.length === 0) {
+            return DEFAULT_ABR_RENDITIONS;
+        }
+        const unknown = requested.filter(name => !ABR_LADDER[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown ABR rendition "${unknown[0]}"`);
+        }
+        return Object.keys(ABR_LADDER).filter(name => requested.includes(name));
+    }
+
+    // ffmpeg arguments that encode every rendition from one input. The split
+    // video and repeated audio map pair up as variants in -var_stream_map,
+    // named after the rendition so each lands in its own directory. Sources
+    // without audio (audio: false) get video-only variants.
+    static abrArgs(renditions, { segmentDuration, audio = true }) {
+        const split = `[0:v]split=${renditions.length}${renditions.map((name, index) => `[v${index}]`).join('')}`;
+        const scales = renditions.map((name, index) =>
+            `[v${index}]scale=-2:'min(${ABR_LADDER[name].height},ih)'[v${index}out]`
+        );
+        const args = ['-filter_complex', [split, ...scales].join(';')];
+
+        renditions.forEach((name, index) => {
+            const { bitrate, maxrate, bufsize } = ABR_LADDER[name];
+            args.push(
+                '-map', `[v${index}out]`,
+                `-c:v:${index}`, 'libx264',
+                `-b:v:${index}`, bitrate,
+                `-maxrate:v:${index}`, maxrate,
+                `-bufsize:v:${index}`, bufsize
+            );
+        });
+        renditions.forEach((name, index) => {
+            if (!audio) return;
+            args.push(
+                '-map', '0:a:0?',
+                `-c:a:${index}`, 'aac',
+                `-b:a:${index}`, ABR_LADDER[name].audioBitrate,
+                `-ac:a:${index}`, '2'
+            );
+        });
+
+        args.push(
+            '-preset', X264_PRESET,
+            '-profile:v', 'high',
+            '-pix_fmt', 'yuv420p',
+            '-sc_threshold', '0',
+            '-threads', TRANSCODE_THREADS,
+            '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`
+        );
+
+        return {
+            args,
+            varStreamMap: renditions
+                .map((name, index) => (audio ? `v:${index},a:${index},name:${name}` : `v:${index},name:${name}`))
+                .join(' ')
+        };
+    }
+}
+
+module.exports = TranscodeProfiles;
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StreamSupervisor = require('../src/streamSupervisor');
+
+const FAST_POLICY = { maxAttempts: 3, initialDelayMs: 1, maxDelayMs: 1, backoffFactor: 1, stableAfterMs: 10 };
+// Restarts succeed after this many calls so a supervisor that never gives up still stops
+const MAX_RESTARTS = 50;
+
+// Resolves once the supervisor has given up, or after `timeoutMs`
+function waitForGiveUp(supervisor, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    return new Promise(resolve => {
+        const poll = () => {
+            if (supervisor.state === 'gave_up' || Date.now() > deadline) {
+                resolve(supervisor.state);
+                return;
+            }
+            setTimeout(poll, 5);
+        };
+        poll();
+    });
+}
+
+test('gives up when restarts keep failing after a long healthy run', async () => {
+    // The last successful launch was long ago, well past stableAfterMs
+    const stream = { id: 'stream1', url: 'http://example.com/live.m3u8', startTime: new Date(Date.now() - 3600 * 1000).toISOString() };
+    let restarts = 0;
+    const supervisor = new StreamSupervisor(stream, async () => {
+        restarts++;
+        if (restarts > MAX_RESTARTS) return;
+        throw new Error('Provider allows 1 connection(s) at once');
+    }, FAST_POLICY);
+
+    supervisor.handleExit(1, { message: 'Connection reset', timestamp: Date.now() });
+
+    assert.strictEqual(await waitForGiveUp(supervisor), 'gave_up');
+    supervisor.reset();
+    assert.strictEqual(restarts, 3);
+    assert.strictEqual(stream.status, 'failed');
+    assert.deepStrictEqual(stream.restartHistory.map(entry => entry.action),
+        ['restart_scheduled', 'restart_scheduled', 'restart_scheduled', 'gave_up']);
+});
+
+test('tries every source before giving up when restarts fail', async () => {
+    const stream = {
+        id: 'stream2',
+        url: 'http://example.com/primary.m3u8',
+        backupUrls: ['http://example.com/backup.m3u8'],
+        startTime: new Date(Date.now() - 3600 * 1000).toISOString()
+    };
+    const tried = [];
+    const supervisor = new StreamSupervisor(stream, async () => {
+        tried.push(stream.activeUrl);
+        if (tried.length > MAX_RESTARTS) return;
+        throw new Error('Provider allows 1 connection(s) at once');
+    }, FAST_POLICY);
+
+    supervisor.handleExit(1, { message: 'Connection reset', timestamp: Date.now() });
+
+    assert.strictEqual(await waitForGiveUp(supervisor), 'gave_up');
+    supervisor.reset();
+    assert.ok(tried.includes('http://example.com/primary.m3u8'));
+    assert.ok(tried.includes('http://example.com/backup.m3u8'));
+    assert.ok(tried.length <= MAX_RESTARTS);
+});
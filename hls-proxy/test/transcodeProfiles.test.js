@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TranscodeProfiles = require('../src/transcodeProfiles');
+
+// Values following each occurrence of an ffmpeg option
+function optionValues(args, option) {
+    return args.flatMap((arg, index) => (arg === option ? [args[index + 1]] : []));
+}
+
+test('pairs each ABR rendition with the optional first audio track', () => {
+    const { args, varStreamMap } = TranscodeProfiles.abrArgs(['720p', '480p'], { segmentDuration: 4 });
+
+    assert.deepStrictEqual(optionValues(args, '-map'), ['[v0out]', '[v1out]', '0:a:0?', '0:a:0?']);
+    assert.strictEqual(varStreamMap, 'v:0,a:0,name:720p v:1,a:1,name:480p');
+});
+
+test('builds video-only ABR variants for sources without audio', () => {
+    const { args, varStreamMap } = TranscodeProfiles.abrArgs(['720p', '480p'], { segmentDuration: 4, audio: false });
+
+    assert.deepStrictEqual(optionValues(args, '-map'), ['[v0out]', '[v1out]']);
+    assert.ok(!args.some(arg => arg.startsWith('-c:a')));
+    assert.strictEqual(varStreamMap, 'v:0,name:720p v:1,name:480p');
+});